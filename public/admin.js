@@ -1,10 +1,41 @@
 const API_BASE_URL = window.location.origin;
 
 let allAdminEvents = []; // Global variable to store event data
+let attendeeStats = []; // Reliability per attendee name, loaded on demand
+
+// Admin key management
+function getAdminKey() {
+    let key = localStorage.getItem('adminKey');
+    if (!key) {
+        key = prompt('Enter admin key (will be saved locally in your browser):');
+        if (key) {
+            localStorage.setItem('adminKey', key);
+        }
+    }
+    return key;
+}
 
 document.addEventListener('DOMContentLoaded', () => {
     loadEvents();
     setupWebSocket();
+
+    const syncButton = document.getElementById('sync-now-btn');
+    if (syncButton) syncButton.addEventListener('click', syncNow);
+
+    const statusButton = document.getElementById('sync-status-btn');
+    if (statusButton) statusButton.addEventListener('click', loadSyncStatus);
+
+    const statsButton = document.getElementById('attendee-stats-btn');
+    if (statsButton) statsButton.addEventListener('click', loadAttendeeStats);
+    const statsRange = document.getElementById('attendee-stats-range');
+    if (statsRange) statsRange.addEventListener('change', loadAttendeeStats);
+    const statsSearch = document.getElementById('attendee-stats-search');
+    if (statsSearch) statsSearch.addEventListener('input', displayAttendeeStats);
+
+    setupAttendeeExport();
+
+    // Only load automatically when a key is already stored, to avoid prompting
+    if (localStorage.getItem('adminKey')) loadSyncStatus();
 });
 
 function setupWebSocket() {
@@ -21,6 +52,9 @@ function setupWebSocket() {
             const data = JSON.parse(message.data);
             if (data.type === 'event_update') {
                 updateEventInUI(data.payload);
+            } else if (data.type === 'calendar_synced') {
+                loadEvents();
+                if (localStorage.getItem('adminKey')) loadSyncStatus();
             }
         } catch (error) {
             console.error('Error processing WebSocket message:', error);
@@ -48,6 +82,11 @@ function updateEventInUI(event) {
         }
 
         button.textContent = event.attendance_limit ? 'Update Limit' : 'Set Limit';
+
+        const windowSummary = document.getElementById(`rsvp-window-${event.id}`);
+        if (windowSummary) windowSummary.textContent = describeRsvpWindow(event);
+        const index = allAdminEvents.findIndex(existing => existing.id === event.id);
+        if (index !== -1) allAdminEvents[index] = { ...allAdminEvents[index], ...event };
     }
 }
 
@@ -87,6 +126,22 @@ function displayEvents(events) {
         infoContainer.appendChild(titleEl);
         infoContainer.appendChild(dateEl);
 
+        const directiveSummary = describeDirectives(event);
+        if (directiveSummary) {
+            const directivesEl = document.createElement('p');
+            directivesEl.className = 'event-directives';
+            directivesEl.textContent = `From description: ${directiveSummary}`;
+            infoContainer.appendChild(directivesEl);
+        }
+
+        // Directive lines that could not be understood, so hosts can fix them
+        (event.directive_warnings || []).forEach(warning => {
+            const warningEl = document.createElement('p');
+            warningEl.className = 'event-directive-warning';
+            warningEl.textContent = `⚠ ${warning}`;
+            infoContainer.appendChild(warningEl);
+        });
+
         const formContainer = document.createElement('div');
         formContainer.className = 'attendance-limit-form';
 
@@ -106,16 +161,152 @@ function displayEvents(events) {
         removeButton.textContent = 'Remove Limit';
         removeButton.addEventListener('click', () => removeAttendanceLimit(event.id));
 
+        const responsesButton = document.createElement('button');
+        responsesButton.className = 'btn-secondary';
+        responsesButton.textContent = 'Responses';
+        responsesButton.addEventListener('click', () => toggleEventResponses(event.id));
+
         formContainer.appendChild(limitInput);
         formContainer.appendChild(updateButton);
         formContainer.appendChild(removeButton);
+        formContainer.appendChild(responsesButton);
+
+        const checkInLink = document.createElement('a');
+        checkInLink.className = 'btn-secondary';
+        checkInLink.href = `/admin/checkin/${encodeURIComponent(event.id)}`;
+        checkInLink.textContent = 'Check-in';
+        formContainer.appendChild(checkInLink);
+
+        const exportParams = { eventId: event.id };
+        ['csv', 'xlsx'].forEach(format => {
+            const exportButton = document.createElement('button');
+            exportButton.className = 'btn-secondary';
+            exportButton.textContent = format.toUpperCase();
+            exportButton.title = `Download the attendee list as ${format.toUpperCase()}`;
+            exportButton.addEventListener('click', () => downloadAttendeeExport(exportParams, format));
+            formContainer.appendChild(exportButton);
+        });
+
+        const sheetLink = document.createElement('a');
+        sheetLink.className = 'btn-secondary';
+        sheetLink.href = `/admin/sign-in-sheet?${new URLSearchParams(exportParams)}`;
+        sheetLink.target = '_blank';
+        sheetLink.textContent = 'Sign-in sheet';
+        formContainer.appendChild(sheetLink);
+
+        // RSVP window set here; empty fields fall back to the calendar defaults
+        const windowForm = document.createElement('div');
+        windowForm.className = 'attendance-limit-form rsvp-window-form';
+        [['opens', 'RSVP opens', event.rsvp_opens_override], ['closes', 'closes', event.rsvp_closes_override]]
+            .forEach(([key, labelText, value]) => {
+                const label = document.createElement('label');
+                label.htmlFor = `rsvp-${key}-${event.id}`;
+                label.textContent = labelText;
+                const input = document.createElement('input');
+                input.type = 'datetime-local';
+                input.id = `rsvp-${key}-${event.id}`;
+                input.value = toDateTimeLocal(value);
+                windowForm.appendChild(label);
+                windowForm.appendChild(input);
+            });
+        const windowButton = document.createElement('button');
+        windowButton.textContent = 'Save RSVP Window';
+        windowButton.addEventListener('click', () => updateRsvpWindow(event.id));
+        windowForm.appendChild(windowButton);
+
+        const windowSummary = document.createElement('p');
+        windowSummary.className = 'sub rsvp-window-summary';
+        windowSummary.id = `rsvp-window-${event.id}`;
+        windowSummary.textContent = describeRsvpWindow(event);
+
+        // Filled in on demand by toggleEventResponses
+        const responsesPanel = document.createElement('div');
+        responsesPanel.className = 'event-responses hidden';
+        responsesPanel.id = `responses-${event.id}`;
 
         eventCard.appendChild(infoContainer);
         eventCard.appendChild(formContainer);
+        eventCard.appendChild(windowForm);
+        eventCard.appendChild(windowSummary);
+        eventCard.appendChild(responsesPanel);
         eventsList.appendChild(eventCard);
     });
 }
 
+function hasDirective(event, key) {
+    return Boolean(event && Array.isArray(event.directive_keys) && event.directive_keys.includes(key));
+}
+
+function hasLimitDirective(event) {
+    return hasDirective(event, 'limit');
+}
+
+function formatWindowTime(value) {
+    return new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Value for a datetime-local input, in the browser's time zone
+function toDateTimeLocal(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// The RSVP window in effect, whichever of description, admin panel or
+// calendar default it came from
+function describeRsvpWindow(event) {
+    const opens = event.rsvp_opens_at ? `open ${formatWindowTime(event.rsvp_opens_at)}` : 'open now';
+    const closes = event.rsvp_closes_at ? `close ${formatWindowTime(event.rsvp_closes_at)}` : 'close when the event starts';
+    return `RSVPs ${opens} · ${closes}`;
+}
+
+// One-line summary of the settings an event takes from its description
+function describeDirectives(event) {
+    const parts = [];
+    if (event.rsvp_enabled === false) parts.push('RSVP off');
+    if (hasLimitDirective(event)) parts.push(`limit ${event.attendance_limit}`);
+    if (event.min_attendance) parts.push(`min ${event.min_attendance}`);
+    if (event.max_guests !== null && event.max_guests !== undefined) parts.push(`guests ${event.max_guests}`);
+    if (event.waitlist_enabled === false) {
+        parts.push('no waitlist');
+    } else if (event.waitlist_limit) {
+        parts.push(`waitlist ${event.waitlist_limit}`);
+    }
+    if (hasDirective(event, 'rsvpOpens')) parts.push(`RSVP opens ${formatWindowTime(event.rsvp_opens_at)}`);
+    if (hasDirective(event, 'rsvpDeadline')) parts.push(`RSVP closes ${formatWindowTime(event.rsvp_closes_at)}`);
+    if (event.cost) parts.push(`cost ${event.cost}`);
+    if (Array.isArray(event.tags) && event.tags.length > 0) parts.push(`tags ${event.tags.join(', ')}`);
+    if (Array.isArray(event.questions) && event.questions.length > 0) {
+        parts.push(`${event.questions.length} question${event.questions.length === 1 ? '' : 's'}`);
+    }
+    return parts.join(' · ');
+}
+
+// PUT /api/events/:id with the admin key. Returns the response and its
+// body, or null when there is no valid key.
+async function updateEvent(eventId, changes) {
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        alert('Admin key is required to update events.');
+        return null;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/events/${encodeURIComponent(eventId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Key': adminKey },
+        body: JSON.stringify(changes)
+    });
+    const result = await response.json();
+
+    if (response.status === 401) {
+        localStorage.removeItem('adminKey');
+        alert('Invalid admin key. Please try again.');
+        return null;
+    }
+    return { response, result };
+}
+
 async function updateAttendanceLimit(eventId) {
     const input = document.getElementById(`limit-${eventId}`);
     const newLimit = input.value ? parseInt(input.value, 10) : null;
@@ -125,94 +316,506 @@ async function updateAttendanceLimit(eventId) {
         return;
     }
 
-    let shouldProceedWithUpdate = true;
-
-    // Get the current event object to check its description
+    // A "limit:" directive in the description wins over the value set here
     const currentEvent = allAdminEvents.find(event => event.id === eventId);
-    if (currentEvent && currentEvent.description) {
-        const description = currentEvent.description.trim();
-        const limitMatch = description.match(/limit:?\s*(\d+)/i);
-        let descriptionLimit = undefined;
-        if (limitMatch) {
-            descriptionLimit = parseInt(limitMatch[1], 10);
-        }
+    if (hasLimitDirective(currentEvent) && currentEvent.attendance_limit !== newLimit) {
+        alert('NOT EFFECTIVE: This event has an attendance limit specified in its description. Please remove it from the description if you want to update the limit here.');
+        return;
+    }
 
-        // If a limit is specified in the description and it's different from the UI input
-        if (descriptionLimit !== undefined && descriptionLimit !== newLimit) {
-            alert('NOT EFFECTIVE: This event has an attendance limit specified in its description. Please remove it from the description if you want to update the limit here.');
-            shouldProceedWithUpdate = false;
+    try {
+        const update = await updateEvent(eventId, { attendanceLimit: newLimit });
+        if (!update) return;
+
+        if (update.response.ok) {
+            alert(`Attendance limit for "${update.result.event.title}" successfully updated to ${newLimit ? newLimit : 'unlimited'}.`);
+        } else {
+            alert(`Error: ${update.result.message}`);
         }
+    } catch (error) {
+        console.error('Error updating attendance limit:', error);
+        alert('Error updating attendance limit. See console for details.');
     }
+}
 
-    if (!shouldProceedWithUpdate) {
+async function removeAttendanceLimit(eventId) {
+    const currentEvent = allAdminEvents.find(event => event.id === eventId);
+    if (hasLimitDirective(currentEvent)) {
+        alert('NOT EFFECTIVE: This event has an attendance limit specified in its description. Please remove it from the description if you want to remove the limit here.');
         return;
     }
 
     try {
-        const updateResponse = await fetch(`${API_BASE_URL}/api/events/${eventId}`,
-            {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ attendanceLimit: newLimit })
-            }
-        );
+        const update = await updateEvent(eventId, { attendanceLimit: null });
+        if (!update) return;
 
-        if (updateResponse.ok) {
-            const updatedEvent = await updateResponse.json();
-            alert(`Attendance limit for "${updatedEvent.event.title}" successfully updated to ${newLimit ? newLimit : 'unlimited'}.`);
+        if (update.response.ok) {
+            alert(`Attendance limit for "${update.result.event.title}" removed successfully!`);
+            document.getElementById(`limit-${eventId}`).value = '';
         } else {
-            const error = await updateResponse.json();
-            alert(`Error: ${error.message}`);
+            alert(`Error: ${update.result.message}`);
         }
     } catch (error) {
-        console.error('Error updating attendance limit:', error);
-        alert('Error updating attendance limit. See console for details.');
+        console.error('Error removing attendance limit:', error);
+        alert('Error removing attendance limit. See console for details.');
     }
 }
 
-async function removeAttendanceLimit(eventId) {
-    let shouldProceedWithRemoval = true;
+async function updateRsvpWindow(eventId) {
+    const readInput = key => {
+        const value = document.getElementById(`rsvp-${key}-${eventId}`).value;
+        return value ? new Date(value).toISOString() : null;
+    };
+    const rsvpOpensAt = readInput('opens');
+    const rsvpClosesAt = readInput('closes');
 
-    // Get the current event object to check its description
+    // rsvp-opens / rsvp-deadline directives in the description win over the values set here
     const currentEvent = allAdminEvents.find(event => event.id === eventId);
-    if (currentEvent && currentEvent.description) {
-        const description = currentEvent.description.trim();
-        const limitMatch = description.match(/limit:?\s*(\d+)/i);
-        let descriptionLimit = undefined;
-        if (limitMatch) {
-            descriptionLimit = parseInt(limitMatch[1], 10);
+    const overridden = [['rsvpOpens', 'rsvp-opens'], ['rsvpDeadline', 'rsvp-deadline']]
+        .filter(([key]) => hasDirective(currentEvent, key))
+        .map(([, directive]) => directive);
+    if (overridden.length > 0) {
+        alert(`NOTE: This event sets ${overridden.join(' and ')} in its description, which takes precedence over the value set here.`);
+    }
+
+    try {
+        const update = await updateEvent(eventId, { rsvpOpensAt, rsvpClosesAt });
+        if (!update) return;
+
+        if (update.response.ok) {
+            updateEventInUI(update.result.event);
+            alert(`RSVP window for "${update.result.event.title}" saved.`);
+        } else {
+            alert(`Error: ${update.result.message}`);
+        }
+    } catch (error) {
+        console.error('Error updating RSVP window:', error);
+        alert('Error updating RSVP window. See console for details.');
+    }
+}
+
+const RESPONSE_LABELS = { yes: 'Going', waitlisted: 'Waitlist', maybe: 'Maybe', declined: "Can't go" };
+
+async function toggleEventResponses(eventId) {
+    const panel = document.getElementById(`responses-${eventId}`);
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        alert('Admin key is required to view responses.');
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    panel.textContent = 'Loading…';
+    await loadEventResponses(panel, eventId, adminKey);
+}
+
+async function loadEventResponses(panel, eventId, adminKey) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/events/${encodeURIComponent(eventId)}/responses`, {
+            headers: { 'X-Admin-Key': adminKey }
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            if (response.status === 401) localStorage.removeItem('adminKey');
+            panel.textContent = result.message || 'Failed to load responses.';
+            return;
+        }
+        displayEventResponses(panel, eventId, result);
+    } catch (error) {
+        console.error('Error loading responses:', error);
+        panel.textContent = 'Error loading responses. See console for details.';
+    }
+}
+
+function displayEventResponses(panel, eventId, { summary, rsvps }) {
+    panel.innerHTML = '';
+
+    // e.g. "Dietary restrictions? 4 vegetarian · 1 vegan (2 no answer)"
+    summary.forEach(item => {
+        const line = document.createElement('p');
+        line.className = 'responses-summary';
+        const question = document.createElement('strong');
+        question.textContent = `${item.question} `;
+        const counts = item.counts
+            .filter(entry => entry.count > 0)
+            .map(entry => `${entry.count} ${entry.answer}`)
+            .join(' · ') || 'no answers yet';
+        line.appendChild(question);
+        line.appendChild(document.createTextNode(item.unanswered > 0 ? `${counts} (${item.unanswered} no answer)` : counts));
+        panel.appendChild(line);
+    });
+
+    if (rsvps.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No RSVPs yet.';
+        panel.appendChild(empty);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'responses-list';
+    rsvps.forEach(rsvp => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = rsvp.guests > 0 ? `${rsvp.attendee_name} (+${rsvp.guests})` : rsvp.attendee_name;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` · ${RESPONSE_LABELS[rsvp.attendance] || rsvp.attendance}`));
+
+        Object.entries(rsvp.answers || {}).forEach(([question, answer]) => {
+            const answerEl = document.createElement('div');
+            answerEl.className = 'sub';
+            answerEl.textContent = `${question} ${answer}`;
+            item.appendChild(answerEl);
+        });
+        if (rsvp.comment) {
+            const commentEl = document.createElement('div');
+            commentEl.className = 'sub responses-comment';
+            commentEl.textContent = `“${rsvp.comment}”`;
+            item.appendChild(commentEl);
         }
 
-        // If a limit is specified in the description, warn the user
-        if (descriptionLimit !== undefined) {
-            alert('NOT EFFECTIVE: This event has an attendance limit specified in its description. Please remove it from the description if you want to remove the limit here.');
-            shouldProceedWithRemoval = false;
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-secondary responses-remove';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => removeRsvp(panel, eventId, rsvp));
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+    panel.appendChild(list);
+}
+
+// Attendees can only cancel RSVPs made on their own device, so anything
+// else (e.g. someone who switched phones) is removed here
+async function removeRsvp(panel, eventId, rsvp) {
+    if (!confirm(`Remove the RSVP of ${rsvp.attendee_name}?`)) return;
+
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        alert('Admin key is required to remove RSVPs.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/rsvp`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Admin-Key': adminKey
+            },
+            body: JSON.stringify({ eventId, action: 'remove', rsvpId: rsvp.id })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (response.status === 401) localStorage.removeItem('adminKey');
+            alert(result.message || 'Failed to remove RSVP.');
         }
+        await loadEventResponses(panel, eventId, adminKey);
+    } catch (error) {
+        console.error('Error removing RSVP:', error);
+        alert('Error removing RSVP. See console for details.');
     }
+}
 
-    if (!shouldProceedWithRemoval) {
+async function syncNow() {
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        alert('Admin key is required to sync calendars.');
         return;
     }
 
+    const button = document.getElementById('sync-now-btn');
+    button.disabled = true;
+    button.textContent = 'Syncing…';
+
     try {
-        const updateResponse = await fetch(`${API_BASE_URL}/api/events/${eventId}`,
-            {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ attendanceLimit: null })
+        const response = await fetch(`${API_BASE_URL}/api/admin/sync`, {
+            method: 'POST',
+            headers: { 'X-Admin-Key': adminKey }
+        });
+        const result = await response.json();
+
+        if (response.status === 401) {
+            localStorage.removeItem('adminKey');
+            alert('Invalid admin key. Please try again.');
+        } else if (response.ok && result.success) {
+            const { changed, removed, feeds } = result.result;
+            const failed = (feeds || []).filter(feed => feed.status === 'failed');
+            let message = `Calendar sync completed: ${changed} event(s) updated, ${removed} removed.`;
+            if (failed.length > 0) {
+                message += `\n\nFailed feeds (previous events kept):\n${failed.map(feed => `- ${feed.name}: ${feed.error}`).join('\n')}`;
             }
-        );
-
-        if (updateResponse.ok) {
-            const updatedEvent = await updateResponse.json();
-            alert(`Attendance limit for "${updatedEvent.event.title}" removed successfully!`);
-            document.getElementById(`limit-${eventId}`).value = '';
+            alert(message);
+            loadEvents();
+            loadSyncStatus();
         } else {
-            const error = await updateResponse.json();
+            alert(`Error: ${result.message}`);
+        }
+    } catch (error) {
+        console.error('Error syncing calendars:', error);
+        alert('Error syncing calendars. See console for details.');
+    } finally {
+        button.disabled = false;
+        button.textContent = '↻ Sync now';
+    }
+}
+
+function formatRelativeTime(value) {
+    if (!value) return 'never';
+    const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
+
+async function loadSyncStatus() {
+    const adminKey = getAdminKey();
+    if (!adminKey) return;
+
+    const meta = document.getElementById('sync-status-meta');
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/sync-status`, {
+            headers: { 'X-Admin-Key': adminKey },
+            cache: 'no-cache'
+        });
+        const result = await response.json();
+
+        if (response.status === 401) {
+            localStorage.removeItem('adminKey');
+            meta.textContent = 'Invalid admin key';
+            return;
+        }
+        if (!response.ok || !result.success) {
+            meta.textContent = result.message || 'Could not load sync status';
+            return;
+        }
+
+        const { scheduler, lastRun, calendars } = result;
+        const schedule = scheduler.enabled
+            ? `Every ${Math.round(scheduler.intervalMs / 60000)} min`
+            : 'Automatic sync off';
+        meta.textContent = `${schedule} · last run ${formatRelativeTime(lastRun && lastRun.finishedAt)}`;
+        displaySyncStatus(calendars);
+    } catch (error) {
+        console.error('Error loading sync status:', error);
+        meta.textContent = 'Could not load sync status';
+    }
+}
+
+function displaySyncStatus(calendars) {
+    const list = document.getElementById('sync-status-list');
+    list.innerHTML = '';
+
+    const chips = {
+        ok: { className: 'chip accent', label: 'OK' },
+        failing: { className: 'chip danger', label: 'Failing' },
+        never: { className: 'chip', label: 'Not synced yet' },
+        disabled: { className: 'chip', label: 'Disabled' }
+    };
+
+    calendars.forEach(calendar => {
+        const row = document.createElement('div');
+        row.className = 'admin-row sync-status-row';
+
+        const info = document.createElement('div');
+        const title = document.createElement('h4');
+        title.textContent = calendar.name;
+        info.appendChild(title);
+
+        const timing = document.createElement('p');
+        timing.className = 'sub';
+        timing.textContent = `Last success ${formatRelativeTime(calendar.lastSuccessAt)} · last attempt ${formatRelativeTime(calendar.lastAttemptAt)}`;
+        info.appendChild(timing);
+
+        const details = document.createElement('p');
+        details.className = 'sub';
+        const parts = [];
+        if (calendar.httpStatus) parts.push(`HTTP ${calendar.httpStatus}`);
+        if (calendar.eventCount !== null) parts.push(`${calendar.eventCount} events`);
+        if (calendar.durationMs !== null) parts.push(`${calendar.durationMs} ms`);
+        if (calendar.failingSince) parts.push(`failing since ${formatRelativeTime(calendar.failingSince)}`);
+        if (calendar.error) parts.push(calendar.error);
+        details.textContent = parts.join(' · ') || '—';
+        info.appendChild(details);
+
+        if (calendar.parseErrors.length > 0) {
+            const parseErrors = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${calendar.parseErrors.length} parse error(s)`;
+            const errorList = document.createElement('ul');
+            calendar.parseErrors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                errorList.appendChild(item);
+            });
+            parseErrors.appendChild(summary);
+            parseErrors.appendChild(errorList);
+            info.appendChild(parseErrors);
+        }
+
+        const chipInfo = chips[calendar.status] || chips.never;
+        const chip = document.createElement('span');
+        chip.className = chipInfo.className;
+        chip.innerHTML = '<span class="dot"></span>';
+        chip.appendChild(document.createTextNode(chipInfo.label));
+
+        row.appendChild(info);
+        row.appendChild(chip);
+        list.appendChild(row);
+    });
+}
+
+// Date range export: defaults to the coming four weeks
+function setupAttendeeExport() {
+    const from = document.getElementById('attendee-export-from');
+    const to = document.getElementById('attendee-export-to');
+    if (!from || !to) return;
+
+    const toDateInput = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const today = new Date();
+    from.value = toDateInput(today);
+    to.value = toDateInput(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 27));
+
+    const rangeParams = () => {
+        if (!from.value || !to.value) {
+            alert('Pick both dates first.');
+            return null;
+        }
+        return { from: from.value, to: to.value };
+    };
+
+    document.querySelectorAll('.attendee-export-section [data-export-format]').forEach(exportButton => {
+        exportButton.addEventListener('click', () => {
+            const params = rangeParams();
+            if (params) downloadAttendeeExport(params, exportButton.dataset.exportFormat);
+        });
+    });
+    document.getElementById('attendee-export-sheet').addEventListener('click', () => {
+        const params = rangeParams();
+        if (params) window.open(`/admin/sign-in-sheet?${new URLSearchParams(params)}`, '_blank');
+    });
+}
+
+// The export needs the admin key header, so it is fetched and handed to the
+// browser as a download instead of linked directly
+async function downloadAttendeeExport(params, format) {
+    const adminKey = getAdminKey();
+    if (!adminKey) return;
+
+    try {
+        const query = new URLSearchParams({ ...params, format });
+        const response = await fetch(`${API_BASE_URL}/api/admin/exports/attendees?${query}`, {
+            headers: { 'X-Admin-Key': adminKey },
+            cache: 'no-cache'
+        });
+        if (response.status === 401) {
+            localStorage.removeItem('adminKey');
+            alert('Invalid admin key. Please refresh the page and try again.');
+            return;
+        }
+        if (!response.ok) {
+            const error = await response.json();
             alert(`Error: ${error.message}`);
+            return;
         }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filenameMatch = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filenameMatch ? filenameMatch[1] : `attendees.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     } catch (error) {
-        console.error('Error removing attendance limit:', error);
-        alert('Error removing attendance limit. See console for details.');
+        console.error('Error exporting attendees:', error);
+        alert('Error exporting attendees. See console for details.');
+    }
+}
+
+async function loadAttendeeStats() {
+    const adminKey = getAdminKey();
+    if (!adminKey) return;
+
+    const meta = document.getElementById('attendee-stats-meta');
+    const days = document.getElementById('attendee-stats-range').value;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/attendee-stats${days ? `?days=${days}` : ''}`, {
+            headers: { 'X-Admin-Key': adminKey },
+            cache: 'no-cache'
+        });
+        const result = await response.json();
+
+        if (response.status === 401) {
+            localStorage.removeItem('adminKey');
+            meta.textContent = 'Invalid admin key';
+            return;
+        }
+        if (!response.ok || !result.success) {
+            meta.textContent = result.message || 'Could not load attendee stats';
+            return;
+        }
+
+        attendeeStats = result.attendees;
+        meta.textContent = `${attendeeStats.length} name${attendeeStats.length === 1 ? '' : 's'} · past events · `
+            + `late = cancelled less than ${result.lateCancelHours} h before the start`;
+        document.getElementById('attendee-stats-search').classList.remove('hidden');
+        displayAttendeeStats();
+    } catch (error) {
+        console.error('Error loading attendee stats:', error);
+        meta.textContent = 'Could not load attendee stats';
+    }
+}
+
+function displayAttendeeStats() {
+    const list = document.getElementById('attendee-stats-list');
+    const search = document.getElementById('attendee-stats-search').value.trim().toLowerCase();
+    list.innerHTML = '';
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const attendees = attendeeStats.filter(attendee => attendee.name.toLowerCase().includes(search));
+    if (attendees.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'sub';
+        empty.textContent = attendeeStats.length === 0 ? 'No RSVP history yet.' : 'No matching names.';
+        list.appendChild(empty);
+        return;
     }
+
+    attendees.forEach(attendee => {
+        const row = document.createElement('div');
+        row.className = 'admin-row attendee-stats-row';
+
+        const info = document.createElement('div');
+        const title = document.createElement('h4');
+        title.textContent = attendee.name;
+        info.appendChild(title);
+
+        const details = document.createElement('p');
+        details.className = 'sub';
+        details.textContent = [
+            plural(attendee.rsvpCount, 'RSVP'),
+            `${attendee.attended} attended`,
+            plural(attendee.lateCancellations, 'late cancellation'),
+            attendee.lastEventAt ? `last event ${new Date(attendee.lastEventAt).toLocaleDateString()}` : null
+        ].filter(Boolean).join(' · ');
+        info.appendChild(details);
+
+        const chip = document.createElement('span');
+        chip.className = attendee.noShows > 0 ? 'chip danger' : 'chip';
+        chip.innerHTML = '<span class="dot"></span>';
+        chip.appendChild(document.createTextNode(plural(attendee.noShows, 'no-show')));
+
+        row.appendChild(info);
+        row.appendChild(chip);
+        list.appendChild(row);
+    });
 }
@@ -59,6 +59,14 @@ function extractEventLink(value) {
     return null;
 }
 
+// All-day events are stored at UTC midnight; show them on that calendar day
+// regardless of the viewer's time zone.
+function eventDisplayDate(event) {
+    const d = new Date(event.date);
+    if (!event.all_day) return d;
+    return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
 // ---------- Toast ----------
 let toastTimeout = null;
 function showToast(message, type = 'info', duration = 3500) {
@@ -93,6 +101,10 @@ let currentRange = 'future';    // 'future' | 'all'
 let oldestLoadedDate = null;    // ISO string of earliest loaded event (for 'all' range)
 let hasMoreOlder = true;        // whether more past events may exist
 let currentEventForRsvp = null;
+let selectedRsvpResponse = 'yes'; // 'yes' | 'maybe' | 'declined'
+let myRsvps = {};               // eventId -> this device's RSVPs, from /api/rsvps/mine
+let pushFollows = new Set();    // "kind:target" followed by this browser's push subscription
+let pendingEventFocus = new URLSearchParams(window.location.search).get('event'); // from a notification link
 
 // DOM
 const calendarContainer = document.getElementById('calendar-container');
@@ -106,6 +118,10 @@ if ('serviceWorker' in navigator) {
             console.log('ServiceWorker registration failed: ', err);
         });
     });
+    // A notification was clicked while the app was already open
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'open_event') focusEventCard(e.data.eventId);
+    });
 }
 
 // ---------- Init ----------
@@ -120,9 +136,27 @@ function initializeApp() {
         setupEventListeners();
         setupWebSocket();
         loadEvents();
+        refreshMyRsvps();
+        loadPushFollows();
+        showEmailConfirmation();
     }).catch(err => console.error('Init error:', err));
 }
 
+// Back from the link in the confirm email (?email-confirmed=1 or 0)
+function showEmailConfirmation() {
+    const params = new URLSearchParams(window.location.search);
+    const confirmed = params.get('email-confirmed');
+    if (confirmed === null) return;
+    if (confirmed === '1') {
+        showToast("Email confirmed — you'll get reminders and updates for this RSVP", 'success', 6000);
+    } else {
+        showToast('This confirm link is invalid or was already used', 'error', 6000);
+    }
+    params.delete('email-confirmed');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
 // ---------- Config ----------
 async function loadConfig() {
     try {
@@ -231,7 +265,7 @@ function renderCalendarGrid() {
     const calendarSource = allCalendarEvents.length > 0 ? allCalendarEvents : currentEvents;
     const eventsByDay = {};
     (calendarSource || []).forEach(ev => {
-        const d = new Date(ev.date);
+        const d = eventDisplayDate(ev);
         const k = dayKey(d);
         if (!eventsByDay[k]) eventsByDay[k] = [];
         eventsByDay[k].push(ev);
@@ -251,6 +285,7 @@ function renderCalendarGrid() {
         if (isOut) classes.push('out');
         if (isToday) classes.push('today');
         if (dayEvents.length > 0) classes.push('has-ev');
+        if (dayEvents.some(ev => myRsvps[ev.id])) classes.push('mine');
 
         let evMarkup = '';
         if (isToday && dayEvents.length === 0) {
@@ -303,15 +338,7 @@ function renderCalendarGrid() {
     });
 
     calendarContainer.querySelectorAll('.cal-cell[data-event-id]').forEach(cell => {
-        const activate = () => {
-            const id = cell.dataset.eventId;
-            const card = document.querySelector(`.event-card[data-event-id="${CSS.escape(id)}"]`);
-            if (card) {
-                card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                card.classList.add('cal-highlight');
-                setTimeout(() => card.classList.remove('cal-highlight'), 1500);
-            }
-        };
+        const activate = () => highlightEventCard(cell.dataset.eventId);
         cell.addEventListener('click', activate);
         cell.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); activate(); }
@@ -319,6 +346,21 @@ function renderCalendarGrid() {
     });
 }
 
+function highlightEventCard(eventId) {
+    const card = document.querySelector(`.event-card[data-event-id="${CSS.escape(eventId)}"]`);
+    if (!card) return false;
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('cal-highlight');
+    setTimeout(() => card.classList.remove('cal-highlight'), 1500);
+    return true;
+}
+
+// Scrolls to the event of a notification, once it is in the list
+function focusEventCard(eventId) {
+    if (!eventId) return;
+    if (!highlightEventCard(eventId)) pendingEventFocus = eventId;
+}
+
 function populateAddToCalendarDropdown(id) {
     const dd = document.getElementById(id);
     if (!dd) return;
@@ -326,17 +368,47 @@ function populateAddToCalendarDropdown(id) {
     appConfig.calendars.forEach(cal => {
         if (!cal.enabled) return;
         try {
-            const u = new URL(cal.url);
-            const calendarId = u.searchParams.get('src');
-            if (!calendarId) return;
+            let href = null;
+            if (cal.type === 'ics-url') {
+                // Let the OS calendar app subscribe to the feed directly
+                href = cal.url.replace(/^https?:/, 'webcal:');
+            } else if (!cal.type || cal.type === 'google') {
+                const calendarId = new URL(cal.url).searchParams.get('src');
+                if (calendarId) href = `https://www.google.com/calendar/render?cid=${calendarId}`;
+            }
+            if (!href) return;
             const link = document.createElement('a');
-            link.href = `https://www.google.com/calendar/render?cid=${calendarId}`;
+            link.href = href;
             link.textContent = cal.name;
             link.target = '_blank';
             link.rel = 'noopener noreferrer';
             dd.appendChild(link);
         } catch (_) { /* ignore */ }
     });
+
+    // Private feed of the events this device is going to
+    const feedButton = document.createElement('button');
+    feedButton.type = 'button';
+    feedButton.className = 'calendar-feed-subscribe';
+    feedButton.textContent = '🔒 My RSVPs';
+    feedButton.title = 'Subscribe to a private calendar of the events you are going to';
+    feedButton.addEventListener('click', subscribeToMyCalendarFeed);
+    dd.appendChild(feedButton);
+
+    // Notifications about new events, per calendar
+    if (!pushSupported()) return;
+    appConfig.calendars.forEach(cal => {
+        if (!cal.enabled || !cal.source) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'push-follow-calendar';
+        button.dataset.source = cal.source;
+        button.textContent = `🔔 ${cal.name}`;
+        button.title = `Get notified about new events in ${cal.name}`;
+        button.addEventListener('click', () => togglePushFollow('calendar', cal.source));
+        dd.appendChild(button);
+    });
+    updatePushButtons();
 }
 
 // ---------- Calendar filter (chips) ----------
@@ -349,8 +421,8 @@ function populateCalendarFilter() {
     appConfig.calendars.forEach(cal => {
         if (!cal.enabled) return;
         try {
-            const u = new URL(cal.url);
-            const calendarId = u.searchParams.get('src');
+            // `source` is resolved by the server for every calendar type
+            const calendarId = cal.source || new URL(cal.url).searchParams.get('src');
             if (!calendarId) return;
             const label = document.createElement('label');
             label.className = 'calendar-filter-item active';
@@ -370,9 +442,9 @@ function populateCalendarFilter() {
     });
 }
 
-// ---------- Filter pills (Upcoming / All) ----------
+// ---------- Filter pills (Upcoming / All / My events) ----------
 function setupFilterPills() {
-    const pills = document.querySelectorAll('.filter-pill');
+    const pills = document.querySelectorAll('.filter-pill[data-range]');
     pills.forEach(pill => {
         pill.addEventListener('click', () => {
             const range = pill.dataset.range;
@@ -436,6 +508,10 @@ function setupMobileActions() {
 
 // ---------- Load events ----------
 function loadEvents() {
+    if (currentRange === 'mine') {
+        loadMyEvents();
+        return;
+    }
     oldestLoadedDate = null;
     hasMoreOlder = (currentRange === 'all');
 
@@ -457,6 +533,7 @@ function loadEvents() {
             }
             displayEvents({ scrollToToday: currentRange === 'all' });
             renderCalendarGrid();
+            if (pendingEventFocus && highlightEventCard(pendingEventFocus)) pendingEventFocus = null;
             // In 'all' mode, eagerly fetch the first batch of past events so the user
             // doesn't need to click "Load earlier events" to see anything in the past.
             if (currentRange === 'all' && hasMoreOlder) {
@@ -469,6 +546,76 @@ function loadEvents() {
         });
 }
 
+// "My events": every event, past and upcoming, that this device has RSVP'd
+// to. displayEvents() narrows the list down using myRsvps.
+async function loadMyEvents() {
+    hasMoreOlder = false;
+    eventsList.innerHTML = '<div class="loading">Loading your events...</div>';
+    try {
+        const [res] = await Promise.all([
+            fetch(`${API_BASE_URL}/api/events?timeRange=all`, { cache: 'no-store' }),
+            loadMyRsvps()
+        ]);
+        const events = await res.json();
+        events.sort((a, b) => new Date(a.date) - new Date(b.date));
+        currentEvents = events;
+        displayEvents();
+        renderCalendarGrid();
+    } catch (err) {
+        console.error('Error loading your events:', err);
+        eventsList.innerHTML = '<p class="error-message">Error loading events. Please try again later.</p>';
+    }
+}
+
+// Resolves the RSVPs remembered on this device (edit tokens and the names
+// used with them) into their current status and waitlist position
+async function loadMyRsvps() {
+    const owned = loadOwnedRsvps();
+    if (owned.length === 0) {
+        myRsvps = {};
+        return;
+    }
+    try {
+        const res = await fetch(`${API_BASE_URL}/api/rsvps/mine`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tokens: owned.slice(-500).map(rsvp => rsvp.token),
+                names: [...new Set(owned.map(rsvp => rsvp.name))].slice(-20)
+            })
+        });
+        const result = await res.json();
+        if (!result.success) return;
+        const byEvent = {};
+        result.rsvps.forEach(rsvp => {
+            if (!byEvent[rsvp.eventId]) byEvent[rsvp.eventId] = [];
+            byEvent[rsvp.eventId].push(rsvp);
+        });
+        myRsvps = byEvent;
+    } catch (err) {
+        console.error('Error loading your RSVPs:', err);
+    }
+}
+
+async function refreshMyRsvps() {
+    await loadMyRsvps();
+    if (currentEvents.length > 0) displayEvents();
+    renderCalendarGrid();
+}
+
+// e.g. "You're #2 on the waitlist"; prefixed with the name when the device
+// RSVP'd for several people
+function myRsvpLabel(rsvp, withName) {
+    const labels = {
+        yes: rsvp.guests > 0 ? `going +${rsvp.guests}` : 'going',
+        waitlisted: rsvp.waitlistPosition ? `#${rsvp.waitlistPosition} on the waitlist` : 'on the waitlist',
+        maybe: 'maybe',
+        declined: "can't go"
+    };
+    const label = labels[rsvp.status] || rsvp.status;
+    return withName ? `${rsvp.name}: ${label}` : `You: ${label}`;
+}
+
 async function loadOlderEvents(options = {}) {
     if (!oldestLoadedDate || !hasMoreOlder) return;
     const preserveScroll = options.preserveScroll !== false;
@@ -516,6 +663,9 @@ function displayEvents(options = {}) {
     if (selectedIds.length > 0 && appConfig.calendars && selectedIds.length < appConfig.calendars.filter(c => c.enabled).length) {
         filtered = currentEvents.filter(e => selectedIds.includes(e.source));
     }
+    if (currentRange === 'mine') {
+        filtered = filtered.filter(e => myRsvps[e.id]);
+    }
 
     // Update events section meta (count of upcoming)
     const metaEl = document.getElementById('events-section-meta');
@@ -527,7 +677,9 @@ function displayEvents(options = {}) {
     }
 
     if (filtered.length === 0) {
-        eventsList.innerHTML = '<p class="no-events">No events to show.</p>';
+        eventsList.innerHTML = currentRange === 'mine'
+            ? '<p class="no-events">You haven\'t RSVP\'d to any events on this device yet.</p>'
+            : '<p class="no-events">No events to show.</p>';
         return;
     }
 
@@ -561,6 +713,7 @@ function displayEvents(options = {}) {
     }
 
     eventsList.innerHTML = pieces.join('');
+    scheduleRsvpWindowRefresh(filtered);
 
     // Wire up load-earlier
     const loadBtn = eventsList.querySelector('.load-earlier-btn');
@@ -577,12 +730,62 @@ function displayEvents(options = {}) {
     }
 }
 
+// Re-render when the next RSVP window opens or closes, so the buttons and
+// chips follow it without a reload
+let rsvpWindowTimer = null;
+function scheduleRsvpWindowRefresh(events) {
+    clearTimeout(rsvpWindowTimer);
+    const now = Date.now();
+    const upcoming = events
+        .flatMap(event => [event.rsvp_opens_at, event.rsvp_closes_at])
+        .filter(Boolean)
+        .map(time => new Date(time).getTime())
+        .filter(time => time > now);
+    if (upcoming.length === 0) return;
+    // Capped so the delay stays within what setTimeout supports
+    const delay = Math.min(Math.min(...upcoming) - now + 1000, 86400000);
+    rsvpWindowTimer = setTimeout(() => displayEvents(), delay);
+}
+
+// When RSVPs open, if that is still in the future
+function rsvpOpensAt(event) {
+    const opensAt = event.rsvp_opens_at ? new Date(event.rsvp_opens_at) : null;
+    return opensAt && opensAt > new Date() ? opensAt : null;
+}
+
+// "Mon 18:00" within the coming week, "Oct 27, 18:00" further out
+function formatRsvpTime(date) {
+    const withinWeek = date - new Date() < 6 * 86400000;
+    return date.toLocaleString(undefined, withinWeek
+        ? { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false }
+        : { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+// Why new RSVPs are not accepted (RSVP off, or outside the RSVP window), or
+// null when they are
+function rsvpClosedReason(event) {
+    if (event.rsvp_enabled === false) return 'No RSVP needed for this event';
+    const opensAt = rsvpOpensAt(event);
+    if (opensAt) return `RSVPs open ${formatRsvpTime(opensAt)}`;
+    if (event.rsvp_closes_at && new Date(event.rsvp_closes_at) <= new Date()) return 'RSVPs for this event are closed';
+    return null;
+}
+
+// Whether a full event still takes RSVPs onto its waitlist
+function isWaitlistOpen(event) {
+    if (event.waitlist_enabled === false) return false;
+    const limit = event.waitlist_limit;
+    return limit === null || limit === undefined || (event.waitlistCount || 0) < limit;
+}
+
 function renderEventCard(event, { isPast, isToday }) {
-    const eventDate = new Date(event.date);
+    const eventDate = eventDisplayDate(event);
     const dayNum = String(eventDate.getDate()).padStart(2, '0');
     const monthAbbr = eventDate.toLocaleDateString('en-US', { month: 'short' });
     const weekdayAbbr = eventDate.toLocaleDateString('en-US', { weekday: 'short' });
-    const timeStr = eventDate.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', hour12: false });
+    const timeStr = event.all_day
+        ? 'All day'
+        : eventDate.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', hour12: false });
 
     const sanitizedEventId = escapeAttribute(event.id);
     const sanitizedTitle = escapeHtml(event.title);
@@ -592,44 +795,99 @@ function renderEventCard(event, { isPast, isToday }) {
     const sanitizedLocation = escapeHtml(locationText);
     const eventLink = extractEventLink(descriptionText);
 
-    const attendeesList = Array.isArray(event.attendees) ? event.attendees.map(escapeHtml) : [];
+    const attendeeGuests = Array.isArray(event.attendeeGuests) ? event.attendeeGuests : [];
+    const attendeesList = Array.isArray(event.attendees)
+        ? event.attendees.map((name, i) => escapeHtml(attendeeGuests[i] ? `${name} (+${attendeeGuests[i]})` : name))
+        : [];
+    const waitlist = Array.isArray(event.waitlist) ? event.waitlist.map(escapeHtml) : [];
+    const maybeList = Array.isArray(event.maybe) ? event.maybe.map(escapeHtml) : [];
+    const declinedList = Array.isArray(event.declined) ? event.declined.map(escapeHtml) : [];
+    if (maybeList.length > 0) attendeesList.push('Maybe:', ...maybeList);
+    if (waitlist.length > 0) {
+        attendeesList.push('Waitlist:', ...waitlist.map((name, i) => `${i + 1}. ${name}`));
+    }
+    if (declinedList.length > 0) attendeesList.push("Can't go:", ...declinedList);
     const attendeesAttr = escapeAttribute(attendeesList.join('\n'));
     const attendingCount = event.attendingCount || 0;
+    const waitlistCount = event.waitlistCount || 0;
+    const maybeCount = event.maybeCount || 0;
+    const ownsRsvp = ownedRsvpsFor(event).length > 0;
     const hasLimit = event.attendance_limit !== null && event.attendance_limit !== undefined;
     const isFull = hasLimit && attendingCount >= event.attendance_limit;
+    const canJoinWaitlist = isFull && isWaitlistOpen(event);
     const fillPct = hasLimit ? Math.min(100, Math.round((attendingCount / event.attendance_limit) * 100)) : 0;
 
-    // Chip: status based on fill / past
+    const isCancelled = Boolean(event.cancelled);
+    const rsvpOff = event.rsvp_enabled === false;
+    const rsvpClosed = !rsvpOff && Boolean(rsvpClosedReason(event));
+    const needsMore = event.min_attendance && attendingCount < event.min_attendance;
+
+    // Chip: status based on cancellation / fill / past
     let chipHtml = '';
-    if (isPast) {
+    if (isCancelled) {
+        chipHtml = `<span class="chip danger"><span class="dot"></span>Cancelled</span>`;
+    } else if (isPast) {
         chipHtml = `<span class="chip"><span class="dot" style="background: var(--text-muted);"></span>Ended</span>`;
+    } else if (rsvpClosed) {
+        const opensAt = rsvpOpensAt(event);
+        chipHtml = `<span class="chip"><span class="dot"></span>${opensAt ? `RSVP opens ${escapeHtml(formatRsvpTime(opensAt))}` : 'RSVP closed'}</span>`;
     } else if (isFull) {
-        chipHtml = `<span class="chip danger"><span class="dot"></span>Full</span>`;
+        const waitlistLabel = waitlistCount > 0 ? ` · ${waitlistCount} on waitlist` : '';
+        chipHtml = `<span class="chip danger"><span class="dot"></span>Full${waitlistLabel}</span>`;
     } else if (hasLimit && fillPct >= 66) {
         chipHtml = `<span class="chip accent"><span class="dot"></span>Filling up</span>`;
+    } else if (needsMore) {
+        chipHtml = `<span class="chip accent"><span class="dot"></span>Needs ${event.min_attendance - attendingCount} more</span>`;
     } else if (hasLimit) {
         chipHtml = `<span class="chip"><span class="dot"></span>Open</span>`;
     }
 
+    const guestCount = event.guestCount || 0;
+    const guestNote = guestCount > 0 ? ` (incl. ${guestCount} guest${guestCount === 1 ? '' : 's'})` : '';
     const attendanceLabel = hasLimit
-        ? `${attendingCount} / ${event.attendance_limit} going`
-        : `${attendingCount} going`;
+        ? `${attendingCount} / ${event.attendance_limit} going${guestNote}`
+        : `${attendingCount} going${guestNote}`;
 
-    // Side: attend-meter (bar + count) + rsvp-controls. Past events show "N attended" only.
+    // Side: attend-meter (bar + count) + rsvp-controls. Past events show who
+    // showed up when the host used check-in, "N attended" otherwise.
     let sideContent;
     if (isPast) {
+        const checkedInCount = event.checkedInCount || 0;
+        const walkInCount = event.walkInCount || 0;
+        let pastCountHtml = `<span class="num">${attendingCount}</span> attended`;
+        if (checkedInCount > 0 || walkInCount > 0) {
+            const walkInHtml = walkInCount > 0
+                ? ` <span class="guest-count">· ${walkInCount} walk-in${walkInCount === 1 ? '' : 's'}</span>`
+                : '';
+            pastCountHtml = `<span class="num">${checkedInCount}</span> of ${attendingCount - walkInCount} showed up${walkInHtml}`;
+        }
+        sideContent = `
+            <div class="attend-meter">
+                <span class="attendance-count">${pastCountHtml}</span>
+            </div>
+        `;
+    } else if (rsvpOff) {
         sideContent = `
             <div class="attend-meter">
-                <span class="attendance-count"><span class="num">${attendingCount}</span> attended</span>
+                <span class="attendance-count">No RSVP needed</span>
             </div>
         `;
     } else {
         const barHtml = hasLimit
             ? `<div class="attend-bar"><span style="width: ${fillPct}%;"></span></div>`
             : '';
+        const guestHtml = guestNote ? ` <span class="guest-count">${guestNote.trim()}</span>` : '';
+        const maybeHtml = maybeCount > 0 ? ` <span class="maybe-count">+${maybeCount} maybe</span>` : '';
         const countHtml = hasLimit
-            ? `<span><span class="num">${attendingCount}</span> / ${event.attendance_limit}</span>`
-            : `<span><span class="num">${attendingCount}</span> going</span>`;
+            ? `<span><span class="num">${attendingCount}</span> / ${event.attendance_limit}${guestHtml}${maybeHtml}</span>`
+            : `<span><span class="num">${attendingCount}</span> going${guestHtml}${maybeHtml}</span>`;
+        const following = pushFollows.has(`event:${event.id}`);
+        const notifyButtonHtml = pushSupported() && !isCancelled
+            ? `<button type="button" class="rsvp-trigger-notify ${following ? 'active' : ''}" data-event-id="${sanitizedEventId}" aria-pressed="${following}" aria-label="Notifications" title="${following ? 'Stop notifications for this event' : 'Notify me about this event'}">🔔</button>`
+            : '';
+        const addButtonHtml = canJoinWaitlist && !isCancelled && !rsvpClosed
+            ? `<button type="button" class="primary rsvp-trigger-add waitlist" data-event-id="${sanitizedEventId}" title="Join waitlist">Join waitlist</button>`
+            : `<button type="button" class="primary rsvp-trigger-add" data-event-id="${sanitizedEventId}" ${isFull || isCancelled || rsvpClosed ? 'disabled' : ''} aria-label="RSVP" title="RSVP">＋</button>`;
         sideContent = `
             <div class="attend-meter ${isFull ? 'full' : ''}">
                 ${barHtml}
@@ -638,8 +896,9 @@ function renderEventCard(event, { isPast, isToday }) {
                 </span>
             </div>
             <div class="rsvp-controls">
-                <button type="button" class="rsvp-trigger-remove" data-event-id="${sanitizedEventId}" ${attendingCount === 0 ? 'disabled' : ''} aria-label="Remove RSVP" title="Cancel RSVP">−</button>
-                <button type="button" class="primary rsvp-trigger-add" data-event-id="${sanitizedEventId}" ${isFull ? 'disabled' : ''} aria-label="RSVP" title="RSVP">＋</button>
+                ${notifyButtonHtml}
+                <button type="button" class="rsvp-trigger-remove" data-event-id="${sanitizedEventId}" ${ownsRsvp ? '' : 'disabled'} aria-label="Remove RSVP" title="${ownsRsvp ? 'Cancel your RSVP' : 'No RSVP from this device'}">−</button>
+                ${addButtonHtml}
             </div>
         `;
     }
@@ -647,12 +906,33 @@ function renderEventCard(event, { isPast, isToday }) {
     const metaParts = [];
     if (locationText) metaParts.push(`<span>📍 ${sanitizedLocation}</span>`);
     if (eventLink) metaParts.push(`<span>🔗 <a href="${escapeAttribute(eventLink)}" target="_blank" rel="noopener noreferrer">Link</a></span>`);
+    if (event.cost) metaParts.push(`<span>💶 ${escapeHtml(event.cost)}</span>`);
     if (chipHtml) metaParts.push(chipHtml);
+    // Recently edited in the calendar (see events.changeBadgeHours)
+    const recentChanges = Array.isArray(event.recentChanges) ? event.recentChanges : [];
+    if (!isPast && (recentChanges.includes('date') || recentChanges.includes('endDate'))) {
+        metaParts.push(`<span class="chip accent"><span class="dot"></span>Time changed</span>`);
+    }
+    if (!isPast && recentChanges.includes('location')) {
+        metaParts.push(`<span class="chip accent"><span class="dot"></span>Location changed</span>`);
+    }
+    (Array.isArray(event.tags) ? event.tags : []).forEach(tag => {
+        metaParts.push(`<span class="chip tag">${escapeHtml(tag)}</span>`);
+    });
+    if (!isPast && !isCancelled) metaParts.push(addToCalendarHtml(event));
+    // Name-only matches may be someone else with the same name
+    const mine = myRsvps[event.id] || [];
+    mine.forEach(rsvp => {
+        const titleAttr = rsvp.owned ? '' : ' title="Matched by a name you used on this device"';
+        metaParts.push(`<span class="chip mine"${titleAttr}><span class="dot"></span>${escapeHtml(myRsvpLabel(rsvp, mine.length > 1))}</span>`);
+    });
     const metaHtml = metaParts.join('');
 
     const classes = ['event-card'];
     if (isPast) classes.push('past');
     if (isToday) classes.push('today');
+    if (isCancelled) classes.push('cancelled');
+    if (mine.length > 0) classes.push('mine');
 
     return `
         <article class="${classes.join(' ')}" data-event-id="${sanitizedEventId}">
@@ -678,24 +958,157 @@ function renderEventCard(event, { isPast, isToday }) {
 }
 
 // ---------- RSVP modals ----------
+function formatModalDate(event) {
+    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    if (!event.all_day) {
+        options.hour = '2-digit';
+        options.minute = '2-digit';
+    }
+    return eventDisplayDate(event).toLocaleDateString('en-US', options);
+}
+
 function openRsvpModal(eventId) {
     const event = currentEvents.find(e => e.id === eventId);
     if (!event) return;
     currentEventForRsvp = event;
     rsvpModal.classList.remove('hidden');
     document.getElementById('modal-event-title').textContent = event.title;
-    document.getElementById('modal-event-date').textContent = new Date(event.date).toLocaleDateString('en-US', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit'
-    });
+    document.getElementById('modal-event-date').textContent = formatModalDate(event);
     const desc = typeof event.description === 'string' ? event.description : '';
     document.getElementById('modal-event-description').innerHTML = escapeHtml(desc).replace(/\n/g, '<br>');
+    renderRsvpQuestions(event);
+    selectRsvpResponse('yes');
     setTimeout(() => { document.getElementById('attendee-name').focus(); }, 50);
 }
 
+// Organizer-defined questions (from `question:` lines in the description)
+function renderRsvpQuestions(event) {
+    const container = document.getElementById('rsvp-questions');
+    container.innerHTML = '';
+    (Array.isArray(event.questions) ? event.questions : []).forEach((question, index) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `rsvp-question-${index}`;
+        label.textContent = question.text;
+
+        let field;
+        if (Array.isArray(question.options)) {
+            field = document.createElement('select');
+            field.className = 'select';
+            ['', ...question.options].forEach(optionText => {
+                const option = document.createElement('option');
+                option.value = optionText;
+                option.textContent = optionText || '—';
+                field.appendChild(option);
+            });
+        } else {
+            field = document.createElement('input');
+            field.type = 'text';
+            field.className = 'input';
+            field.maxLength = 200;
+        }
+        field.id = `rsvp-question-${index}`;
+        field.dataset.question = question.text;
+
+        group.appendChild(label);
+        group.appendChild(field);
+        container.appendChild(group);
+    });
+}
+
+function collectRsvpAnswers() {
+    const answers = {};
+    document.querySelectorAll('#rsvp-questions [data-question]').forEach(field => {
+        if (field.value.trim()) answers[field.dataset.question] = field.value.trim();
+    });
+    return answers;
+}
+
+function selectRsvpResponse(response) {
+    selectedRsvpResponse = response;
+    document.querySelectorAll('.response-option').forEach(option => {
+        const selected = option.dataset.response === response;
+        option.classList.toggle('active', selected);
+        option.setAttribute('aria-checked', selected ? 'true' : 'false');
+    });
+
+    // Only "yes" counts against the limit, so only it can end up on the waitlist
+    const event = currentEventForRsvp;
+    const isFull = event && event.attendance_limit !== null && event.attendance_limit !== undefined
+        && (event.attendingCount || 0) >= event.attendance_limit;
+    document.querySelector('.rsvp-add-btn .text').textContent = isFull && response === 'yes' ? 'Join waitlist' : 'Confirm';
+
+    // Plus-ones only come along with a "yes"
+    const maxGuests = maxGuestsFor(event);
+    const guestInput = document.getElementById('guest-count');
+    document.getElementById('guest-count-group').classList.toggle('hidden', !(maxGuests > 0 && response === 'yes'));
+    guestInput.max = String(maxGuests);
+    if (response !== 'yes') guestInput.value = '0';
+    document.getElementById('guest-count-help').textContent = `Up to ${maxGuests}. Guests count toward the attendance limit.`;
+
+    // Reminders only make sense for people who might come
+    const emailEnabled = Boolean(appConfig.email && appConfig.email.enabled);
+    document.getElementById('rsvp-email-group').classList.toggle('hidden', !(emailEnabled && response !== 'declined'));
+}
+
+// RSVPs made on this device, with the edit token the server returned for
+// each. The token is what allows changing or cancelling the RSVP later, so
+// clearing site data means asking the organizer instead.
+const OWNED_RSVPS_KEY = 'ownedRsvps';
+
+function loadOwnedRsvps() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OWNED_RSVPS_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveOwnedRsvps(entries) {
+    try {
+        localStorage.setItem(OWNED_RSVPS_KEY, JSON.stringify(entries));
+    } catch (e) {
+        console.warn('Could not store RSVP token:', e);
+    }
+}
+
+function rememberOwnedRsvp(entry) {
+    saveOwnedRsvps([...loadOwnedRsvps().filter(owned => owned.rsvpId !== entry.rsvpId), entry]);
+}
+
+function forgetOwnedRsvp(rsvpId) {
+    saveOwnedRsvps(loadOwnedRsvps().filter(owned => owned.rsvpId !== rsvpId));
+}
+
+// Owned RSVPs of an event that still show up in its lists, each with the
+// status it appears under
+function ownedRsvpsFor(event) {
+    const lists = [['attendees', 'yes'], ['waitlist', 'waitlisted'], ['maybe', 'maybe'], ['declined', 'declined']];
+    return loadOwnedRsvps()
+        .filter(owned => owned.eventId === event.id)
+        .map(owned => {
+            const found = lists.find(([listKey]) => (event[listKey] || []).includes(owned.name));
+            return found ? { ...owned, status: found[1] } : null;
+        })
+        .filter(Boolean);
+}
+
+// Per-event `guests:` directive, else the configured default
+function maxGuestsFor(event) {
+    if (event && event.max_guests !== null && event.max_guests !== undefined) return event.max_guests;
+    return (appConfig.rsvp && appConfig.rsvp.maxGuests) || 0;
+}
+
 function closeRsvpModal() {
     rsvpModal.classList.add('hidden');
     document.getElementById('attendee-name').value = '';
+    document.getElementById('guest-count').value = '0';
+    document.getElementById('rsvp-comment').value = '';
+    document.getElementById('rsvp-email').value = '';
+    document.getElementById('rsvp-questions').innerHTML = '';
     currentEventForRsvp = null;
 }
 
@@ -706,18 +1119,19 @@ function openRemoveRsvpModal(eventId) {
     const modal = document.getElementById('remove-rsvp-modal');
     modal.classList.remove('hidden');
     document.getElementById('remove-modal-event-title').textContent = event.title;
-    document.getElementById('remove-modal-event-date').textContent = new Date(event.date).toLocaleDateString('en-US', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit'
-    });
+    document.getElementById('remove-modal-event-date').textContent = formatModalDate(event);
     const selector = document.getElementById('attendee-to-remove');
     selector.innerHTML = '';
-    (event.attendees || []).forEach(name => {
+    const statusLabels = { waitlisted: 'waitlist', maybe: 'maybe', declined: "can't go" };
+    const owned = ownedRsvpsFor(event);
+    owned.forEach(rsvp => {
         const option = document.createElement('option');
-        option.value = name;
-        option.textContent = name;
+        option.value = rsvp.rsvpId;
+        option.textContent = statusLabels[rsvp.status] ? `${rsvp.name} (${statusLabels[rsvp.status]})` : rsvp.name;
         selector.appendChild(option);
     });
+    selector.disabled = owned.length === 0;
+    document.querySelector('.rsvp-remove-btn').disabled = owned.length === 0;
 }
 
 function closeRemoveRsvpModal() {
@@ -735,16 +1149,30 @@ function submitRsvp(action) {
         showToast('Please enter your name', 'error');
         return;
     }
+    // Answering again under a name this device already used updates that RSVP
+    const eventId = currentEventForRsvp.id;
+    const owned = loadOwnedRsvps().filter(rsvp => rsvp.eventId === eventId && rsvp.name === attendeeName).pop();
     const submitBtn = document.querySelector('.rsvp-add-btn');
     const textEl = submitBtn.querySelector('.text');
     const originalText = textEl.textContent;
+    const expectedWaitlist = originalText === 'Join waitlist';
     submitBtn.disabled = true;
     textEl.textContent = 'Submitting...';
 
     fetch(`${API_BASE_URL}/api/rsvp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ eventId: currentEventForRsvp.id, action, attendeeName })
+        body: JSON.stringify({
+            eventId,
+            action,
+            attendeeName,
+            editToken: owned ? owned.token : undefined,
+            response: selectedRsvpResponse,
+            guests: parseInt(document.getElementById('guest-count').value, 10) || 0,
+            comment: document.getElementById('rsvp-comment').value,
+            answers: collectRsvpAnswers(),
+            email: selectedRsvpResponse !== 'declined' ? document.getElementById('rsvp-email').value.trim() || undefined : undefined
+        })
     })
     .then(res => res.json())
     .then(result => {
@@ -752,8 +1180,28 @@ function submitRsvp(action) {
         textEl.textContent = originalText;
         if (result.success) {
             if (navigator.vibrate) navigator.vibrate(30);
+            if (result.rsvpId && result.editToken) {
+                rememberOwnedRsvp({ rsvpId: result.rsvpId, eventId, name: attendeeName, token: result.editToken });
+                addRsvpToCalendarFeed(result.editToken).catch(err => console.error('Calendar feed error:', err));
+                if (pushFollows.has(`event:${eventId}`)) {
+                    followOwnRsvps(eventId).catch(err => console.error('Push follow error:', err));
+                }
+            }
+            refreshMyRsvps();
+            closeRsvpModal();
+            const confirmations = { yes: 'RSVP confirmed', maybe: 'Marked as maybe', declined: 'Thanks for letting us know' };
+            if (result.heldUntil) {
+                showToast(result.message, 'info', 6000);
+            } else if (result.status === 'waitlisted' && !expectedWaitlist) {
+                // Someone else took the last spot while the modal was open
+                showToast(`Event just filled up — you are #${result.waitlistPosition} on the waitlist`, 'info', 6000);
+            } else {
+                showToast(result.status === 'waitlisted' ? result.message : confirmations[result.status] || 'RSVP confirmed', 'success');
+            }
+        } else if (['event_full', 'waitlist_full', 'rsvp_not_open', 'rsvp_closed'].includes(result.code)) {
             closeRsvpModal();
-            showToast('RSVP confirmed', 'success');
+            showToast(result.message, 'error', 6000);
+            loadEvents();
         } else {
             showToast(result.message || 'Error submitting RSVP', 'error');
         }
@@ -768,7 +1216,12 @@ function submitRsvp(action) {
 
 function submitRemoveRsvp() {
     if (!currentEventForRsvp) return;
-    const attendeeName = document.getElementById('attendee-to-remove').value;
+    const rsvpId = document.getElementById('attendee-to-remove').value;
+    const owned = loadOwnedRsvps().find(rsvp => rsvp.rsvpId === rsvpId);
+    if (!owned) {
+        showToast('Select an RSVP to cancel', 'error');
+        return;
+    }
     const submitBtn = document.querySelector('.rsvp-remove-btn');
     const textEl = submitBtn.querySelector('.text');
     const originalText = textEl.textContent;
@@ -778,15 +1231,23 @@ function submitRemoveRsvp() {
     fetch(`${API_BASE_URL}/api/rsvp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ eventId: currentEventForRsvp.id, action: 'remove', attendeeName })
+        body: JSON.stringify({ eventId: currentEventForRsvp.id, action: 'remove', rsvpId, editToken: owned.token })
     })
-    .then(res => res.json())
-    .then(result => {
+    .then(res => res.json().then(result => ({ status: res.status, result })))
+    .then(({ status, result }) => {
         submitBtn.disabled = false;
         textEl.textContent = originalText;
         if (result.success) {
+            forgetOwnedRsvp(rsvpId);
             closeRemoveRsvpModal();
             showToast('RSVP removed', 'success');
+            refreshMyRsvps();
+        } else if (status === 403 || status === 404) {
+            // Already gone, or the token no longer matches: nothing left to cancel
+            forgetOwnedRsvp(rsvpId);
+            closeRemoveRsvpModal();
+            displayEvents();
+            showToast(result.message || 'Error removing RSVP', 'error');
         } else {
             showToast(result.message || 'Error removing RSVP', 'error');
         }
@@ -800,6 +1261,8 @@ function submitRemoveRsvp() {
 }
 
 // ---------- Attendee tooltip (mobile) ----------
+// Section titles renderEventCard puts between the attendee names
+const TOOLTIP_HEADINGS = ['Maybe:', 'Waitlist:', "Can't go:"];
 let activeTooltip = null;
 function showAttendeeTooltip(target) {
     removeAttendeeTooltip();
@@ -812,6 +1275,7 @@ function showAttendeeTooltip(target) {
     names.split('\n').forEach(name => {
         const li = document.createElement('li');
         li.textContent = name;
+        if (TOOLTIP_HEADINGS.includes(name)) li.className = 'tooltip-heading';
         list.appendChild(li);
     });
     tooltip.appendChild(list);
@@ -839,6 +1303,11 @@ function removeAttendeeTooltip() {
 
 // ---------- Event delegation ----------
 function setupEventListeners() {
+    // RSVP modal response picker
+    document.querySelectorAll('.response-option').forEach(option => {
+        option.addEventListener('click', () => selectRsvpResponse(option.dataset.response));
+    });
+
     // Event card interactions
     eventsList.addEventListener('click', (e) => {
         // Expand/collapse long descriptions
@@ -874,10 +1343,25 @@ function setupEventListeners() {
                 showToast('Past event — RSVP closed', 'error');
                 return;
             }
+            if (ev.cancelled) {
+                showToast('This event has been cancelled', 'error');
+                return;
+            }
+            const closedReason = rsvpClosedReason(ev);
+            if (closedReason) {
+                showToast(closedReason, 'error');
+                return;
+            }
             openRsvpModal(eventId);
             return;
         }
 
+        const notifyBtn = e.target.closest('.rsvp-trigger-notify');
+        if (notifyBtn) {
+            togglePushFollow('event', notifyBtn.dataset.eventId);
+            return;
+        }
+
         const removeBtn = e.target.closest('.rsvp-trigger-remove');
         if (removeBtn) {
             const eventId = removeBtn.dataset.eventId;
@@ -942,6 +1426,232 @@ function setupEventListeners() {
 
 }
 
+// ---------- Push notifications ----------
+// One push subscription per browser; the server keeps what it follows
+// (events, calendars and this device's own RSVPs, see server/push.js).
+function pushSupported() {
+    return Boolean(appConfig.push && appConfig.push.enabled)
+        && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const raw = atob((base64String + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+async function getPushSubscription({ create = false } = {}) {
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription && create) {
+        if (await Notification.requestPermission() !== 'granted') return null;
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(appConfig.push.publicKey)
+        });
+    }
+    return subscription;
+}
+
+async function loadPushFollows() {
+    if (!pushSupported() || Notification.permission !== 'granted') return;
+    try {
+        const subscription = await getPushSubscription();
+        if (!subscription) return;
+        const response = await fetch(`${API_BASE_URL}/api/push/follows`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+        const result = await response.json();
+        if (!result.success) return;
+        pushFollows = new Set(result.follows.map(follow => `${follow.kind}:${follow.target}`));
+        updatePushButtons();
+        if (currentEvents.length > 0) displayEvents();
+    } catch (err) {
+        console.error('Error loading notification settings:', err);
+    }
+}
+
+async function postPushFollow(subscription, kind, target, editToken) {
+    const response = await fetch(`${API_BASE_URL}/api/push/follow`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription: subscription.toJSON(), kind, target, editToken })
+    });
+    const result = await response.json();
+    if (result.success) pushFollows.add(`${kind}:${target}`);
+    return result;
+}
+
+// Promotion notices are sent per RSVP, so the event's bell also covers the
+// RSVPs made on this device
+async function followOwnRsvps(eventId) {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    for (const owned of loadOwnedRsvps().filter(entry => entry.eventId === eventId)) {
+        if (!pushFollows.has(`rsvp:${owned.rsvpId}`)) {
+            await postPushFollow(subscription, 'rsvp', owned.rsvpId, owned.token);
+        }
+    }
+}
+
+async function togglePushFollow(kind, target) {
+    try {
+        const key = `${kind}:${target}`;
+        if (pushFollows.has(key)) {
+            const subscription = await getPushSubscription();
+            if (subscription) {
+                await fetch(`${API_BASE_URL}/api/push/unfollow`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ endpoint: subscription.endpoint, kind, target })
+                });
+            }
+            pushFollows.delete(key);
+            showToast('Notifications off', 'info');
+        } else {
+            const subscription = await getPushSubscription({ create: true });
+            if (!subscription) {
+                showToast('Notifications are blocked. Allow them in your browser settings.', 'error', 6000);
+                return;
+            }
+            const result = await postPushFollow(subscription, kind, target);
+            if (!result.success) {
+                showToast(result.message || 'Could not turn on notifications', 'error');
+                return;
+            }
+            if (kind === 'event') await followOwnRsvps(target);
+            showToast(kind === 'event' ? "You'll be notified about this event" : "You'll be notified about new events", 'success');
+        }
+        updatePushButtons();
+        displayEvents();
+    } catch (err) {
+        console.error('Push notification error:', err);
+        showToast('Could not change notifications', 'error');
+    }
+}
+
+function updatePushButtons() {
+    document.querySelectorAll('.push-follow-calendar').forEach(button => {
+        const following = pushFollows.has(`calendar:${button.dataset.source}`);
+        button.classList.toggle('active', following);
+        button.setAttribute('aria-pressed', following ? 'true' : 'false');
+    });
+}
+
+// ---------- Add to my calendar ----------
+// Per-event links on each card, and a private feed of the events this device
+// RSVP'd "going" to (served at /calendar/<feed token>.ics). The feed token is
+// kept like the edit tokens; new RSVPs are added to the feed as they are made.
+const CALENDAR_FEED_KEY = 'calendarFeedToken';
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000; // same as the server's .ics files
+
+// All-day events are stored at UTC midnight; their end is exclusive
+function calendarEventEnd(event) {
+    if (event.enddate) return new Date(event.enddate);
+    const start = new Date(event.date).getTime();
+    return new Date(start + (event.all_day ? 24 * 60 * 60 * 1000 : DEFAULT_EVENT_DURATION_MS));
+}
+
+function addToCalendarLinks(event) {
+    const start = new Date(event.date);
+    const end = calendarEventEnd(event);
+    const details = [
+        typeof event.description === 'string' ? event.description.slice(0, 1000) : '',
+        `${API_BASE_URL}/?event=${encodeURIComponent(event.id)}`
+    ].filter(Boolean).join('\n\n');
+
+    const compact = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const googleDates = event.all_day
+        ? `${compact(start).slice(0, 8)}/${compact(end).slice(0, 8)}`
+        : `${compact(start)}/${compact(end)}`;
+    const google = new URL('https://calendar.google.com/calendar/render');
+    google.search = new URLSearchParams({
+        action: 'TEMPLATE', text: event.title, dates: googleDates, details, location: event.location || ''
+    });
+
+    const outlook = new URL('https://outlook.live.com/calendar/0/deeplink/compose');
+    outlook.search = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: event.title,
+        startdt: event.all_day ? start.toISOString().slice(0, 10) : start.toISOString(),
+        enddt: event.all_day ? end.toISOString().slice(0, 10) : end.toISOString(),
+        allday: event.all_day ? 'true' : 'false',
+        body: details,
+        location: event.location || ''
+    });
+
+    return {
+        ics: `${API_BASE_URL}/api/events/${encodeURIComponent(event.id)}/calendar.ics`,
+        google: google.toString(),
+        outlook: outlook.toString()
+    };
+}
+
+function addToCalendarHtml(event) {
+    const links = addToCalendarLinks(event);
+    return `
+        <details class="event-add-calendar">
+            <summary>📅 Add to calendar</summary>
+            <div class="event-add-calendar-links">
+                <a href="${escapeAttribute(links.ics)}" download>Download .ics</a>
+                <a href="${escapeAttribute(links.google)}" target="_blank" rel="noopener noreferrer">Google Calendar</a>
+                <a href="${escapeAttribute(links.outlook)}" target="_blank" rel="noopener noreferrer">Outlook</a>
+            </div>
+        </details>
+    `;
+}
+
+async function postCalendarFeed(body) {
+    const response = await fetch(`${API_BASE_URL}/api/calendar-feed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+// Creates the feed on first use (or when it was removed) with all RSVPs made
+// on this device, and hands the URL to the calendar app
+async function subscribeToMyCalendarFeed() {
+    try {
+        const tokens = loadOwnedRsvps().slice(-500).map(owned => owned.token);
+        const storedToken = localStorage.getItem(CALENDAR_FEED_KEY);
+        let result = await postCalendarFeed({ feedToken: storedToken || undefined, tokens });
+        if (!result.success && result.code === 'feed_not_found') {
+            result = await postCalendarFeed({ tokens });
+        }
+        if (!result.success) {
+            showToast(result.message || 'Could not create your calendar feed', 'error');
+            return;
+        }
+        localStorage.setItem(CALENDAR_FEED_KEY, result.feedToken);
+
+        // Web calendars such as Google's need the URL pasted under "From URL"
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(result.url);
+            copied = true;
+        } catch (_) { /* not allowed here */ }
+        showToast(copied
+            ? 'Feed link copied. Your calendar app opens to subscribe; in Google Calendar, add it under "From URL".'
+            : `Subscribe to this private link in your calendar app: ${result.url}`, 'success', 10000);
+        window.location.href = result.url.replace(/^https?:/, 'webcal:');
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        showToast('Could not create your calendar feed', 'error');
+    }
+}
+
+async function addRsvpToCalendarFeed(editToken) {
+    const feedToken = localStorage.getItem(CALENDAR_FEED_KEY);
+    if (!feedToken) return;
+    const result = await postCalendarFeed({ feedToken, tokens: [editToken] });
+    if (!result.success && result.code === 'feed_not_found') localStorage.removeItem(CALENDAR_FEED_KEY);
+}
+
 // ---------- WebSocket ----------
 function setupWebSocket() {
     const wsProtocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
@@ -952,13 +1662,51 @@ function setupWebSocket() {
         try {
             const data = JSON.parse(message.data);
             if (data.type === 'attendance_update') {
-                const { eventId, attendingCount, attendees } = data.payload;
+                const {
+                    eventId, attendingCount, guestCount, attendees, attendeeGuests,
+                    waitlistCount, waitlist, maybeCount, maybe, declinedCount, declined,
+                    checkedInCount, walkInCount
+                } = data.payload;
                 const idx = currentEvents.findIndex(e => e.id === eventId);
                 if (idx !== -1) {
                     currentEvents[idx].attendingCount = attendingCount;
+                    currentEvents[idx].guestCount = guestCount || 0;
                     currentEvents[idx].attendees = attendees;
+                    currentEvents[idx].attendeeGuests = attendeeGuests || [];
+                    currentEvents[idx].waitlistCount = waitlistCount || 0;
+                    currentEvents[idx].waitlist = waitlist || [];
+                    currentEvents[idx].maybeCount = maybeCount || 0;
+                    currentEvents[idx].maybe = maybe || [];
+                    currentEvents[idx].declinedCount = declinedCount || 0;
+                    currentEvents[idx].declined = declined || [];
+                    currentEvents[idx].checkedInCount = checkedInCount || 0;
+                    currentEvents[idx].walkInCount = walkInCount || 0;
+                    displayEvents();
+                }
+                // Promotions and cancellations move this device's waitlist spots
+                if (myRsvps[eventId]) refreshMyRsvps();
+            } else if (data.type === 'event_update') {
+                // Attendance limit or RSVP window changed in the admin panel
+                const idx = currentEvents.findIndex(e => e.id === data.payload.id);
+                if (idx !== -1) {
+                    currentEvents[idx] = { ...currentEvents[idx], ...data.payload };
                     displayEvents();
                 }
+            } else if (data.type === 'event_changed') {
+                // The list itself is refreshed by the calendar_synced that follows
+                const { eventId, title, changes } = data.payload;
+                const fields = changes.map(change => change.field);
+                const what = [
+                    fields.includes('date') || fields.includes('endDate') ? 'time' : null,
+                    fields.includes('location') ? 'location' : null
+                ].filter(Boolean);
+                if (what.length > 0 && currentEvents.some(e => e.id === eventId)) {
+                    showToast(`"${title}": ${what.join(' and ')} changed`, 'info', 6000);
+                }
+            } else if (data.type === 'calendar_synced') {
+                // Events were added, changed or removed by the background sync
+                loadEvents();
+                loadAllCalendarEvents();
             }
         } catch (err) {
             console.error('WebSocket message error:', err);
@@ -0,0 +1,227 @@
+const API_BASE_URL = window.location.origin;
+const eventId = decodeURIComponent(window.location.pathname.split('/').pop());
+
+let checkInRsvps = [];
+
+// Admin key management
+function getAdminKey() {
+    let key = localStorage.getItem('adminKey');
+    if (!key) {
+        key = prompt('Enter admin key (will be saved locally in your browser):');
+        if (key) {
+            localStorage.setItem('adminKey', key);
+        }
+    }
+    return key;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('walk-in-form').addEventListener('submit', addWalkIn);
+    document.getElementById('checkin-search').addEventListener('input', displayCheckInList);
+    loadCheckIn();
+    setupWebSocket();
+});
+
+async function adminFetch(path, options = {}) {
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        showMessage('Admin key is required', 'error');
+        return null;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Admin-Key': adminKey
+        }
+    });
+    if (response.status === 401) {
+        localStorage.removeItem('adminKey');
+        showMessage('Invalid admin key. Please refresh the page and try again.', 'error');
+        return null;
+    }
+    return response.json();
+}
+
+async function loadCheckIn() {
+    try {
+        const result = await adminFetch(`/api/admin/events/${encodeURIComponent(eventId)}/checkin`);
+        if (!result) return;
+        if (!result.success) {
+            document.getElementById('checkin-event-title').textContent = 'Check-in';
+            showMessage(result.message || 'Failed to load check-in', 'error');
+            return;
+        }
+
+        const { event, rsvps, attendance, selfCheckIn } = result;
+        document.title = `Admin — Check-in: ${event.title}`;
+        document.getElementById('checkin-event-title').textContent = event.title;
+        document.getElementById('checkin-event-meta').textContent = [
+            new Date(event.date).toLocaleString('en-US', {
+                weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            }),
+            event.location,
+            event.cancelled ? 'Cancelled' : null
+        ].filter(Boolean).join(' · ');
+
+        checkInRsvps = rsvps;
+        displayCheckInList();
+        displayCounts(attendance);
+        displaySelfCheckIn(selfCheckIn);
+    } catch (error) {
+        console.error('Error loading check-in:', error);
+        showMessage('Error loading check-in. Please try again.', 'error');
+    }
+}
+
+function displayCounts({ attendingCount, checkedInCount, walkInCount }) {
+    const walkIns = walkInCount > 0 ? ` · ${walkInCount} walk-in${walkInCount === 1 ? '' : 's'}` : '';
+    document.getElementById('checkin-counts').textContent =
+        `${checkedInCount} of ${attendingCount - walkInCount} checked in${walkIns}`;
+}
+
+function displaySelfCheckIn({ url, qrSvg, opensAt, closesAt }) {
+    const format = value => new Date(value).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    document.getElementById('self-checkin-window').textContent =
+        `Open from ${format(opensAt)} until ${format(closesAt)}`;
+    // Generated by the server from our own URL
+    document.getElementById('self-checkin-qr').innerHTML = qrSvg;
+    const link = document.getElementById('self-checkin-link');
+    link.href = url;
+    link.textContent = url;
+}
+
+function statusLabel(rsvp) {
+    if (rsvp.walk_in) return 'Walk-in';
+    if (rsvp.attendance === 'waitlisted') return 'Waitlist';
+    if (rsvp.attendance === 'maybe') return 'Maybe';
+    return 'Going';
+}
+
+function displayCheckInList() {
+    const list = document.getElementById('checkin-list');
+    const search = document.getElementById('checkin-search').value.trim().toLowerCase();
+    const rsvps = checkInRsvps.filter(rsvp => rsvp.attendee_name.toLowerCase().includes(search));
+
+    list.innerHTML = '';
+    if (rsvps.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'sub';
+        empty.textContent = checkInRsvps.length === 0 ? 'No RSVPs yet.' : 'No matching names.';
+        list.appendChild(empty);
+        return;
+    }
+
+    rsvps.forEach(rsvp => {
+        const item = document.createElement('li');
+        item.className = `checkin-row${rsvp.checked_in_at ? ' checked-in' : ''}`;
+
+        const name = document.createElement('div');
+        name.className = 'checkin-name';
+        name.textContent = rsvp.guests > 0 ? `${rsvp.attendee_name} (+${rsvp.guests})` : rsvp.attendee_name;
+
+        const status = document.createElement('div');
+        status.className = 'sub';
+        status.textContent = rsvp.checked_in_at
+            ? `${statusLabel(rsvp)} · checked in ${new Date(rsvp.checked_in_at).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`
+            : statusLabel(rsvp);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = rsvp.checked_in_at ? 'btn ghost sm' : 'btn accent sm';
+        button.textContent = rsvp.checked_in_at ? 'Undo' : 'Check in';
+        button.addEventListener('click', () => setCheckedIn(rsvp.id, !rsvp.checked_in_at, button));
+
+        const details = document.createElement('div');
+        details.appendChild(name);
+        details.appendChild(status);
+        item.appendChild(details);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+async function setCheckedIn(rsvpId, checkedIn, button) {
+    button.disabled = true;
+    try {
+        const result = await adminFetch(`/api/admin/events/${encodeURIComponent(eventId)}/checkin`, {
+            method: 'POST',
+            body: JSON.stringify({ rsvpId, checkedIn })
+        });
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to update check-in', 'error');
+            return;
+        }
+        // The attendance_update broadcast refreshes the counts
+        checkInRsvps = checkInRsvps.map(rsvp => (rsvp.id === rsvpId ? result.rsvp : rsvp));
+        displayCheckInList();
+    } catch (error) {
+        console.error('Error updating check-in:', error);
+        showMessage('Error updating check-in. Please try again.', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function addWalkIn(e) {
+    e.preventDefault();
+    const nameInput = document.getElementById('walk-in-name');
+    const guestsInput = document.getElementById('walk-in-guests');
+
+    try {
+        const result = await adminFetch(`/api/admin/events/${encodeURIComponent(eventId)}/walk-ins`, {
+            method: 'POST',
+            body: JSON.stringify({ name: nameInput.value.trim(), guests: guestsInput.value })
+        });
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to add walk-in', 'error');
+            return;
+        }
+        checkInRsvps.push(result.rsvp);
+        displayCheckInList();
+        showMessage(`${result.rsvp.attendee_name} added and checked in`, 'success');
+        nameInput.value = '';
+        guestsInput.value = '0';
+        nameInput.focus();
+    } catch (error) {
+        console.error('Error adding walk-in:', error);
+        showMessage('Error adding walk-in. Please try again.', 'error');
+    }
+}
+
+// Other hosts and self check-ins change the list while the event runs
+function setupWebSocket() {
+    const wsProtocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    const ws = new WebSocket(`${wsProtocol}://${window.location.host}`);
+
+    ws.onmessage = (message) => {
+        try {
+            const data = JSON.parse(message.data);
+            if (data.type === 'attendance_update' && data.payload.eventId === eventId) {
+                loadCheckIn();
+            }
+        } catch (err) {
+            console.error('WebSocket message error:', err);
+        }
+    };
+    ws.onclose = () => setTimeout(setupWebSocket, 5000);
+    ws.onerror = (err) => console.error('WebSocket error:', err);
+}
+
+function showMessage(message, type) {
+    const messageDiv = document.getElementById('form-message');
+    messageDiv.textContent = message;
+    messageDiv.className = `form-message ${type}`;
+
+    if (type === 'success') {
+        setTimeout(() => {
+            messageDiv.textContent = '';
+            messageDiv.className = 'form-message';
+        }, 3000);
+    }
+}
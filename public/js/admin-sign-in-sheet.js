@@ -0,0 +1,182 @@
+const API_BASE_URL = window.location.origin;
+// eventId, or from and to, as on /api/admin/exports/attendees
+const sheetParams = new URLSearchParams(window.location.search);
+
+let sheetEvents = [];
+let sheetTimeZone = 'UTC';
+
+// Admin key management
+function getAdminKey() {
+    let key = localStorage.getItem('adminKey');
+    if (!key) {
+        key = prompt('Enter admin key (will be saved locally in your browser):');
+        if (key) {
+            localStorage.setItem('adminKey', key);
+        }
+    }
+    return key;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('sign-in-sheet-print').addEventListener('click', () => window.print());
+    document.getElementById('sign-in-sheet-blank-rows').addEventListener('input', displaySheets);
+    document.getElementById('sign-in-sheet-others').addEventListener('change', displaySheets);
+    loadSheets();
+});
+
+async function adminFetch(path, options = {}) {
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        showMessage('Admin key is required', 'error');
+        return null;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Admin-Key': adminKey
+        }
+    });
+    if (response.status === 401) {
+        localStorage.removeItem('adminKey');
+        showMessage('Invalid admin key. Please refresh the page and try again.', 'error');
+        return null;
+    }
+    return response.json();
+}
+
+async function loadSheets() {
+    const query = new URLSearchParams(sheetParams);
+    query.set('format', 'json');
+    try {
+        const result = await adminFetch(`/api/admin/exports/attendees?${query}`);
+        if (!result) return;
+        if (!result.success) {
+            document.getElementById('sign-in-sheet-title').textContent = 'Sign-in sheet';
+            showMessage(result.message || 'Failed to load attendees', 'error');
+            return;
+        }
+
+        sheetEvents = result.events;
+        sheetTimeZone = result.timeZone;
+        const title = sheetParams.get('eventId') && sheetEvents[0]
+            ? sheetEvents[0].title
+            : `${sheetParams.get('from')} to ${sheetParams.get('to')}`;
+        document.title = `Admin — Sign-in sheet: ${title}`;
+        document.getElementById('sign-in-sheet-title').textContent = title;
+        displaySheets();
+    } catch (error) {
+        console.error('Error loading sign-in sheet:', error);
+        showMessage('Error loading attendees. Please try again.', 'error');
+    }
+}
+
+// All-day events are stored at UTC midnight of their day
+function formatEventDate(event) {
+    return event.all_day
+        ? new Date(event.date).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+        : new Date(event.date).toLocaleString('en-US', {
+            timeZone: sheetTimeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+}
+
+function cell(tag, text, className) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text ?? '';
+    return element;
+}
+
+function checkboxCell(checked) {
+    const box = cell('td', checked ? '✓' : '', 'sign-in-box');
+    box.setAttribute('aria-label', checked ? 'Checked in' : 'Not checked in');
+    return box;
+}
+
+// One table of RSVPs, followed by `blankRows` empty lines for walk-ins
+function sheetTable(questions, rsvps, { blankRows = 0, showStatus = false } = {}) {
+    const table = document.createElement('table');
+    table.className = 'sign-in-table';
+
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(cell('th', '', 'sign-in-box'));
+    headerRow.appendChild(cell('th', 'Name'));
+    if (showStatus) headerRow.appendChild(cell('th', 'Status'));
+    headerRow.appendChild(cell('th', 'Guests', 'sign-in-guests'));
+    questions.forEach(question => headerRow.appendChild(cell('th', question.text)));
+    headerRow.appendChild(cell('th', 'Notes'));
+    const head = document.createElement('thead');
+    head.appendChild(headerRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    rsvps.forEach(rsvp => {
+        const row = document.createElement('tr');
+        row.appendChild(checkboxCell(Boolean(rsvp.checked_in_at)));
+        row.appendChild(cell('td', rsvp.attendee_name, 'sign-in-name'));
+        if (showStatus) row.appendChild(cell('td', rsvp.attendance === 'waitlisted' ? 'Waitlist' : 'Maybe'));
+        row.appendChild(cell('td', rsvp.guests > 0 ? `+${rsvp.guests}` : '', 'sign-in-guests'));
+        questions.forEach(question => row.appendChild(cell('td', rsvp.answers && rsvp.answers[question.text])));
+        row.appendChild(cell('td', [rsvp.walk_in ? 'Walk-in' : null, rsvp.comment].filter(Boolean).join(' · ')));
+        body.appendChild(row);
+    });
+    for (let i = 0; i < blankRows; i++) {
+        const row = document.createElement('tr');
+        row.className = 'sign-in-blank';
+        row.appendChild(checkboxCell(false));
+        const columns = 3 + questions.length + (showStatus ? 1 : 0);
+        for (let column = 0; column < columns; column++) row.appendChild(cell('td', ''));
+        body.appendChild(row);
+    }
+    table.appendChild(body);
+    return table;
+}
+
+function displaySheets() {
+    const container = document.getElementById('sign-in-sheets');
+    const blankRows = Math.min(50, Math.max(0, parseInt(document.getElementById('sign-in-sheet-blank-rows').value, 10) || 0));
+    const showOthers = document.getElementById('sign-in-sheet-others').checked;
+    container.innerHTML = '';
+
+    if (sheetEvents.length === 0) {
+        container.appendChild(cell('p', 'No events in this range.', 'sub'));
+        return;
+    }
+
+    sheetEvents.forEach(event => {
+        const going = event.rsvps.filter(rsvp => rsvp.attendance === 'yes');
+        const others = event.rsvps.filter(rsvp => rsvp.attendance === 'waitlisted' || rsvp.attendance === 'maybe');
+        const people = going.reduce((total, rsvp) => total + 1 + rsvp.guests, 0);
+
+        const sheet = document.createElement('section');
+        sheet.className = 'sign-in-sheet';
+        sheet.appendChild(cell('h2', event.title, 'section-title'));
+        sheet.appendChild(cell('p', [
+            formatEventDate(event),
+            event.location,
+            `${people} going${event.attendance_limit ? ` of ${event.attendance_limit}` : ''}`,
+            event.cancelled ? 'Cancelled' : null
+        ].filter(Boolean).join(' · '), 'section-meta'));
+
+        sheet.appendChild(sheetTable(event.questions || [], going, { blankRows }));
+        if (showOthers && others.length > 0) {
+            sheet.appendChild(cell('h3', 'Waitlist and maybe'));
+            sheet.appendChild(sheetTable(event.questions || [], others, { showStatus: true }));
+        }
+        container.appendChild(sheet);
+    });
+}
+
+function showMessage(message, type) {
+    const messageDiv = document.getElementById('form-message');
+    messageDiv.textContent = message;
+    messageDiv.className = `form-message ${type}`;
+
+    if (type === 'success') {
+        setTimeout(() => {
+            messageDiv.textContent = '';
+            messageDiv.className = 'form-message';
+        }, 3000);
+    }
+}
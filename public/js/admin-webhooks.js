@@ -0,0 +1,372 @@
+const API_BASE_URL = window.location.origin;
+
+const EVENT_TYPE_LABELS = {
+    'rsvp.created': 'New or changed RSVP',
+    'rsvp.removed': 'RSVP cancelled or removed',
+    'event.full': 'Event filled up',
+    'event.changed': 'Event changed or cancelled',
+    'donation.created': 'Donation added'
+};
+
+let eventTypes = Object.keys(EVENT_TYPE_LABELS);
+
+// Admin key management
+function getAdminKey() {
+    let key = localStorage.getItem('adminKey');
+    if (!key) {
+        key = prompt('Enter admin key (will be saved locally in your browser):');
+        if (key) {
+            localStorage.setItem('adminKey', key);
+        }
+    }
+    return key;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('webhook-form').addEventListener('submit', addWebhook);
+    renderEventTypeOptions();
+    loadWebhooks();
+});
+
+async function adminFetch(path, options = {}) {
+    const adminKey = getAdminKey();
+    if (!adminKey) {
+        showMessage('Admin key is required', 'error');
+        return null;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Admin-Key': adminKey
+        }
+    });
+    if (response.status === 401) {
+        localStorage.removeItem('adminKey');
+        showMessage('Invalid admin key. Please refresh the page and try again.', 'error');
+        return null;
+    }
+    return response.json();
+}
+
+function eventTypeCheckboxes(container, selected, namePrefix) {
+    container.innerHTML = '';
+    eventTypes.forEach(type => {
+        const label = document.createElement('label');
+        label.className = 'webhook-event-type';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type;
+        checkbox.name = `${namePrefix}-event-types`;
+        checkbox.checked = selected.includes(type);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${EVENT_TYPE_LABELS[type] || type} `));
+        const code = document.createElement('code');
+        code.textContent = type;
+        label.appendChild(code);
+        container.appendChild(label);
+    });
+}
+
+function checkedEventTypes(container) {
+    return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+}
+
+function renderEventTypeOptions() {
+    eventTypeCheckboxes(document.getElementById('webhook-event-types'), eventTypes, 'new');
+}
+
+async function loadWebhooks() {
+    try {
+        const result = await adminFetch('/api/admin/webhooks');
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to load webhooks', 'error');
+            return;
+        }
+        eventTypes = result.eventTypes;
+        displayWebhooks(result.webhooks);
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+        showMessage('Error loading webhooks. Please try again.', 'error');
+    }
+}
+
+async function addWebhook(e) {
+    e.preventDefault();
+    const selected = checkedEventTypes(document.getElementById('webhook-event-types'));
+    if (selected.length === 0) {
+        showMessage('Pick at least one event', 'error');
+        return;
+    }
+
+    try {
+        const result = await adminFetch('/api/admin/webhooks', {
+            method: 'POST',
+            body: JSON.stringify({
+                url: document.getElementById('webhook-url').value.trim(),
+                description: document.getElementById('webhook-description').value.trim() || null,
+                secret: document.getElementById('webhook-secret').value.trim() || null,
+                eventTypes: selected
+            })
+        });
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to add webhook', 'error');
+            return;
+        }
+        showMessage('Webhook added', 'success');
+        showSecretOnce(result.webhook);
+        e.target.reset();
+        renderEventTypeOptions();
+        loadWebhooks();
+    } catch (error) {
+        console.error('Error adding webhook:', error);
+        showMessage('Error adding webhook. Please try again.', 'error');
+    }
+}
+
+// The server only returns a secret in full right after it was created or
+// replaced
+function showSecretOnce(webhook) {
+    if (webhook && webhook.secretShown) {
+        prompt('Signing secret for the receiver. Copy it now: it is not shown again.', webhook.secret);
+    }
+}
+
+async function updateWebhook(id, changes, successMessage) {
+    try {
+        const result = await adminFetch(`/api/admin/webhooks/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to update webhook', 'error');
+            return;
+        }
+        showMessage(successMessage, 'success');
+        showSecretOnce(result.webhook);
+        loadWebhooks();
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        showMessage('Error updating webhook. Please try again.', 'error');
+    }
+}
+
+async function deleteWebhook(webhook) {
+    if (!confirm(`Delete the webhook to ${webhook.url}? Its delivery log is deleted too.`)) return;
+    try {
+        const result = await adminFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.id)}`, { method: 'DELETE' });
+        if (!result) return;
+        if (!result.success) {
+            showMessage(result.message || 'Failed to delete webhook', 'error');
+            return;
+        }
+        showMessage('Webhook deleted', 'success');
+        loadWebhooks();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        showMessage('Error deleting webhook. Please try again.', 'error');
+    }
+}
+
+async function sendTest(webhook, testButton) {
+    testButton.disabled = true;
+    showMessage('Sending test…', 'loading');
+    try {
+        const result = await adminFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.id)}/test`, { method: 'POST' });
+        if (!result) return;
+        showMessage(result.message || 'Failed to send test', result.success && result.delivered ? 'success' : 'error');
+        loadWebhooks();
+    } catch (error) {
+        console.error('Error sending test webhook:', error);
+        showMessage('Error sending test. Please try again.', 'error');
+    } finally {
+        testButton.disabled = false;
+    }
+}
+
+function formatTime(value) {
+    return new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function deliverySummary(delivery) {
+    const outcome = delivery.status === 'delivered'
+        ? `delivered (HTTP ${delivery.last_status_code})`
+        : `${delivery.status}${delivery.last_error ? `: ${delivery.last_error}` : ''}`;
+    return `${delivery.event_type} ${outcome} · ${formatTime(delivery.at || delivery.last_attempt_at || delivery.created_at)}`;
+}
+
+function button(label, className, onClick) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = className;
+    element.textContent = label;
+    element.addEventListener('click', () => onClick(element));
+    return element;
+}
+
+function displayWebhooks(webhooks) {
+    const list = document.getElementById('webhooks-list');
+    list.innerHTML = '';
+    if (webhooks.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'sub';
+        empty.textContent = 'No webhooks yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    webhooks.forEach(webhook => {
+        const row = document.createElement('div');
+        row.className = 'admin-row webhook-row';
+
+        const info = document.createElement('div');
+        const title = document.createElement('h4');
+        title.textContent = webhook.description || webhook.url;
+        info.appendChild(title);
+
+        const details = document.createElement('p');
+        details.className = 'sub';
+        details.textContent = [
+            webhook.description ? webhook.url : null,
+            webhook.event_types.join(', '),
+            webhook.last_delivery ? `last: ${deliverySummary(webhook.last_delivery)}` : 'no deliveries yet'
+        ].filter(Boolean).join(' · ');
+        info.appendChild(details);
+
+        const secret = document.createElement('p');
+        secret.className = 'sub webhook-secret';
+        secret.textContent = 'Signing secret: ';
+        const secretValue = document.createElement('code');
+        secretValue.textContent = webhook.secret;
+        secret.appendChild(secretValue);
+        secret.title = 'Shown in full only when it is created or replaced';
+        info.appendChild(secret);
+
+        const chip = document.createElement('span');
+        chip.className = webhook.enabled ? 'chip accent' : 'chip';
+        chip.innerHTML = '<span class="dot"></span>';
+        chip.appendChild(document.createTextNode(webhook.enabled ? 'Active' : 'Paused'));
+
+        const actions = document.createElement('div');
+        actions.className = 'admin-controls';
+        actions.appendChild(button('Send test', 'btn ghost sm', element => sendTest(webhook, element)));
+        actions.appendChild(button('Deliveries', 'btn ghost sm', () => toggleDeliveries(webhook, row)));
+        actions.appendChild(button('Events', 'btn ghost sm', () => toggleEventTypeEditor(webhook, row)));
+        actions.appendChild(button(webhook.enabled ? 'Pause' : 'Resume', 'btn ghost sm',
+            () => updateWebhook(webhook.id, { enabled: !webhook.enabled }, webhook.enabled ? 'Webhook paused' : 'Webhook resumed')));
+        actions.appendChild(button('New secret', 'btn ghost sm', () => {
+            if (confirm('Replace the signing secret? The receiver needs the new one to verify deliveries.')) {
+                updateWebhook(webhook.id, { rotateSecret: true }, 'Secret replaced');
+            }
+        }));
+        actions.appendChild(button('Delete', 'btn ghost sm', () => deleteWebhook(webhook)));
+
+        const side = document.createElement('div');
+        side.className = 'webhook-side';
+        side.appendChild(chip);
+        side.appendChild(actions);
+
+        row.appendChild(info);
+        row.appendChild(side);
+        list.appendChild(row);
+    });
+}
+
+// Panels open below the row, one at a time
+function replacePanel(row, className) {
+    const existing = row.querySelector('.webhook-panel');
+    if (existing) {
+        existing.remove();
+        if (existing.classList.contains(className)) return null;
+    }
+    const panel = document.createElement('div');
+    panel.className = `webhook-panel ${className}`;
+    row.appendChild(panel);
+    return panel;
+}
+
+function toggleEventTypeEditor(webhook, row) {
+    const panel = replacePanel(row, 'webhook-event-editor');
+    if (!panel) return;
+
+    const options = document.createElement('div');
+    eventTypeCheckboxes(options, webhook.event_types, `webhook-${webhook.id}`);
+    panel.appendChild(options);
+    panel.appendChild(button('Save events', 'btn accent sm', () => {
+        const selected = checkedEventTypes(options);
+        if (selected.length === 0) {
+            showMessage('Pick at least one event', 'error');
+            return;
+        }
+        updateWebhook(webhook.id, { eventTypes: selected }, 'Events updated');
+    }));
+}
+
+async function toggleDeliveries(webhook, row) {
+    const panel = replacePanel(row, 'webhook-deliveries');
+    if (!panel) return;
+    panel.textContent = 'Loading…';
+
+    try {
+        const result = await adminFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.id)}/deliveries`);
+        if (!result) return;
+        if (!result.success) {
+            panel.textContent = result.message || 'Failed to load deliveries';
+            return;
+        }
+
+        panel.innerHTML = '';
+        if (result.deliveries.length === 0) {
+            panel.textContent = 'No deliveries yet.';
+            return;
+        }
+        const list = document.createElement('ul');
+        list.className = 'responses-list';
+        result.deliveries.forEach(delivery => {
+            const item = document.createElement('li');
+            const summary = document.createElement('div');
+            summary.textContent = deliverySummary(delivery);
+            const meta = document.createElement('div');
+            meta.className = 'sub';
+            meta.textContent = [
+                `#${delivery.id}`,
+                `${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`,
+                delivery.status === 'pending' && delivery.next_attempt_at ? `next try ${formatTime(delivery.next_attempt_at)}` : null
+            ].filter(Boolean).join(' · ');
+
+            const payload = document.createElement('details');
+            const payloadSummary = document.createElement('summary');
+            payloadSummary.textContent = 'Payload';
+            const payloadBody = document.createElement('pre');
+            payloadBody.textContent = JSON.stringify(delivery.payload, null, 2);
+            payload.appendChild(payloadSummary);
+            payload.appendChild(payloadBody);
+
+            item.appendChild(summary);
+            item.appendChild(meta);
+            item.appendChild(payload);
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+    } catch (error) {
+        console.error('Error loading webhook deliveries:', error);
+        panel.textContent = 'Error loading deliveries. Please try again.';
+    }
+}
+
+function showMessage(message, type) {
+    const messageDiv = document.getElementById('form-message');
+    messageDiv.textContent = message;
+    messageDiv.className = `form-message ${type}`;
+
+    if (type === 'success') {
+        setTimeout(() => {
+            messageDiv.textContent = '';
+            messageDiv.className = 'form-message';
+        }, 3000);
+    }
+}
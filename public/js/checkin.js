@@ -0,0 +1,69 @@
+const API_BASE_URL = window.location.origin;
+const eventId = decodeURIComponent(window.location.pathname.split('/').pop());
+const checkInCode = new URLSearchParams(window.location.search).get('code');
+
+// Same storage as the RSVP page (public/app.js)
+const OWNED_RSVPS_KEY = 'ownedRsvps';
+
+function loadOwnedRsvps() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OWNED_RSVPS_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('checkin-name-form').addEventListener('submit', e => {
+        e.preventDefault();
+        checkIn(document.getElementById('checkin-name').value.trim());
+    });
+
+    // RSVPs made on this phone are checked in without asking for a name
+    const tokens = loadOwnedRsvps().filter(owned => owned.eventId === eventId).map(owned => owned.token);
+    if (tokens.length > 0) {
+        checkIn(null, tokens);
+    } else {
+        askForName('Enter your name to check in.');
+    }
+});
+
+function setStatus(message, type) {
+    const status = document.getElementById('checkin-status');
+    status.textContent = message;
+    status.className = `checkin-status${type ? ` ${type}` : ''}`;
+}
+
+function askForName(message, type) {
+    setStatus(message, type);
+    document.getElementById('checkin-name-form').classList.remove('hidden');
+    document.getElementById('checkin-name').focus();
+}
+
+async function checkIn(name, tokens = []) {
+    setStatus('Checking you in…');
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/events/${encodeURIComponent(eventId)}/self-checkin`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: checkInCode, tokens, name })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            document.getElementById('checkin-name-form').classList.add('hidden');
+            setStatus(`You're checked in: ${result.checkedIn.join(', ')}. Enjoy!`, 'success');
+        } else if (result.code === 'name_required') {
+            askForName(result.message);
+        } else if (result.code === 'rsvp_not_found') {
+            askForName(result.message, 'error');
+        } else {
+            document.getElementById('checkin-name-form').classList.add('hidden');
+            setStatus(result.message || 'Check-in failed', 'error');
+        }
+    } catch (error) {
+        console.error('Error checking in:', error);
+        askForName('Check-in failed. Please check your connection and try again.', 'error');
+    }
+}
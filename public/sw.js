@@ -1,4 +1,4 @@
-const CACHE_NAME = 'event-attendance-app-cache-v6'; // Bumped version
+const CACHE_NAME = 'event-attendance-app-cache-v10'; // Bumped version
 const urlsToCache = [
   '/',
   '/index.html',
@@ -42,6 +42,12 @@ self.addEventListener('fetch', (event) => {
     if (event.request.method !== 'GET' || !event.request.url.startsWith('http')) {
         return;
     }
+    // Calendar files and attendee exports must reflect the latest RSVPs and
+    // event times
+    const { pathname } = new URL(event.request.url);
+    if (pathname.endsWith('.ics') || pathname.startsWith('/api/admin/exports/')) {
+        return;
+    }
 
     // Stale-while-revalidate for all requests
     event.respondWith(
@@ -60,3 +66,42 @@ self.addEventListener('fetch', (event) => {
         })
     );
 });
+
+// Web Push from the server (server/push.js): { title, body, url, tag, eventId }
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Lilai', {
+      body: data.body || '',
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/icon-192x192.png',
+      tag: data.tag,
+      data: { url: data.url || '/', eventId: data.eventId || null }
+    })
+  );
+});
+
+// Open the event's card: in an open app window if there is one, otherwise
+// in a new one (the page reads ?event= on load)
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const { url, eventId } = event.notification.data || {};
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      const appWindow = windowClients.find(client => new URL(client.url).origin === self.location.origin
+        && new URL(client.url).pathname === '/');
+      if (appWindow) {
+        if (eventId) appWindow.postMessage({ type: 'open_event', eventId });
+        return appWindow.focus();
+      }
+      return self.clients.openWindow(url || '/');
+    })
+  );
+});
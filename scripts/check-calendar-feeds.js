@@ -0,0 +1,128 @@
+// Checks the calendar feed download against a local stand-in for the
+// calendar servers: timeouts, conditional requests and the fallback to the
+// last good snapshot when a feed starts failing.
+//
+// Usage (Node 18+, no database needed):
+//     npm run check:feeds
+//
+// Serves three .ics feeds on a random local port and runs the sync's feed
+// download twice:
+//   - /steady.ics answers 200 with an ETag, then 304 to the revalidation;
+//     its events must be kept from the snapshot
+//   - /slow.ics answers after the feed timeout; it must fail with a timeout
+//     and, without an earlier snapshot, be reported as a failed source
+//   - /flaky.ics answers 200, then 500; the second run must report the
+//     error and keep serving the events of the first
+// Exits non-zero on failure.
+
+const http = require('http');
+const { createCalendarSync } = require('../server/calendar-sync');
+
+const FEED_TIMEOUT = 300;
+const SLOW_DELAY = FEED_TIMEOUT * 4;
+
+function calendar(uid, summary) {
+    const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTART:${start}`,
+        `SUMMARY:${summary}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+    ].join('\r\n');
+}
+
+const requests = { steady: [], slow: [], flaky: [] };
+
+const server = http.createServer((req, res) => {
+    const name = req.url.replace(/^\/|\.ics$/g, '');
+    if (!requests[name]) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    requests[name].push({ ifNoneMatch: req.headers['if-none-match'] || null });
+
+    if (name === 'steady') {
+        if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { ETag: '"v1"' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/calendar', ETag: '"v1"' });
+        res.end(calendar('steady-1', 'Steady event'));
+    } else if (name === 'slow') {
+        setTimeout(() => {
+            if (res.destroyed) return;
+            res.writeHead(200, { 'Content-Type': 'text/calendar' });
+            res.end(calendar('slow-1', 'Slow event'));
+        }, SLOW_DELAY);
+    } else if (requests.flaky.length === 1) {
+        res.writeHead(200, { 'Content-Type': 'text/calendar' });
+        res.end(calendar('flaky-1', 'Flaky event'));
+    } else {
+        res.writeHead(500);
+        res.end('Internal Server Error');
+    }
+});
+
+function check(description, condition, failures) {
+    console.log(`  ${condition ? 'ok  ' : 'FAIL'} ${description}`);
+    if (!condition) failures.push(description);
+}
+
+async function run() {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const entry = name => ({ name, type: 'ics-url', id: `check-${name}`, url: `${baseUrl}/${name}.ics`, enabled: true });
+    const config = {
+        calendars: [entry('steady'), entry('slow'), entry('flaky')],
+        events: { feedTimeout: FEED_TIMEOUT }
+    };
+    const sync = createCalendarSync({ pool: null, config });
+    const failures = [];
+
+    const feedNamed = (result, name) => result.feeds.find(feed => feed.name === name);
+    const eventsOf = (result, name) => result.events.filter(event => event.source === `check-${name}`);
+
+    try {
+        console.log(`Serving test feeds at ${baseUrl}`);
+
+        console.log('\nFirst sync:');
+        const first = await sync.fetchCalendarEvents();
+        check('steady feed downloaded', feedNamed(first, 'steady').status === 'ok' && eventsOf(first, 'steady').length === 1, failures);
+        check(`slow feed timed out (${feedNamed(first, 'slow').error})`,
+            feedNamed(first, 'slow').status === 'failed' && /Timed out/.test(feedNamed(first, 'slow').error || ''), failures);
+        check('slow feed listed as a failed source, so its events are not removed', first.failedSources.has('check-slow'), failures);
+        check('flaky feed downloaded', feedNamed(first, 'flaky').status === 'ok' && eventsOf(first, 'flaky').length === 1, failures);
+
+        console.log('\nSecond sync:');
+        const second = await sync.fetchCalendarEvents();
+        check('steady feed revalidated with its ETag', requests.steady[1] && requests.steady[1].ifNoneMatch === '"v1"', failures);
+        check(`steady feed not modified (HTTP ${feedNamed(second, 'steady').httpStatus})`,
+            feedNamed(second, 'steady').status === 'not-modified' && feedNamed(second, 'steady').httpStatus === 304, failures);
+        check('steady feed events kept from the snapshot', eventsOf(second, 'steady').length === 1, failures);
+        check(`flaky feed failure reported (HTTP ${feedNamed(second, 'flaky').httpStatus})`,
+            feedNamed(second, 'flaky').status === 'failed' && feedNamed(second, 'flaky').httpStatus === 500, failures);
+        check('flaky feed events served from the last good snapshot',
+            eventsOf(second, 'flaky').length === 1 && !second.failedSources.has('check-flaky'), failures);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} check(s) failed.`);
+        process.exit(1);
+    }
+    console.log('\nAll checks passed.');
+}
+
+run().catch(error => {
+    console.error('Feed check failed to run:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,128 @@
+// Fires many simultaneous RSVPs at a running server to check that
+// attendance limits hold under concurrency.
+//
+// Usage (Node 18+, with the server running against a local Postgres):
+//     npm run check:concurrency
+//     npm run check:concurrency -- --url http://localhost:3000 --requests 50 --limit 5
+//
+// Creates two throwaway events directly in the database (no calendar
+// source, so the sync leaves them alone), RSVPs to each with `--requests`
+// parallel requests and verifies that:
+//   - without a waitlist, exactly `--limit` RSVPs succeed and the rest get
+//     409 "Event just filled up"
+//   - with a waitlist, everyone succeeds, `--limit` are going and the rest
+//     are waitlisted
+// The events and their RSVPs are deleted afterwards. Exits non-zero on failure.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { randomUUID } = require('crypto');
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+    console.error('DATABASE_URL not set. Check your .env file.');
+    process.exit(1);
+}
+
+function argValue(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const baseUrl = argValue('url', `http://localhost:${process.env.PORT || 3000}`);
+const requestCount = parseInt(argValue('requests', '40'), 10);
+const limit = parseInt(argValue('limit', '5'), 10);
+
+const pool = new Pool({
+    connectionString: DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+async function createEvent(client, waitlistEnabled) {
+    const id = `concurrency-check-${randomUUID()}`;
+    await client.query(
+        `INSERT INTO events (id, title, date, attendance_limit, waitlist_enabled)
+         VALUES ($1, $2, NOW() + INTERVAL '1 day', $3, $4)`,
+        [id, `Concurrency check (${waitlistEnabled ? 'waitlist' : 'no waitlist'})`, limit, waitlistEnabled]
+    );
+    return id;
+}
+
+async function rsvpAll(eventId) {
+    const requests = Array.from({ length: requestCount }, (_, i) => fetch(`${baseUrl}/api/rsvp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ eventId, action: 'add', attendeeName: `Tester ${i + 1}` })
+    }).then(async response => ({ status: response.status, body: await response.json() })));
+
+    return Promise.all(requests);
+}
+
+async function countByStatus(client, eventId) {
+    const result = await client.query(
+        'SELECT attendance, COUNT(*)::int AS count FROM rsvps WHERE event_id = $1 GROUP BY attendance',
+        [eventId]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.attendance, row.count]));
+}
+
+function check(description, condition, failures) {
+    console.log(`  ${condition ? 'ok  ' : 'FAIL'} ${description}`);
+    if (!condition) failures.push(description);
+}
+
+async function run() {
+    const client = await pool.connect();
+    const failures = [];
+    const eventIds = [];
+
+    try {
+        console.log(`Sending ${requestCount} concurrent RSVPs per event to ${baseUrl} (limit ${limit})`);
+
+        console.log('\nWithout waitlist:');
+        const strictEventId = await createEvent(client, false);
+        eventIds.push(strictEventId);
+        const strictResults = await rsvpAll(strictEventId);
+        const strictCounts = await countByStatus(client, strictEventId);
+        const accepted = strictResults.filter(result => result.body.success).length;
+        const filledUp = strictResults.filter(result => result.status === 409 && result.body.code === 'event_full').length;
+        check(`${strictCounts.yes || 0} going in the database (expected ${limit})`, strictCounts.yes === limit, failures);
+        check(`${accepted} requests accepted (expected ${limit})`, accepted === limit, failures);
+        check(`${filledUp} requests answered "Event just filled up" (expected ${requestCount - limit})`,
+            filledUp === requestCount - limit, failures);
+
+        console.log('\nWith waitlist:');
+        const waitlistEventId = await createEvent(client, true);
+        eventIds.push(waitlistEventId);
+        const waitlistResults = await rsvpAll(waitlistEventId);
+        const waitlistCounts = await countByStatus(client, waitlistEventId);
+        const positions = waitlistResults
+            .filter(result => result.body.status === 'waitlisted')
+            .map(result => result.body.waitlistPosition)
+            .sort((a, b) => a - b);
+        check(`${waitlistResults.filter(result => result.body.success).length} requests accepted (expected ${requestCount})`,
+            waitlistResults.every(result => result.body.success), failures);
+        check(`${waitlistCounts.yes || 0} going in the database (expected ${limit})`, waitlistCounts.yes === limit, failures);
+        check(`${waitlistCounts.waitlisted || 0} waitlisted (expected ${requestCount - limit})`,
+            waitlistCounts.waitlisted === requestCount - limit, failures);
+        check('waitlist positions are 1..n without gaps or duplicates',
+            positions.every((position, i) => position === i + 1), failures);
+    } finally {
+        if (eventIds.length > 0) {
+            await client.query('DELETE FROM events WHERE id = ANY($1::varchar[])', [eventIds]);
+        }
+        client.release();
+        await pool.end();
+    }
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} check(s) failed.`);
+        process.exit(1);
+    }
+    console.log('\nAll checks passed.');
+}
+
+run().catch(error => {
+    console.error('Concurrency check failed to run:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,517 @@
+// Tests for the parts of the server that work without a database: the .ics
+// parser, recurrence expansion, description directives, the attendee
+// export's CSV output, RSVP edit tokens, the waitlist, the no-show rule and
+// webhook signing and retries (against a receiver on this machine). Helpers that take a pg client get
+// `fakeClient`, which keeps rows in memory and answers only the queries
+// those helpers run.
+//
+// Usage (Node 18+, no database needed):
+//     npm test
+//
+// Exits non-zero on failure.
+
+const { parseCalendar } = require('../server/ics');
+const { expandEvent, excludedKeys } = require('../server/recurrence');
+const { parseDirectives } = require('../server/directives');
+const { toCsv } = require('../server/exports');
+const crypto = require('crypto');
+const http = require('http');
+const { createEditToken, hashEditToken, normalizeEditToken } = require('../server/rsvp-tokens');
+const { promoteFromWaitlist, getEventAttendance } = require('../server/waitlist');
+const { noShowRuleFor, noShowHoldUntil, releaseHeldRsvps } = require('../server/reliability');
+const { createWebhookDispatcher, isPrivateAddress, validateWebhookUrl, signPayload } = require('../server/webhooks');
+
+const failures = [];
+
+function check(description, condition) {
+    console.log(`  ${condition ? 'ok  ' : 'FAIL'} ${description}`);
+    if (!condition) failures.push(description);
+}
+
+// Sections run one after another once all are defined; `run` may be async
+const sections = [];
+
+function section(title, run) {
+    sections.push({ title, run });
+}
+
+// One VEVENT per entry of `events`, each given as its content lines
+function calendar(...events) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        ...events.flatMap((lines, index) => ['BEGIN:VEVENT', `UID:test-${index}`, 'SUMMARY:Test', ...lines, 'END:VEVENT']),
+        'END:VCALENDAR',
+        ''
+    ].join('\r\n');
+}
+
+const iso = date => date.toISOString();
+
+// In-memory stand-in for a pg client with `events` and `rsvps` rows. Queries
+// are matched by their text, so a changed query (such as a different queue
+// order) fails loudly instead of being answered wrongly.
+// `reliability` rows answer getReliabilityStats, which counts in SQL.
+function fakeClient({ events = [], rsvps = [], reliability = [] } = {}) {
+    const statements = [];
+    const inQueueOrder = (a, b) => a.held_back - b.held_back || a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1);
+    const handlers = [
+        [/^(BEGIN|COMMIT|ROLLBACK)$/, () => []],
+        [/^SELECT (attendance_limit|id) FROM events WHERE id = \$1 FOR UPDATE$/, ([id]) => events.filter(event => event.id === id)],
+        [/^SELECT id, attendee_name, guests, timestamp, email, email_confirmed_at FROM rsvps WHERE event_id = \$1 AND attendance = 'waitlisted' AND \(held_until IS NULL OR held_until <= NOW\(\)\) ORDER BY held_back, timestamp, id$/,
+            ([id]) => rsvps
+                .filter(rsvp => rsvp.event_id === id && rsvp.attendance === 'waitlisted' && (!rsvp.held_until || rsvp.held_until <= new Date()))
+                .sort(inQueueOrder)],
+        [/^SELECT COALESCE\(SUM\(1 \+ guests\), 0\) AS headcount FROM rsvps WHERE event_id = \$1 AND attendance = \$2$/,
+            ([id, attendance]) => [{
+                headcount: String(rsvps.filter(rsvp => rsvp.event_id === id && rsvp.attendance === attendance)
+                    .reduce((sum, rsvp) => sum + 1 + rsvp.guests, 0))
+            }]],
+        [/^UPDATE rsvps SET attendance = \$1, held_back = FALSE WHERE id = ANY\(\$2::varchar\[\]\)$/, ([attendance, ids]) => {
+            rsvps.filter(rsvp => ids.includes(rsvp.id)).forEach(rsvp => Object.assign(rsvp, { attendance, held_back: false }));
+            return [];
+        }],
+        [/^SELECT attendee_name, attendance, guests, checked_in_at, walk_in FROM rsvps WHERE event_id = \$1 ORDER BY held_back, timestamp, id$/,
+            ([id]) => rsvps.filter(rsvp => rsvp.event_id === id).sort(inQueueOrder)],
+        [/^SELECT DISTINCT event_id FROM rsvps WHERE attendance = 'waitlisted' AND held_until IS NOT NULL AND held_until <= NOW\(\)$/,
+            () => [...new Set(rsvps
+                .filter(rsvp => rsvp.attendance === 'waitlisted' && rsvp.held_until && rsvp.held_until <= new Date())
+                .map(rsvp => rsvp.event_id))]
+                .map(eventId => ({ event_id: eventId }))],
+        [/^UPDATE rsvps SET held_until = NULL WHERE event_id = \$1 AND held_until <= NOW\(\)$/, ([id]) => {
+            rsvps.filter(rsvp => rsvp.event_id === id && rsvp.held_until && rsvp.held_until <= new Date())
+                .forEach(rsvp => { rsvp.held_until = null; });
+            return [];
+        }],
+        [/^SELECT LOWER\(r\.attendee_name\) AS key, .* COUNT\(\*\) FILTER/, () => reliability],
+        [/^SELECT LOWER\(c\.attendee_name\) AS key, .* FROM rsvp_cancellations/, () => []]
+    ];
+
+    return {
+        events,
+        rsvps,
+        statements,
+        handlers,
+        async query(sql, params = []) {
+            const text = sql.replace(/\s+/g, ' ').trim();
+            statements.push(text);
+            const handler = handlers.find(([pattern]) => pattern.test(text));
+            if (!handler) throw new Error(`Unexpected query: ${text.slice(0, 100)}`);
+            return { rows: handler[1](params) };
+        }
+    };
+}
+
+// RSVP row for `fakeClient`; `minutes` orders the queue
+function rsvpRow(id, attendance, { guests = 0, minutes = 0, heldBack = false, heldUntil = null, eventId = 'event-1' } = {}) {
+    return {
+        id,
+        event_id: eventId,
+        attendee_name: id,
+        attendance,
+        guests,
+        timestamp: new Date(Date.UTC(2026, 9, 1, 12, minutes)),
+        held_back: heldBack,
+        held_until: heldUntil,
+        checked_in_at: null,
+        walk_in: false,
+        email: null,
+        email_confirmed_at: null
+    };
+}
+
+section('ics: TZID times', () => {
+    const { events } = parseCalendar(calendar(
+        ['DTSTART;TZID=Europe/Berlin:20260701T100000', 'DTEND;TZID=Europe/Berlin:20260701T120000'],
+        ['DTSTART;TZID=Europe/Berlin:20261101T100000'],
+        ['DTSTART;TZID="America/New_York":20261101T090000'],
+        ['DTSTART:20261101T100000Z']
+    ));
+    check('summer time in Berlin is UTC+2', iso(events[0].start.date) === '2026-07-01T08:00:00.000Z');
+    check('end time uses the same zone', iso(events[0].end.date) === '2026-07-01T10:00:00.000Z');
+    check('winter time in Berlin is UTC+1', iso(events[1].start.date) === '2026-11-01T09:00:00.000Z');
+    check('quoted TZID, on the day New York leaves DST', iso(events[2].start.date) === '2026-11-01T14:00:00.000Z');
+    check('UTC times are kept as they are', iso(events[3].start.date) === '2026-11-01T10:00:00.000Z' && events[3].start.tzid === 'UTC');
+    check('TZID times are not all-day', events.every(event => !event.allDay));
+});
+
+section('ics: VTIMEZONE definitions', () => {
+    const { events } = parseCalendar([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VTIMEZONE',
+        'TZID:Custom Standard Time',
+        'BEGIN:STANDARD',
+        'DTSTART:16010101T000000',
+        'TZOFFSETFROM:+0300',
+        'TZOFFSETTO:+0300',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'UID:custom-zone',
+        'SUMMARY:Test',
+        'DTSTART;TZID=Custom Standard Time:20261101T100000',
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+    ].join('\r\n'));
+    check('zone defined in the feed is used', events[0] && iso(events[0].start.date) === '2026-11-01T07:00:00.000Z');
+});
+
+section('ics: all-day events', () => {
+    const { events } = parseCalendar(calendar(
+        ['DTSTART;VALUE=DATE:20261101', 'DTEND;VALUE=DATE:20261103'],
+        ['DTSTART;VALUE=DATE:20261101'],
+        ['DTSTART;value=date:20261101'],
+        ['DTSTART;VALUE=Date:20261101T100000']
+    ));
+    check('VALUE=DATE is all-day at UTC midnight', events[0].allDay && iso(events[0].start.date) === '2026-11-01T00:00:00.000Z');
+    check('DTEND is kept (exclusive end day)', iso(events[0].end.date) === '2026-11-03T00:00:00.000Z');
+    check('without DTEND the event lasts one day', events[1].allDay && iso(events[1].end.date) === '2026-11-02T00:00:00.000Z');
+    check('lowercase value=date is all-day', events[2].allDay && iso(events[2].start.date) === '2026-11-01T00:00:00.000Z');
+    check('a time on a VALUE=DATE value is dropped', events[3].allDay && iso(events[3].start.date) === '2026-11-01T00:00:00.000Z');
+});
+
+section('recurrence: long-running series', () => {
+    // Weekly on Mondays at 19:00 Brussels time since January 2020
+    const [series, counted] = parseCalendar(calendar(
+        ['DTSTART;TZID=Europe/Brussels:20200106T190000', 'RRULE:FREQ=WEEKLY;BYDAY=MO'],
+        ['DTSTART;TZID=Europe/Brussels:20200106T190000', 'RRULE:FREQ=WEEKLY;COUNT=356']
+    )).events;
+    const from = new Date('2026-10-01T00:00:00Z');
+    const until = new Date('2026-11-01T00:00:00Z');
+
+    const occurrences = expandEvent(series, { from, until });
+    check(`only occurrences in range are returned (${occurrences.length})`, occurrences.length === 4);
+    check('first occurrence is the first Monday in range', occurrences[0] && iso(occurrences[0].start.date) === '2026-10-05T17:00:00.000Z');
+    check('occurrences after the DST change stay at 19:00 local',
+        occurrences[3] && iso(occurrences[3].start.date) === '2026-10-26T18:00:00.000Z');
+    check('occurrence keys are their UTC start', occurrences[0] && occurrences[0].recurrenceKey === '20261005T170000Z');
+
+    // 356 weeks from 2020-01-06 end on 2026-10-26: COUNT is counted from
+    // DTSTART, not from the start of the range
+    const countedOccurrences = expandEvent(counted, { from, until });
+    check(`COUNT is counted from DTSTART (${countedOccurrences.length} left in range)`, countedOccurrences.length === 4
+        && iso(countedOccurrences[countedOccurrences.length - 1].start.date) === '2026-10-26T18:00:00.000Z');
+    check('a series that ended before the range returns nothing',
+        expandEvent(counted, { from: new Date('2026-11-01T00:00:00Z'), until: new Date('2026-12-01T00:00:00Z') }).length === 0);
+
+    const [daily] = parseCalendar(calendar(['DTSTART;TZID=Europe/Brussels:20200106T190000', 'RRULE:FREQ=DAILY'])).events;
+    check(`a daily series since 2020 returns only the range (${expandEvent(daily, { from, until }).length})`,
+        expandEvent(daily, { from, until }).length === 31);
+    const unbounded = expandEvent(daily, { until });
+    check(`without a lower bound the output is capped (${unbounded.length})`, unbounded.length === 1000);
+});
+
+section('recurrence: EXDATE and RDATE', () => {
+    const [event] = parseCalendar(calendar([
+        'DTSTART;VALUE=DATE:20261001',
+        'RRULE:FREQ=DAILY;COUNT=5',
+        'EXDATE;VALUE=DATE:20261002,20261004',
+        'RDATE;VALUE=DATE:20261010'
+    ])).events;
+    const keys = expandEvent(event, { until: new Date('2026-12-01T00:00:00Z') }).map(occurrence => occurrence.recurrenceKey);
+    check(`excluded days are dropped and extra days added (${keys.join(' ')})`,
+        keys.join(' ') === '20261001 20261003 20261005 20261010');
+    // The sync cancels known occurrences under these keys instead of removing them
+    check('excluded keys match the occurrence keys', excludedKeys(event).join(' ') === '20261002 20261004');
+
+    const [timed] = parseCalendar(calendar([
+        'DTSTART;TZID=Europe/Brussels:20261005T190000',
+        'RRULE:FREQ=WEEKLY',
+        'EXDATE;TZID=Europe/Brussels:20261026T190000'
+    ])).events;
+    const timedKeys = expandEvent(timed, { until: new Date('2026-11-03T00:00:00Z') }).map(occurrence => occurrence.recurrenceKey);
+    check('a timed EXDATE has the key of the occurrence it removes',
+        excludedKeys(timed).join(' ') === '20261026T180000Z' && !timedKeys.includes('20261026T180000Z') && timedKeys.length === 4);
+});
+
+section('directives', () => {
+    const eventStart = new Date('2026-11-01T18:00:00Z');
+    const parsed = parseDirectives([
+        'Bring your own racket.',
+        'limit: 12',
+        'Guests: 2',
+        'waitlist: 5',
+        'rsvp-deadline: 24h',
+        'tags: tennis, doubles',
+        'question: Level? [beginner/advanced]'
+    ].join('\n'), { eventStart, tzid: 'UTC' });
+    check('directive lines are removed from the description', parsed.description === 'Bring your own racket.');
+    check('limit and guests are read', parsed.directives.limit === 12 && parsed.directives.guests === 2);
+    check('a number turns the waitlist on with a limit', parsed.directives.waitlist === true && parsed.directives.waitlistLimit === 5);
+    check('relative deadline is counted back from the start',
+        parsed.directives.rsvpDeadline && iso(parsed.directives.rsvpDeadline) === '2026-10-31T18:00:00.000Z');
+    check('tags are split on commas', JSON.stringify(parsed.directives.tags) === '["tennis","doubles"]');
+    check('questions keep their choices',
+        JSON.stringify(parsed.directives.questions) === '[{"text":"Level?","options":["beginner","advanced"]}]');
+    check('no warnings for valid directives', parsed.warnings.length === 0);
+
+    const invalid = parseDirectives('limit: lots\nCost - ask at the door', { eventStart });
+    check('invalid values are warned about', invalid.warnings.length === 1 && invalid.directives.limit === undefined);
+    check('lines that were not understood stay in the description',
+        invalid.description === 'limit: lots\nCost - ask at the door');
+
+    check('"limit 10" on its own line still works', parseDirectives('limit 10').directives.limit === 10);
+    check('an inline limit in older descriptions still works', parseDirectives('Max. limit 8 people').directives.limit === 8);
+    check('a word without a colon is not a directive', parseDirectives('Tags are handed out at the door').description
+        === 'Tags are handed out at the door');
+    check('min larger than limit is warned about', parseDirectives('limit: 4\nmin: 6').warnings.length === 1);
+});
+
+section('exports: CSV', () => {
+    const csv = toCsv({
+        header: ['Name', 'Guests', 'Comment'],
+        rows: [
+            ['=HYPERLINK("http://example.com","x")', 0, ''],
+            ['+31 6 1234', -1, '@home'],
+            ['-Ann', 2, 'line one\nline two'],
+            ['Bob, Jr.', 1, '\tTabbed']
+        ]
+    });
+    const lines = csv.replace(/^﻿/, '').split('\r\n');
+    check('starts with a byte order mark', csv.startsWith('﻿'));
+    check('formulas are prefixed with a quote', lines[1] === '"\'=HYPERLINK(""http://example.com"",""x"")",0,');
+    check('text starting with + or @ is prefixed, numbers are not', lines[2] === "'+31 6 1234,-1,'@home");
+    check('text starting with - is prefixed and newlines are quoted', lines[3] === "'-Ann,2,\"line one\nline two\"");
+    check('commas are quoted and tabs prefixed', lines[4] === '"Bob, Jr.",1,\'\tTabbed');
+});
+
+section('rsvp edit tokens', () => {
+    const token = createEditToken();
+    check(`new tokens are accepted as tokens (${token})`, normalizeEditToken(token) === token);
+    check('new tokens differ', createEditToken() !== token);
+
+    const hash = hashEditToken(token);
+    check('the stored hash is 64 hex characters', /^[0-9a-f]{64}$/.test(hash));
+    check('the same token always hashes the same, so it finds its RSVP', hashEditToken(token) === hash);
+    check('the hash is not the token', hash !== token && !hash.includes(token));
+    check('another token does not match the hash', hashEditToken(createEditToken()) !== hash);
+
+    check('a missing token is rejected', normalizeEditToken(undefined) === null && normalizeEditToken('') === null);
+    check('non-strings are rejected', normalizeEditToken(['a'.repeat(32)]) === null && normalizeEditToken(12345678901234567) === null);
+    check('short tokens are rejected', normalizeEditToken('abc123') === null);
+    check('long tokens are rejected', normalizeEditToken('a'.repeat(129)) === null && normalizeEditToken('a'.repeat(128)) !== null);
+    check('tokens with other characters are rejected',
+        normalizeEditToken(`${'a'.repeat(20)}' OR '1'='1`) === null && normalizeEditToken(`${'a'.repeat(20)}==`) === null);
+});
+
+section('waitlist: promotion order', async () => {
+    const client = fakeClient({
+        events: [{ id: 'event-1', attendance_limit: 4 }],
+        rsvps: [
+            rsvpRow('going', 'yes', { guests: 1 }),
+            rsvpRow('party', 'waitlisted', { guests: 2, minutes: 1 }),
+            rsvpRow('single', 'waitlisted', { minutes: 2 }),
+            rsvpRow('last', 'waitlisted', { minutes: 3 })
+        ]
+    });
+    const names = rows => rows.map(row => row.attendee_name).join(' ');
+
+    let promoted = await promoteFromWaitlist(client, 'event-1');
+    check('a party that does not fit blocks the people behind it', promoted.length === 0);
+
+    client.events[0].attendance_limit = 6;
+    promoted = await promoteFromWaitlist(client, 'event-1');
+    check(`freed spots go to the queue in order (${names(promoted)})`, names(promoted) === 'party single');
+    check('promoted RSVPs are now going',
+        client.rsvps.filter(rsvp => rsvp.attendance === 'yes').length === 3 && client.rsvps[3].attendance === 'waitlisted');
+
+    client.events[0].attendance_limit = null;
+    promoted = await promoteFromWaitlist(client, 'event-1');
+    check('without a limit everyone left is promoted', names(promoted) === 'last');
+
+    check('an unknown event promotes nobody', (await promoteFromWaitlist(client, 'missing')).length === 0);
+});
+
+section('waitlist: attendance counts', async () => {
+    const client = fakeClient({
+        rsvps: [
+            rsvpRow('ann', 'yes', { guests: 2 }),
+            rsvpRow('bob', 'yes', { minutes: 1 }),
+            rsvpRow('held', 'waitlisted', { minutes: 2, heldBack: true }),
+            rsvpRow('cat', 'waitlisted', { minutes: 3 }),
+            rsvpRow('dan', 'maybe', { minutes: 4 })
+        ]
+    });
+    const attendance = await getEventAttendance(client, 'event-1');
+    check('going is a headcount including guests', attendance.attendingCount === 4 && attendance.guestCount === 2);
+    check('guests line up with attendees', attendance.attendeeGuests.join(',') === '2,0');
+    check(`held-back RSVPs are listed behind the waitlist (${attendance.waitlist.join(' ')})`, attendance.waitlist.join(' ') === 'cat held');
+    check('maybe is counted apart', attendance.maybeCount === 1);
+});
+
+section('reliability: no-show rule', async () => {
+    const hours = count => new Date(Date.now() + count * 60 * 60 * 1000);
+    const noShows = count => [{ key: 'sam', name: 'Sam', rsvp_count: '4', attended: '1', no_shows: String(count), last_event_at: null }];
+
+    const rule = noShowRuleFor({ noShowRule: { minNoShows: 2 } });
+    check('lookback and release default to 180 days and 24 hours',
+        rule && rule.minNoShows === 2 && rule.lookbackDays === 180 && rule.releaseHours === 24);
+    check('set values are kept', noShowRuleFor({ noShowRule: { minNoShows: 1, lookbackDays: 30, releaseHours: 6 } }).releaseHours === 6);
+    check('no rule without minNoShows', noShowRuleFor({ noShowRule: { lookbackDays: 30 } }) === null);
+    check('no rule for zero or fractional minNoShows',
+        noShowRuleFor({ noShowRule: { minNoShows: 0 } }) === null && noShowRuleFor({ noShowRule: { minNoShows: 1.5 } }) === null);
+    check('no rule for a calendar without one', noShowRuleFor({ name: 'Club' }) === null && noShowRuleFor(undefined) === null);
+
+    const event = { id: 'event-1', date: hours(72) };
+    const holdUntil = await noShowHoldUntil(fakeClient({ reliability: noShows(2) }), rule, event, 'sam');
+    check('enough no-shows hold the RSVP until releaseHours before the start',
+        holdUntil && Math.abs(holdUntil.getTime() - hours(48).getTime()) < 1000);
+    check('fewer no-shows are not held', await noShowHoldUntil(fakeClient({ reliability: noShows(1) }), rule, event, 'sam') === null);
+    check('someone without history is not held', await noShowHoldUntil(fakeClient(), rule, event, 'new') === null);
+    check('nobody is held once the release time has passed',
+        await noShowHoldUntil(fakeClient({ reliability: noShows(5) }), rule, { id: 'event-1', date: hours(12) }, 'sam') === null);
+    check('nobody is held without a rule', await noShowHoldUntil(fakeClient({ reliability: noShows(5) }), null, event, 'sam') === null);
+});
+
+section('reliability: releasing held RSVPs', async () => {
+    const past = new Date(Date.now() - 60 * 1000);
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    const client = fakeClient({
+        events: [{ id: 'event-1', attendance_limit: 3 }, { id: 'event-2', attendance_limit: 5 }],
+        rsvps: [
+            rsvpRow('going', 'yes'),
+            rsvpRow('released', 'waitlisted', { heldBack: true, heldUntil: past }),
+            rsvpRow('waiting', 'waitlisted', { minutes: 5 }),
+            rsvpRow('still held', 'waitlisted', { minutes: 1, heldBack: true, heldUntil: future }),
+            rsvpRow('other event', 'waitlisted', { heldBack: true, heldUntil: future, eventId: 'event-2' })
+        ]
+    });
+    const byId = id => client.rsvps.find(rsvp => rsvp.id === id);
+
+    const released = await releaseHeldRsvps(client);
+    check(`only events with a passed release are handled (${released.map(entry => entry.eventId).join(' ')})`,
+        released.length === 1 && released[0].eventId === 'event-1');
+    check(`a released RSVP still queues behind those who were not held (${released[0].promoted.map(row => row.attendee_name).join(' ')})`,
+        released[0].promoted.map(row => row.attendee_name).join(' ') === 'waiting released');
+    check('released RSVPs lose their hold', byId('released').held_until === null && byId('released').held_back === false);
+    check('an RSVP still held is not promoted, even with spots free',
+        byId('still held').attendance === 'waitlisted' && byId('still held').held_until === future
+        && byId('other event').attendance === 'waitlisted');
+    check('each event is released in its own transaction',
+        client.statements.filter(text => text === 'BEGIN').length === 1 && client.statements.includes('COMMIT'));
+});
+
+section('webhooks: signatures and addresses', () => {
+    const secret = 'test-secret';
+    const body = '{"id":1,"type":"rsvp.created"}';
+    const signature = signPayload(secret, 1700000000, body);
+    // The check receivers are told to do in the README
+    const verify = (sig, timestamp, rawBody) => {
+        const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+        return sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sig));
+    };
+    check(`signatures are sha256=<hex> (${signature})`, /^sha256=[0-9a-f]{64}$/.test(signature));
+    check('the README check accepts a signature', verify(signature, 1700000000, body));
+    check('a changed body fails the check', !verify(signature, 1700000000, body.replace('1', '2')));
+    check('a changed timestamp fails the check', !verify(signature, 1700000001, body));
+    check('another secret signs differently', signPayload('other', 1700000000, body) !== signature);
+
+    const privateAddresses = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:c0a8:1'];
+    const publicAddresses = ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:808:808'];
+    privateAddresses.forEach(address => check(`${address} is private`, isPrivateAddress(address)));
+    publicAddresses.forEach(address => check(`${address} is public`, !isPrivateAddress(address)));
+
+    check('public URLs are accepted', validateWebhookUrl('https://example.com/hook') === 'https://example.com/hook');
+    check('private and local URLs are refused', [
+        'http://localhost:3000/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/', 'http://10.0.0.5/'
+    ].every(url => validateWebhookUrl(url) === null));
+    check('other protocols are refused', validateWebhookUrl('ftp://example.com/') === null && validateWebhookUrl('not a url') === null);
+    check('private URLs are accepted when allowed', validateWebhookUrl('http://127.0.0.1:8080/', { allowPrivate: true }) !== null);
+});
+
+// Pool for the webhook dispatcher that hands out `deliveries` once and
+// records the outcome of each
+function fakeWebhookPool(deliveries) {
+    const outcomes = [];
+    const query = async (sql, params = []) => {
+        const text = sql.replace(/\s+/g, ' ').trim();
+        if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(text) || text.startsWith('DELETE FROM webhook_deliveries')
+            || text.startsWith('UPDATE webhook_deliveries SET next_attempt_at')) {
+            return { rows: [] };
+        }
+        if (text.startsWith('SELECT d.id, d.event_type')) {
+            return { rows: deliveries.splice(0) };
+        }
+        if (text.startsWith('UPDATE webhook_deliveries SET status = $1')) {
+            const [status, attempts, statusCode, error, delay, id] = params;
+            outcomes.push({ id, status, attempts, statusCode, error, delay });
+            return { rows: [] };
+        }
+        throw new Error(`Unexpected query: ${text.slice(0, 100)}`);
+    };
+    return {
+        outcomes,
+        query,
+        connect: async () => ({ query, release() {} })
+    };
+}
+
+section('webhooks: delivery and retries', async () => {
+    const received = [];
+    const statuses = { '/ok': 200, '/down': 500 };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(statuses[req.url] || 404);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const delivery = (id, path, attempts = 0) => ({
+        id, event_type: 'rsvp.created', payload: { eventId: 'event-1' }, attempts, created_at: '2026-10-01T12:00:00.000Z',
+        url: `${base}${path}`, secret: 'test-secret'
+    });
+
+    try {
+        const pool = fakeWebhookPool([delivery(1, '/ok'), delivery(2, '/down'), delivery(3, '/down', 5)]);
+        await createWebhookDispatcher({ pool, allowPrivateTargets: true }).processDue();
+        const outcome = id => pool.outcomes.find(entry => entry.id === id) || {};
+
+        check('a 2xx answer marks the delivery delivered', outcome(1).status === 'delivered' && outcome(1).statusCode === 200);
+        check('a failed first attempt is retried after 30 seconds',
+            outcome(2).status === 'pending' && outcome(2).attempts === 1 && outcome(2).delay === 30 && outcome(2).error === 'HTTP 500');
+        check('the sixth failed attempt is final', outcome(3).status === 'failed' && outcome(3).attempts === 6);
+
+        const request = received.find(entry => entry.path === '/ok') || { headers: {} };
+        const { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature } = request.headers;
+        check('the receiver gets the event type and delivery id',
+            request.headers['x-webhook-event'] === 'rsvp.created' && request.headers['x-webhook-delivery'] === '1');
+        check('the signature matches the body as sent', signature === signPayload('test-secret', timestamp, request.body));
+        check('the body holds the event', request.body && JSON.parse(request.body).data.eventId === 'event-1');
+
+        const guardedPool = fakeWebhookPool([delivery(4, '/ok')]);
+        const countBefore = received.length;
+        await createWebhookDispatcher({ pool: guardedPool }).processDue();
+        check(`deliveries to a private address are refused (${guardedPool.outcomes[0] && guardedPool.outcomes[0].error})`,
+            received.length === countBefore && guardedPool.outcomes[0].status === 'pending'
+            && /not a public address/.test(guardedPool.outcomes[0].error));
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+async function runSections() {
+    for (const { title, run } of sections) {
+        console.log(`\n${title}:`);
+        try {
+            await run();
+        } catch (error) {
+            check(`runs without throwing (${error.message})`, false);
+        }
+    }
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} check(s) failed.`);
+        process.exit(1);
+    }
+    console.log('\nAll checks passed.');
+}
+
+runSections();
@@ -6,8 +6,9 @@
 //     npm run seed -- --reset   # wipe events/rsvps/donations, then insert
 //
 // IMPORTANT: set `events.autoFetch = false` in config/app.json while working
-// with mock data, otherwise the calendar sync will delete any event that has
-// a non-null `source` value not present in the live Google Calendar feed.
+// with mock data, otherwise the calendar sync will hide (and after
+// `events.removedGraceDays`, delete) any event that has a non-null `source`
+// value not present in the live Google Calendar feed.
 
 require('dotenv').config();
 const { Pool } = require('pg');
@@ -86,10 +87,13 @@ const mockEvents = [
         title: 'Hot pot gathering',
         date: daysFromNow(3, 19),
         endDate: daysFromNow(3, 22),
-        description: 'Communal hot pot — bring an ingredient. limit: 10',
+        // As synced from "limit: 10" / "cost: €5" lines in the calendar description
+        description: 'Communal hot pot — bring an ingredient.',
         location: 'Fisher\'s place',
         source: null,
-        attendance_limit: 10
+        attendance_limit: 10,
+        cost: '€5',
+        directive_keys: ['limit', 'cost']
     },
     {
         id: 'mock-006',
@@ -162,8 +166,8 @@ async function seed() {
         // Upsert events
         for (const ev of mockEvents) {
             await client.query(
-                `INSERT INTO events (id, title, date, endDate, description, location, source, attendance_limit)
-                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+                `INSERT INTO events (id, title, date, endDate, description, location, source, attendance_limit, cost, directive_keys)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
                  ON CONFLICT (id) DO UPDATE SET
                     title = EXCLUDED.title,
                     date = EXCLUDED.date,
@@ -171,8 +175,11 @@ async function seed() {
                     description = EXCLUDED.description,
                     location = EXCLUDED.location,
                     source = EXCLUDED.source,
-                    attendance_limit = EXCLUDED.attendance_limit`,
-                [ev.id, ev.title, ev.date, ev.endDate, ev.description, ev.location, ev.source, ev.attendance_limit]
+                    attendance_limit = EXCLUDED.attendance_limit,
+                    cost = EXCLUDED.cost,
+                    directive_keys = EXCLUDED.directive_keys`,
+                [ev.id, ev.title, ev.date, ev.endDate, ev.description, ev.location, ev.source, ev.attendance_limit,
+                    ev.cost || null, ev.directive_keys || []]
             );
         }
         console.log(`Upserted ${mockEvents.length} events.`);
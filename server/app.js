@@ -6,6 +6,19 @@ const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
 const http = require('http');
 const WebSocket = require('ws');
+const { createCalendarSync, defaultRsvpWindow } = require('./calendar-sync');
+const { parseDuration } = require('./directives');
+const { getSourceAdapter } = require('./calendar-sources');
+const { promoteFromWaitlist, getEventAttendance } = require('./waitlist');
+const { validateRsvpExtras, summarizeAnswers } = require('./rsvp-answers');
+const { createEditToken, hashEditToken, normalizeEditToken } = require('./rsvp-tokens');
+const { buildCalendar } = require('./ics');
+const { getCheckInCode, checkInCodeMatches, selfCheckInWindow, selfCheckInUrl, checkInQrSvg } = require('./checkin');
+const { recordCancellation, getReliabilityStats, noShowRuleFor, noShowHoldUntil, releaseHeldRsvps } = require('./reliability');
+const { createMailer, normalizeEmail } = require('./mailer');
+const { createPushNotifier, normalizeSubscription, FOLLOW_KINDS } = require('./push');
+const { createWebhookDispatcher, createWebhookSecret, maskSecret, validateWebhookUrl, WEBHOOK_EVENT_TYPES } = require('./webhooks');
+const { parseExportScope, loadAttendeeExport, exportTable, toCsv, toXlsx, exportFilename } = require('./exports');
 
 // Load environment variables
 require('dotenv').config();
@@ -23,6 +36,9 @@ if (missingVars.length > 0) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How long a "Time changed" / "Location changed" badge stays on an event
+const DEFAULT_CHANGE_BADGE_HOURS = 72;
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -33,13 +49,6 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 const isProduction = process.env.NODE_ENV === 'production';
 
-// Calendar cache to reduce external API calls
-let calendarCache = {
-    events: [],
-    lastFetch: 0
-};
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
 // Database connection
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
@@ -48,6 +57,14 @@ const pool = new Pool({
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
+// Whether the request carries the admin key, for routes that are open to
+// everyone but let admins do more
+function hasAdminKey(req) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    const providedKey = req.headers['x-admin-key'] || (req.body && req.body.adminKey);
+    return Boolean(adminKey) && providedKey === adminKey;
+}
+
 // Admin authentication middleware
 function requireAdminKey(req, res, next) {
     const adminKey = process.env.ADMIN_API_KEY;
@@ -57,15 +74,17 @@ function requireAdminKey(req, res, next) {
         return res.status(500).json({ success: false, message: 'Server configuration error' });
     }
 
-    const providedKey = req.headers['x-admin-key'] || req.body.adminKey;
-
-    if (providedKey !== adminKey) {
+    if (!hasAdminKey(req)) {
         return res.status(401).json({ success: false, message: 'Unauthorized: Invalid admin key' });
     }
 
     next();
 }
 
+// Responses an attendee can give ("yes" RSVPs beyond the limit are stored
+// as "waitlisted")
+const RSVP_RESPONSES = ['yes', 'maybe', 'declined'];
+
 // Input validation helpers
 function validateAttendeeName(name) {
     if (typeof name !== 'string') return null;
@@ -88,8 +107,8 @@ try {
     console.error('Error loading config file:', error);
     appConfig = {
         calendars: [],
-        events: { autoFetch: false, defaultTimeRange: 'future', refreshInterval: 300000 },
-        rsvp: { allowAnonymous: false, requireName: true },
+        events: { autoFetch: false, defaultTimeRange: 'future', refreshInterval: 300000, recurrenceHorizonDays: 90 },
+        rsvp: { allowAnonymous: false, requireName: true, maxGuests: 0 },
         stripe: {
             donationPriceId: '',
             donationProgress: { current: 0, goal: 0 }
@@ -106,6 +125,28 @@ if (!appConfig.stripe) {
     appConfig.stripe.donationProgress = appConfig.stripe.donationProgress || { current: 0, goal: 0 };
 }
 
+// Resolve each calendar's source ID (the value stored in events.source) once,
+// so the front end can filter by it whatever the calendar type
+(appConfig.calendars || []).forEach(calendarEntry => {
+    const adapter = getSourceAdapter(calendarEntry);
+    calendarEntry.type = calendarEntry.type || 'google';
+    calendarEntry.source = adapter ? adapter.sourceId(calendarEntry) : null;
+    ['rsvpOpens', 'rsvpDeadline'].forEach(key => {
+        if (calendarEntry[key] && parseDuration(calendarEntry[key]) === null) {
+            console.warn(`Ignoring ${key} "${calendarEntry[key]}" of calendar ${calendarEntry.name}: use a duration such as 90m, 24h or 7d`);
+        }
+    });
+    if (calendarEntry.noShowRule && !noShowRuleFor(calendarEntry)) {
+        console.warn(`Ignoring noShowRule of calendar ${calendarEntry.name}: minNoShows must be a whole number of 1 or more`);
+    }
+});
+
+// Config entry of the calendar an event was synced from
+function calendarEntryForSource(source) {
+    if (!source) return null;
+    return (appConfig.calendars || []).find(calendarEntry => calendarEntry.source === source) || null;
+}
+
 // Create HTTP server
 const server = http.createServer(app);
 
@@ -127,83 +168,44 @@ function broadcast(data) {
     });
 }
 
-function unfoldIcsValue(value) {
-    if (typeof value !== 'string') {
-        return '';
-    }
-
-    return value
-        .replace(/\r\n\s/g, '') // Remove line folding per RFC 5545
-        .replace(/\n\s/g, '');
-}
-
-function decodeIcsText(value) {
-    if (typeof value !== 'string') {
-        return '';
-    }
-
-    return value
-        .replace(/\\n/gi, '\n')
-        .replace(/\\,/g, ',')
-        .replace(/\\;/g, ';')
-        .replace(/\\\\/g, '\\');
-}
-
-function decodeHtmlEntities(value) {
-    if (typeof value !== 'string') {
-        return '';
-    }
-
-    return value
-        .replace(/&quot;/gi, '"')
-        .replace(/&#39;/gi, '\'')
-        .replace(/&nbsp;/gi, ' ')
-        .replace(/&lt;/gi, '<')
-        .replace(/&gt;/gi, '>')
-        .replace(/&amp;/gi, '&');
-}
-
-function sanitizeHtmlText(value) {
-    if (typeof value !== 'string') {
-        return '';
-    }
-
-    let text = value;
+// Optional email (see server/mailer.js); the front end only asks for an
+// address when sending is configured
+const mailer = createMailer({ pool, config: appConfig });
+appConfig.email = { ...appConfig.email, enabled: mailer.enabled };
 
-    text = text.replace(/<(br|hr)\s*\/?>/gi, '\n');
-    text = text.replace(/<\/p\s*>/gi, '\n');
-    text = text.replace(/<\/div\s*>/gi, '\n');
+// Optional Web Push (see server/push.js); the public key is public by design
+const push = createPushNotifier({ pool, config: appConfig });
+appConfig.push = { ...appConfig.push, enabled: push.enabled, publicKey: push.publicKey };
 
-    text = text.replace(/<a\s+[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, (match, href, linkText) => {
-        const trimmedLinkText = (linkText || '').trim();
-        if (trimmedLinkText && trimmedLinkText !== href) {
-            return `${trimmedLinkText} (${href})`;
-        }
-        return href;
-    });
+// Outbound webhooks for bots and automations (see server/webhooks.js)
+const allowPrivateWebhooks = process.env.WEBHOOKS_ALLOW_PRIVATE === 'true';
+const webhooks = createWebhookDispatcher({ pool, allowPrivateTargets: allowPrivateWebhooks });
 
-    text = text.replace(/<[^>]+>/g, '');
-
-    return decodeHtmlEntities(text)
-        .replace(/\r/g, '')
-        .replace(/[ \t]+\n/g, '\n')
-        .replace(/\n{3,}/g, '\n\n')
-        .replace(/^\n+/, '')
-        .replace(/\n+$/, '')
-        .trim();
+function notifyPromoted(eventId, promoted) {
+    mailer.sendPromotionNotices(eventId, promoted)
+        .catch(error => console.error('Error sending promotion emails:', error));
+    push.notifyPromoted(eventId, promoted);
 }
 
-function extractIcsField(block, fieldName) {
-    const regex = new RegExp(`${fieldName}:([\\s\\S]*?)(?=\\n[A-Z][A-Z0-9-]*:|$)`);
-    const match = block.match(regex);
-    if (!match) {
-        return '';
-    }
-
-    const unfolded = unfoldIcsValue(match[1]);
-    const decoded = decodeIcsText(unfolded);
-    return sanitizeHtmlText(decoded);
-}
+// Calendar events are synced in the background; clients reload on change
+const calendarSync = createCalendarSync({
+    pool,
+    config: appConfig,
+    onSynced: result => broadcast({ type: 'calendar_synced', payload: result }),
+    onEventChanged: change => {
+        broadcast({ type: 'event_changed', payload: change });
+        push.notifyEventChanged(change);
+        emitEventChanged(change.eventId, change.changes, 'calendar');
+    },
+    onPromoted: ({ eventId, promoted }) => notifyPromoted(eventId, promoted),
+    onEventCancelled: eventId => {
+        mailer.sendCancellationNotices(eventId)
+            .catch(error => console.error('Error sending cancellation emails:', error));
+        push.notifyEventCancelled(eventId);
+        emitEventChanged(eventId, [{ field: 'cancelled', oldValue: false, newValue: true }], 'calendar');
+    },
+    onEventsAdded: events => push.notifyEventsAdded(events)
+});
 
 // Initialize database schema
 async function initializeDatabase() {
@@ -218,19 +220,151 @@ async function initializeDatabase() {
                 location VARCHAR(255),
                 source VARCHAR(255),
                 endDate TIMESTAMPTZ,
-                attendance_limit INTEGER
+                attendance_limit INTEGER,
+                all_day BOOLEAN NOT NULL DEFAULT FALSE,
+                cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+                removed_at TIMESTAMPTZ,
+                min_attendance INTEGER,
+                waitlist_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                waitlist_limit INTEGER,
+                rsvp_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                rsvp_closes_at TIMESTAMPTZ,
+                rsvp_opens_at TIMESTAMPTZ,
+                rsvp_opens_override TIMESTAMPTZ,
+                rsvp_closes_override TIMESTAMPTZ,
+                cost VARCHAR(100),
+                tags TEXT[] NOT NULL DEFAULT '{}',
+                directive_keys TEXT[] NOT NULL DEFAULT '{}',
+                directive_warnings TEXT[] NOT NULL DEFAULT '{}',
+                max_guests INTEGER,
+                questions JSONB NOT NULL DEFAULT '[]'
             );
         `);
 
+        // Add calendar-derived columns if they don't exist (for existing tables)
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS all_day BOOLEAN NOT NULL DEFAULT FALSE');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS cancelled BOOLEAN NOT NULL DEFAULT FALSE');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ');
+
+        // Settings parsed from description directives (limit:, rsvp:, cost:, ...)
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS min_attendance INTEGER');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS waitlist_enabled BOOLEAN NOT NULL DEFAULT TRUE');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS waitlist_limit INTEGER');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_enabled BOOLEAN NOT NULL DEFAULT TRUE');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_closes_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_opens_at TIMESTAMPTZ');
+        // RSVP window set in the admin panel; kept across syncs and used
+        // unless the description sets rsvp-opens / rsvp-deadline
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_opens_override TIMESTAMPTZ');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS rsvp_closes_override TIMESTAMPTZ');
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS cost VARCHAR(100)');
+        await client.query("ALTER TABLE events ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'");
+        await client.query("ALTER TABLE events ADD COLUMN IF NOT EXISTS directive_keys TEXT[] NOT NULL DEFAULT '{}'");
+        await client.query("ALTER TABLE events ADD COLUMN IF NOT EXISTS directive_warnings TEXT[] NOT NULL DEFAULT '{}'");
+        await client.query('ALTER TABLE events ADD COLUMN IF NOT EXISTS max_guests INTEGER');
+        await client.query("ALTER TABLE events ADD COLUMN IF NOT EXISTS questions JSONB NOT NULL DEFAULT '[]'");
+
         await client.query(`
             CREATE TABLE IF NOT EXISTS rsvps (
                 id VARCHAR(255) PRIMARY KEY,
                 event_id VARCHAR(255) REFERENCES events(id) ON DELETE CASCADE,
                 attendee_name VARCHAR(255) NOT NULL,
                 attendance VARCHAR(255) NOT NULL,
-                timestamp TIMESTAMPTZ NOT NULL
+                timestamp TIMESTAMPTZ NOT NULL,
+                guests INTEGER NOT NULL DEFAULT 0,
+                comment TEXT,
+                answers JSONB NOT NULL DEFAULT '{}',
+                edit_token_hash VARCHAR(64),
+                checked_in_at TIMESTAMPTZ,
+                walk_in BOOLEAN NOT NULL DEFAULT FALSE,
+                held_until TIMESTAMPTZ,
+                held_back BOOLEAN NOT NULL DEFAULT FALSE,
+                email VARCHAR(254),
+                email_confirmed_at TIMESTAMPTZ,
+                email_confirm_hash VARCHAR(64),
+                reminder_sent_at TIMESTAMPTZ
+            );
+        `);
+
+        // Plus-ones brought along by the attendee (count toward the limit)
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS guests INTEGER NOT NULL DEFAULT 0');
+        // Free-text comment and answers to the event's questions, for hosts only
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS comment TEXT');
+        await client.query("ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS answers JSONB NOT NULL DEFAULT '{}'");
+        // Hash of the token that lets the browser which made the RSVP change
+        // or cancel it; RSVPs from before tokens existed can only be removed
+        // by an admin
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS edit_token_hash VARCHAR(64)');
+        // Check-in at the event; walk-ins are added by the host or through
+        // self check-in without having RSVP'd
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS walk_in BOOLEAN NOT NULL DEFAULT FALSE');
+        // Waitlisted under a calendar's no-show rule: not promoted before this
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS held_until TIMESTAMPTZ');
+        // Waitlisted under the no-show rule: queued behind everyone else
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS held_back BOOLEAN NOT NULL DEFAULT FALSE');
+        // Opt-in address for confirmations and reminders; never sent to
+        // browsers and cleared after the event
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS email VARCHAR(254)');
+        // Set once the address's confirm link was opened; nothing but the
+        // confirm email goes to an unconfirmed address
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS email_confirmed_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS email_confirm_hash VARCHAR(64)');
+        await client.query('ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMPTZ');
+
+        // "Yes" RSVPs that were given up, for the late cancellation counts
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS rsvp_cancellations (
+                id SERIAL PRIMARY KEY,
+                event_id VARCHAR(255) REFERENCES events(id) ON DELETE CASCADE,
+                attendee_name VARCHAR(255) NOT NULL,
+                cancelled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        // Secret behind each event's self check-in QR code, kept out of the
+        // events table so it never ends up in public event data
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS event_checkin_codes (
+                event_id VARCHAR(255) PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+                code VARCHAR(64) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        // Web Push subscriptions and what each one follows: an event, a
+        // calendar (by source) or an RSVP (by id)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS push_subscriptions (
+                endpoint TEXT PRIMARY KEY,
+                p256dh VARCHAR(200) NOT NULL,
+                auth VARCHAR(100) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS push_follows (
+                endpoint TEXT NOT NULL REFERENCES push_subscriptions(endpoint) ON DELETE CASCADE,
+                kind VARCHAR(20) NOT NULL,
+                target VARCHAR(255) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (endpoint, kind, target)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS push_reminders_sent (
+                event_id VARCHAR(255) PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+                sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                event_date TIMESTAMPTZ
             );
         `);
+        // The start time the reminder was sent for; a rescheduled event gets
+        // another one
+        await client.query('ALTER TABLE push_reminders_sent ADD COLUMN IF NOT EXISTS event_date TIMESTAMPTZ');
+        await client.query(`
+            UPDATE push_reminders_sent p SET event_date = e.date
+            FROM events e WHERE e.id = p.event_id AND p.event_date IS NULL
+        `);
 
         await client.query(`
             CREATE TABLE IF NOT EXISTS donations (
@@ -271,12 +405,89 @@ async function initializeDatabase() {
             console.log('Note: created_by column removal attempted (may not exist):', error.message);
         }
 
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS calendar_sync_status (
+                calendar_name VARCHAR(255) PRIMARY KEY,
+                calendar_id VARCHAR(255),
+                last_attempt_at TIMESTAMPTZ,
+                last_success_at TIMESTAMPTZ,
+                failing_since TIMESTAMPTZ,
+                http_status INTEGER,
+                error TEXT,
+                parse_errors TEXT[],
+                event_count INTEGER,
+                duration_ms INTEGER
+            );
+        `);
+
+        // History of title / time / location edits picked up by the calendar sync
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS event_changes (
+                id SERIAL PRIMARY KEY,
+                event_id VARCHAR(255) REFERENCES events(id) ON DELETE CASCADE,
+                field VARCHAR(50) NOT NULL,
+                old_value TEXT,
+                new_value TEXT,
+                changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        // Private calendar feeds of the events a device RSVP'd "going" to.
+        // Only the hash of the feed token in the URL is stored, like edit tokens.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS calendar_feeds (
+                id VARCHAR(255) PRIMARY KEY,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                last_fetched_at TIMESTAMPTZ
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS calendar_feed_rsvps (
+                feed_id VARCHAR(255) NOT NULL REFERENCES calendar_feeds(id) ON DELETE CASCADE,
+                rsvp_id VARCHAR(255) NOT NULL REFERENCES rsvps(id) ON DELETE CASCADE,
+                PRIMARY KEY (feed_id, rsvp_id)
+            );
+        `);
+
+        // Outbound webhooks (see server/webhooks.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id VARCHAR(255) PRIMARY KEY,
+                url TEXT NOT NULL,
+                event_types TEXT[] NOT NULL,
+                secret VARCHAR(255) NOT NULL,
+                description VARCHAR(255),
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                webhook_id VARCHAR(255) NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                event_type VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+                last_attempt_at TIMESTAMPTZ,
+                last_status_code INTEGER,
+                last_error TEXT,
+                delivered_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+
         // Create indexes for performance
         await client.query('CREATE INDEX IF NOT EXISTS idx_rsvps_event_id ON rsvps(event_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_rsvps_attendance ON rsvps(attendance)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_events_date ON events(date)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_events_source ON events(source)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_event_changes_event_id ON event_changes(event_id, changed_at)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_donations_entry_date ON donations(COALESCE(entry_date, created_at))');
+        await client.query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'");
+        await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)');
 
         console.log('Database schema initialized with indexes.');
     } catch (error) {
@@ -286,127 +497,42 @@ async function initializeDatabase() {
     }
 }
 
-// Function to fetch events from Google Calendar with caching
-async function getCachedCalendarEvents() {
-    const now = Date.now();
-    if (now - calendarCache.lastFetch > CACHE_TTL) {
-        calendarCache.events = await fetchCalendarEvents();
-        calendarCache.lastFetch = now;
-        console.log('Calendar events fetched from Google Calendar');
-    } else {
-        console.log('Using cached calendar events');
-    }
-    return calendarCache.events;
-}
-
-// Function to fetch events from Google Calendar
-async function fetchCalendarEvents() {
-    if (!appConfig.calendars || appConfig.calendars.length === 0) {
-        return [];
-    }
-
-    let allEvents = [];
-    try {
-        for (const calendarEntry of appConfig.calendars) {
-            if (!calendarEntry.enabled) {
-                continue;
-            }
-            const calendarUrl = calendarEntry.url;
-            let calendarId = null;
-            if (calendarUrl.includes('src=')) {
-                const match = calendarUrl.match(/src=([^&]+)/);
-                if (match) calendarId = decodeURIComponent(match[1]);
-            } else if (calendarUrl.includes('calendar.google.com/calendar/ical/')) {
-                const match = calendarUrl.match(/ical\/([^\/]+)\//);
-                if (match) calendarId = decodeURIComponent(match[1]);
-            } else {
-                const match = calendarUrl.match(/calendar\/([^\/?&]+)/);
-                if (match) calendarId = decodeURIComponent(match[1]);
-            }
-
-            if (!calendarId) {
-                console.warn(`Could not extract calendar ID from URL: ${calendarUrl}`);
-                continue;
-            }
-
-            const icalUrl = `https://calendar.google.com/calendar/ical/${encodeURIComponent(calendarId)}/public/basic.ics`;
-            const response = await fetch(icalUrl);
-            if (!response.ok) {
-                console.error(`Error fetching calendar from ${icalUrl}: HTTP ${response.status}: ${response.statusText}`);
-                continue;
-            }
-            
-            const icsText = await response.text();
-            const veventBlocks = icsText.split('BEGIN:VEVENT').slice(1);
-            
-            for (const block of veventBlocks) {
-                const summaryMatch = block.match(/SUMMARY:(.*)/);
-                const dtstartMatch = block.match(/DTSTART(?:;[^:]+)?:([0-9T]+)/);
-                const dtendMatch = block.match(/DTEND(?:;[^:]+)?:([0-9T]+)/);
-                const uidMatch = block.match(/UID:(.*)/);
-                const description = extractIcsField(block, 'DESCRIPTION');
-                const location = extractIcsField(block, 'LOCATION');
-                let attendanceLimitFromDescription = undefined; // Use undefined to signify "not specified"
-
-                if (description) {
-                    const limitMatch = description.match(/limit:?\s*(\d+)/i); // Only capture numbers
-                    if (limitMatch) {
-                        attendanceLimitFromDescription = parseInt(limitMatch[1], 10); // A number
-                    }
-                }
-
-                if (summaryMatch && dtstartMatch && uidMatch) {
-                    let start = dtstartMatch[1];
-                    if (start.length === 8) {
-                        start = `${start.slice(0,4)}-${start.slice(4,6)}-${start.slice(6,8)}T00:00:00Z`;
-                    } else if (start.length === 15 && start.endsWith('Z')) {
-                        start = `${start.slice(0,4)}-${start.slice(4,6)}-${start.slice(6,8)}T${start.slice(9,11)}:${start.slice(11,13)}:${start.slice(13,15)}Z`;
-                    } else if (start.length === 15 && start.includes('T')) {
-                        start = `${start.slice(0,4)}-${start.slice(4,6)}-${start.slice(6,8)}T${start.slice(9,11)}:${start.slice(11,13)}:${start.slice(13,15)}Z`;
-                    } else {
-                        continue;
-                    }
-
-                    let end = dtendMatch ? dtendMatch[1] : null;
-                    if (end) {
-                        if (end.length === 8) {
-                            end = `${end.slice(0,4)}-${end.slice(4,6)}-${end.slice(6,8)}T00:00:00Z`;
-                        } else if (end.length === 15 && end.endsWith('Z')) {
-                            end = `${end.slice(0,4)}-${end.slice(4,6)}-${end.slice(6,8)}T${end.slice(9,11)}:${end.slice(11,13)}:${end.slice(13,15)}Z`;
-                        } else if (end.length === 15 && end.includes('T')) {
-                            end = `${end.slice(0,4)}-${end.slice(4,6)}-${end.slice(6,8)}T${end.slice(9,11)}:${end.slice(11,13)}:${end.slice(13,15)}Z`;
-                        }
-                    }
-
-                    const eventId = `cal-${uidMatch[1]}`.trim();
-                    
-                    allEvents.push({
-                        id: eventId,
-                        title: summaryMatch[1].replace(/\n/g, '\n').trim(),
-                        date: start,
-                        endDate: end,
-                        description,
-                        location,
-                        source: calendarId,
-                        attendance_limit_from_description: attendanceLimitFromDescription
-                    });
-                }
-            }
-        }
-        return allEvents;
-    } catch (error) {
-        console.error('Error fetching calendar events:', error);
-        return allEvents;
-    }
-}
-
 
 // API Routes
 
 // Get configuration
+// The part of config/app.json the front end uses. Calendar credentials and
+// private feed addresses, no-show rules and other server settings stay here.
+function publicConfig() {
+    const events = appConfig.events || {};
+    const rsvp = appConfig.rsvp || {};
+    return {
+        calendars: (appConfig.calendars || []).map(calendarEntry => ({
+            name: calendarEntry.name,
+            id: calendarEntry.id ?? null,
+            type: calendarEntry.type,
+            enabled: Boolean(calendarEntry.enabled),
+            source: calendarEntry.source,
+            // Embed and subscribe links for the "Add to calendar" menu
+            url: ['google', 'ics-url'].includes(calendarEntry.type) ? calendarEntry.url : null
+        })),
+        events: {
+            autoFetch: events.autoFetch,
+            defaultTimeRange: events.defaultTimeRange,
+            defaultCreateCalendar: events.defaultCreateCalendar
+        },
+        rsvp: { requireName: rsvp.requireName, maxGuests: rsvp.maxGuests },
+        email: { enabled: Boolean(appConfig.email && appConfig.email.enabled) },
+        push: appConfig.push && appConfig.push.enabled
+            ? { enabled: true, publicKey: appConfig.push.publicKey }
+            : { enabled: false },
+        joinGroupUrl: appConfig.joinGroupUrl
+    };
+}
+
 app.get('/api/config', (req, res) => {
     try {
-        res.json(appConfig);
+        res.json(publicConfig());
     } catch (error) {
         console.error('Error fetching config:', error);
         res.status(500).json({ error: 'Failed to fetch configuration' });
@@ -457,85 +583,6 @@ app.get('/api/events', async (req, res) => {
     try {
         const timeRange = req.query.timeRange || appConfig.events.defaultTimeRange;
 
-        if (appConfig.events.autoFetch) {
-            const calendarEvents = await getCachedCalendarEvents();
-            const calendarEventIds = new Set(calendarEvents.map(e => e.id));
-
-            await client.query('BEGIN');
-
-            // Sync calendar events
-            if (calendarEvents.length > 0) {
-                // Fetch existing events for comparison
-                const existingEventsResult = await client.query('SELECT id, attendance_limit FROM events');
-                const existingEventsMap = new Map(existingEventsResult.rows.map(row => [row.id, row]));
-
-                for (const event of calendarEvents) {
-                    let finalAttendanceLimit;
-                    const existingEvent = existingEventsMap.get(event.id);
-
-                    if (event.attendance_limit_from_description !== undefined) {
-                        // Limit was explicitly specified in the description (a number)
-                        finalAttendanceLimit = event.attendance_limit_from_description;
-                    } else {
-                        // No limit specified in the description
-                        if (existingEvent) {
-                            // Preserve existing limit if event already exists
-                            finalAttendanceLimit = existingEvent.attendance_limit;
-                        } else {
-                            // New event, no limit in description, so default to null (unlimited)
-                            finalAttendanceLimit = null;
-                        }
-                    }
-
-                    await client.query(
-                        `INSERT INTO events (id, title, date, endDate, description, location, source, attendance_limit)
-                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                         ON CONFLICT (id) DO UPDATE SET
-                            title = EXCLUDED.title,
-                            date = EXCLUDED.date,
-                            endDate = EXCLUDED.endDate,
-                            description = EXCLUDED.description,
-                            location = EXCLUDED.location,
-                            source = EXCLUDED.source,
-                            attendance_limit = $8`,
-                        [event.id, event.title, event.date, event.endDate, event.description, event.location, event.source, finalAttendanceLimit]
-                    );
-                }
-            }
-
-            // Remove deleted calendar events
-            const dbEventsResult = await client.query('SELECT id, source FROM events WHERE source IS NOT NULL');
-            const dbEventsBySource = dbEventsResult.rows.reduce((acc, row) => {
-                if (!acc[row.source]) {
-                    acc[row.source] = new Set();
-                }
-                acc[row.source].add(row.id);
-                return acc;
-            }, {});
-
-            const calendarEventsBySource = calendarEvents.reduce((acc, event) => {
-                if (!acc[event.source]) {
-                    acc[event.source] = new Set();
-                }
-                acc[event.source].add(event.id);
-                return acc;
-            }, {});
-
-            let staleEventIds = [];
-            for (const source in dbEventsBySource) {
-                const dbIds = dbEventsBySource[source];
-                const calendarIds = calendarEventsBySource[source] || new Set();
-                const staleIds = [...dbIds].filter(id => !calendarIds.has(id));
-                staleEventIds.push(...staleIds);
-            }
-
-            if (staleEventIds.length > 0) {
-                await client.query(`DELETE FROM events WHERE id = ANY($1::varchar[])`, [staleEventIds]);
-            }
-
-            await client.query('COMMIT');
-        }
-
         // Paginated past-events mode: ?before=<ISO>&limit=N
         // Returns events strictly before the cursor, newest-first, capped by limit.
         const beforeParam = req.query.before;
@@ -552,14 +599,16 @@ app.get('/api/events', async (req, res) => {
             ? Math.min(parsedLimit, 100)
             : null;
 
-        let whereClause = '';
+        // Events removed from their calendar stay hidden until restored or purged
+        const conditions = ['e.removed_at IS NULL'];
         let orderClause = 'ORDER BY e.date';
         let limitClause = '';
-        const params = [];
+        // Fields edited within this window are reported in "recentChanges"
+        const params = [appConfig.events.changeBadgeHours ?? DEFAULT_CHANGE_BADGE_HOURS];
 
         if (beforeCursor) {
             params.push(beforeCursor.toISOString());
-            whereClause = `WHERE e.date < $${params.length}`;
+            conditions.push(`e.date < $${params.length}`);
             orderClause = 'ORDER BY e.date DESC';
             if (limit) {
                 params.push(limit);
@@ -568,14 +617,13 @@ app.get('/api/events', async (req, res) => {
         } else {
             switch (timeRange) {
                 case 'future':
-                    whereClause = 'WHERE e.date > NOW()';
+                    conditions.push('e.date > NOW()');
                     break;
                 case 'past':
-                    whereClause = 'WHERE e.date < NOW()';
+                    conditions.push('e.date < NOW()');
                     break;
                 case 'all':
                 default:
-                    whereClause = '';
                     break;
             }
             if (limit) {
@@ -588,18 +636,44 @@ app.get('/api/events', async (req, res) => {
             SELECT
                 e.*,
                 COALESCE(r.attendingCount, 0) as "attendingCount",
-                r.attendees
+                COALESCE(r.guestCount, 0) as "guestCount",
+                r.attendees,
+                r.attendeeGuests as "attendeeGuests",
+                COALESCE(r.waitlistCount, 0) as "waitlistCount",
+                r.waitlist,
+                COALESCE(r.maybeCount, 0) as "maybeCount",
+                r.maybe,
+                COALESCE(r.declinedCount, 0) as "declinedCount",
+                r.declined,
+                COALESCE(r.checkedInCount, 0) as "checkedInCount",
+                COALESCE(r.walkInCount, 0) as "walkInCount",
+                c.fields as "recentChanges"
             FROM events e
             LEFT JOIN (
                 SELECT
                     event_id,
-                    COUNT(*) as attendingCount,
-                    array_agg(attendee_name) as attendees
+                    SUM(1 + guests) FILTER (WHERE attendance = 'yes') as attendingCount,
+                    SUM(guests) FILTER (WHERE attendance = 'yes') as guestCount,
+                    array_agg(attendee_name ORDER BY timestamp, id) FILTER (WHERE attendance = 'yes') as attendees,
+                    array_agg(guests ORDER BY timestamp, id) FILTER (WHERE attendance = 'yes') as attendeeGuests,
+                    COUNT(*) FILTER (WHERE attendance = 'waitlisted') as waitlistCount,
+                    array_agg(attendee_name ORDER BY held_back, timestamp, id) FILTER (WHERE attendance = 'waitlisted') as waitlist,
+                    COUNT(*) FILTER (WHERE attendance = 'maybe') as maybeCount,
+                    array_agg(attendee_name ORDER BY timestamp, id) FILTER (WHERE attendance = 'maybe') as maybe,
+                    COUNT(*) FILTER (WHERE attendance = 'declined') as declinedCount,
+                    array_agg(attendee_name ORDER BY timestamp, id) FILTER (WHERE attendance = 'declined') as declined,
+                    SUM(1 + guests) FILTER (WHERE attendance = 'yes' AND checked_in_at IS NOT NULL AND NOT walk_in) as checkedInCount,
+                    SUM(1 + guests) FILTER (WHERE attendance = 'yes' AND walk_in) as walkInCount
                 FROM rsvps
-                WHERE attendance = 'yes'
                 GROUP BY event_id
             ) r ON e.id = r.event_id
-            ${whereClause}
+            LEFT JOIN (
+                SELECT event_id, array_agg(DISTINCT field) as fields
+                FROM event_changes
+                WHERE changed_at > NOW() - make_interval(hours => $1)
+                GROUP BY event_id
+            ) c ON e.id = c.event_id
+            WHERE ${conditions.join(' AND ')}
             ${orderClause}
             ${limitClause}
         `, params);
@@ -607,7 +681,18 @@ app.get('/api/events', async (req, res) => {
         const eventsWithAttendance = eventsResult.rows.map(event => ({
             ...event,
             attendingCount: parseInt(event.attendingCount, 10),
-            attendees: event.attendees || []
+            guestCount: parseInt(event.guestCount, 10),
+            attendees: event.attendees || [],
+            attendeeGuests: event.attendeeGuests || [],
+            waitlistCount: parseInt(event.waitlistCount, 10),
+            waitlist: event.waitlist || [],
+            maybeCount: parseInt(event.maybeCount, 10),
+            maybe: event.maybe || [],
+            declinedCount: parseInt(event.declinedCount, 10),
+            declined: event.declined || [],
+            checkedInCount: parseInt(event.checkedInCount, 10),
+            walkInCount: parseInt(event.walkInCount, 10),
+            recentChanges: event.recentChanges || []
         }));
 
         res.json(eventsWithAttendance);
@@ -619,171 +704,1516 @@ app.get('/api/events', async (req, res) => {
     }
 });
 
-// Get a specific event
-app.get('/api/events/:id', async (req, res) => {
-    const client = await pool.connect();
+// Trigger a calendar sync immediately instead of waiting for the next run
+app.post('/api/admin/sync', requireAdminKey, async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await client.query('SELECT * FROM events WHERE id = $1', [id]);
-        const event = result.rows[0];
-
-        if (!event) {
-            return res.status(404).json({ error: 'Event not found' });
-        }
+        const result = await calendarSync.runSync();
+        res.json({ success: true, message: 'Calendar sync completed', result });
+    } catch (error) {
+        console.error('Error running calendar sync:', error);
+        res.status(500).json({ success: false, message: 'Calendar sync failed' });
+    }
+});
 
-        res.json(event);
+// Per-calendar sync health for the admin panel
+app.get('/api/admin/sync-status', requireAdminKey, async (req, res) => {
+    try {
+        const status = await calendarSync.getSyncStatus();
+        res.json({ success: true, ...status });
     } catch (error) {
-        console.error('Error fetching event:', error);
-        res.status(500).json({ error: 'Failed to fetch event' });
-    } finally {
-        client.release();
+        console.error('Error fetching sync status:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch sync status' });
     }
 });
 
-// Submit RSVP
-app.post('/api/rsvp', async (req, res) => {
+// RSVPs, attendance, no-shows and late cancellations per attendee name
+app.get('/api/admin/attendee-stats', requireAdminKey, async (req, res) => {
     const client = await pool.connect();
     try {
-        const { eventId, action, attendeeName } = req.body;
-
-        if (!eventId || !action) {
-            return res.status(400).json({ success: false, message: 'Event ID and action are required' });
+        const sinceDays = req.query.days ? parseInt(req.query.days, 10) : null;
+        if (sinceDays !== null && (!Number.isInteger(sinceDays) || sinceDays < 1)) {
+            return res.status(400).json({ success: false, message: 'days must be a positive whole number' });
         }
+        const lateCancelHours = appConfig.reliability?.lateCancelHours ?? 24;
+        const attendees = await getReliabilityStats(client, { lateCancelHours, sinceDays });
+        res.json({ success: true, lateCancelHours, sinceDays, attendees });
+    } catch (error) {
+        console.error('Error fetching attendee stats:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch attendee stats' });
+    } finally {
+        client.release();
+    }
+});
 
-        if (!['add', 'remove'].includes(action)) {
-            return res.status(400).json({ success: false, message: 'Invalid action. Must be "add" or "remove"' });
+// Outbound webhooks. A secret is shown in full once, when it is created or
+// replaced, so the admin can set up the receiving end; lists mask it.
+function validateWebhookFields(body, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || body.url !== undefined) {
+        fields.url = typeof body.url === 'string' && body.url.length <= 2000
+            ? validateWebhookUrl(body.url.trim(), { allowPrivate: allowPrivateWebhooks })
+            : null;
+        if (!fields.url) return { error: 'URL must be an http(s) address on the public internet' };
+    }
+    if (!partial || body.eventTypes !== undefined) {
+        const eventTypes = Array.isArray(body.eventTypes) ? [...new Set(body.eventTypes)] : [];
+        if (eventTypes.length === 0 || eventTypes.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+            return { error: `Event types must be one or more of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
         }
-
-        const eventResult = await client.query('SELECT * FROM events WHERE id = $1', [eventId]);
-        if (eventResult.rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'Event not found' });
+        fields.event_types = eventTypes;
+    }
+    if (body.secret !== undefined && body.secret !== null && body.secret !== '') {
+        if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 255) {
+            return { error: 'Secret must be 16 to 255 characters' };
         }
-
-        const event = eventResult.rows[0];
-
-        if (action === 'add') {
-            // Validate attendee name
-            const validatedName = validateAttendeeName(attendeeName);
-            if (!validatedName) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid attendee name. Name must be 1-100 characters and contain no scripts.'
-                });
-            }
-
-            if (event.attendance_limit !== null) {
-                const rsvpsResult = await client.query('SELECT COUNT(*) FROM rsvps WHERE event_id = $1 AND attendance = $2', [eventId, 'yes']);
-                const attendingCount = parseInt(rsvpsResult.rows[0].count, 10);
-                if (attendingCount >= event.attendance_limit) {
-                    return res.status(400).json({ success: false, message: 'Event is full' });
-                }
-            }
-
-            const newRsvp = {
-                id: uuidv4(),
-                eventId,
-                attendance: 'yes',
-                attendeeName: validatedName,
-                timestamp: new Date()
-            };
-            await client.query(
-                'INSERT INTO rsvps (id, event_id, attendee_name, attendance, timestamp) VALUES ($1, $2, $3, $4, $5)',
-                [newRsvp.id, newRsvp.eventId, newRsvp.attendeeName, newRsvp.attendance, newRsvp.timestamp]
-            );
-        } else if (action === 'remove') {
-            // Validate attendee name
-            const validatedName = validateAttendeeName(attendeeName);
-            if (!validatedName) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid attendee name'
-                });
-            }
-            await client.query(
-                'DELETE FROM rsvps WHERE id IN (SELECT id FROM rsvps WHERE event_id = $1 AND attendee_name = $2 AND attendance = $3 LIMIT 1)',
-                [eventId, validatedName, 'yes']
-            );
+        fields.secret = body.secret;
+    }
+    if (body.description !== undefined) {
+        if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 255)) {
+            return { error: 'Description must be at most 255 characters' };
         }
+        fields.description = body.description ? body.description.trim() : null;
+    }
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+        fields.enabled = body.enabled;
+    }
+    return { fields };
+}
 
-        // After action, fetch updated attendance data and broadcast
-        const eventRsvpsResult = await client.query('SELECT attendee_name FROM rsvps WHERE event_id = $1 AND attendance = $2', [eventId, 'yes']);
-        const attendees = eventRsvpsResult.rows.map(rsvp => rsvp.attendee_name);
-        const attendingCount = attendees.length;
+const WEBHOOK_COLUMNS = `w.id, w.url, w.event_types, w.secret, w.description, w.enabled, w.created_at,
+    (SELECT row_to_json(d) FROM (
+        SELECT status, event_type, last_status_code, last_error, COALESCE(last_attempt_at, created_at) AS at
+        FROM webhook_deliveries WHERE webhook_id = w.id ORDER BY id DESC LIMIT 1
+    ) d) AS last_delivery`;
 
-        broadcast({
-            type: 'attendance_update',
-            payload: {
-                eventId,
-                attendingCount,
-                attendees
-            }
-        });
+// `secret` is masked unless `showSecret` (just created or replaced)
+function webhookForAdmin(row, { showSecret = false } = {}) {
+    return { ...row, secret: showSecret ? row.secret : maskSecret(row.secret), secretShown: showSecret };
+}
 
-        res.json({ success: true, message: `RSVP ${action === 'add' ? 'added' : 'removed'} successfully` });
+app.get('/api/admin/webhooks', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks w ORDER BY w.created_at`);
+        res.json({ success: true, eventTypes: WEBHOOK_EVENT_TYPES, webhooks: result.rows.map(row => webhookForAdmin(row)) });
     } catch (error) {
-        console.error('Error submitting RSVP:', error);
-        res.status(500).json({ success: false, message: 'Internal server error' });
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhooks' });
     } finally {
         client.release();
     }
 });
 
-// POST /api/events endpoint removed - events are managed via Google Calendar sync
-
-// Update event attendance limit (ONLY - other fields sync from Google Calendar)
-app.put('/api/events/:id', async (req, res) => {
+app.post('/api/admin/webhooks', requireAdminKey, async (req, res) => {
     const client = await pool.connect();
     try {
-        const { id } = req.params;
-        const { attendanceLimit } = req.body;
-
-        // ONLY allow attendance_limit updates - reject attempts to modify other fields
-        const bodyKeys = Object.keys(req.body);
-        if (bodyKeys.length !== 1 || attendanceLimit === undefined) {
-            return res.status(400).json({
-                success: false,
-                message: 'Only attendanceLimit can be updated. Other event fields are synced from Google Calendar.'
-            });
-        }
-
-        // Validate attendance limit
-        const limit = attendanceLimit === null || attendanceLimit === '' ? null : parseInt(attendanceLimit, 10);
-        if (limit !== null && (isNaN(limit) || limit < 0)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Attendance limit must be a positive number or null'
-            });
+        const { fields, error } = validateWebhookFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
 
+        const id = uuidv4();
         await client.query(
-            'UPDATE events SET attendance_limit = $1 WHERE id = $2',
-            [limit, id]
+            `INSERT INTO webhooks (id, url, event_types, secret, description, enabled)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [id, fields.url, fields.event_types, fields.secret || createWebhookSecret(), fields.description ?? null, fields.enabled ?? true]
         );
+        const result = await client.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.id = $1`, [id]);
+        res.json({ success: true, message: 'Webhook added', webhook: webhookForAdmin(result.rows[0], { showSecret: true }) });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to create webhook' });
+    } finally {
+        client.release();
+    }
+});
 
-        const updatedEventResult = await client.query('SELECT * FROM events WHERE id = $1', [id]);
-        const updatedEvent = updatedEventResult.rows[0];
-
-        if (!updatedEvent) {
-            return res.status(404).json({ success: false, message: 'Event not found' });
+// Partial update; `rotateSecret: true` replaces the secret with a new one
+app.put('/api/admin/webhooks/:id', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { fields, error } = validateWebhookFields(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (req.body.rotateSecret === true) {
+            fields.secret = createWebhookSecret();
+        }
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
         }
 
-        const eventRsvpsResult = await client.query(
-            'SELECT attendee_name FROM rsvps WHERE event_id = $1 AND attendance = $2',
-            [id, 'yes']
+        const result = await client.query(
+            `UPDATE webhooks SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+             WHERE id = $${columns.length + 1}
+             RETURNING id`,
+            [...columns.map(column => fields[column]), req.params.id]
         );
-        const attendees = eventRsvpsResult.rows.map(rsvp => rsvp.attendee_name);
-        const attendingCount = attendees.length;
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+        const updated = await client.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.id = $1`, [req.params.id]);
+        res.json({
+            success: true,
+            message: 'Webhook updated',
+            webhook: webhookForAdmin(updated.rows[0], { showSecret: fields.secret !== undefined })
+        });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to update webhook' });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/admin/webhooks/:id', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete webhook' });
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/api/admin/webhooks/:id/test', requireAdminKey, async (req, res) => {
+    try {
+        const outcome = await webhooks.sendTest(req.params.id);
+        if (!outcome) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+        res.json({
+            success: true,
+            delivered: outcome.status === 'delivered',
+            statusCode: outcome.statusCode,
+            error: outcome.error,
+            message: outcome.status === 'delivered'
+                ? `Test delivered (HTTP ${outcome.statusCode})`
+                : `Test failed: ${outcome.error}`
+        });
+    } catch (error) {
+        console.error('Error sending test webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to send test webhook' });
+    }
+});
+
+// Delivery log, newest first
+app.get('/api/admin/webhooks/:id/deliveries', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            `SELECT id, event_type, payload, status, attempts, next_attempt_at, last_attempt_at, last_status_code, last_error,
+                    delivered_at, created_at
+             FROM webhook_deliveries WHERE webhook_id = $1
+             ORDER BY id DESC
+             LIMIT 50`,
+            [req.params.id]
+        );
+        res.json({ success: true, deliveries: result.rows });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries' });
+    } finally {
+        client.release();
+    }
+});
+
+// Every RSVP of an event with comments and answers, plus a per-question
+// summary of the people going. Hosts only: attendees see names only.
+app.get('/api/admin/events/:id/responses', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const eventResult = await client.query('SELECT id, title, questions FROM events WHERE id = $1', [id]);
+        const event = eventResult.rows[0];
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const rsvpsResult = await client.query(
+            `SELECT id, attendee_name, attendance, guests, comment, answers, timestamp
+             FROM rsvps WHERE event_id = $1 ORDER BY timestamp, id`,
+            [id]
+        );
+        const going = rsvpsResult.rows.filter(rsvp => rsvp.attendance === 'yes');
+
+        res.json({
+            success: true,
+            questions: event.questions,
+            summary: summarizeAnswers(event.questions, going),
+            rsvps: rsvpsResult.rows
+        });
+    } catch (error) {
+        console.error('Error fetching event responses:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch event responses' });
+    } finally {
+        client.release();
+    }
+});
+
+// Attendee list of one event (?eventId=) or of every event in a date range
+// (?from=YYYY-MM-DD&to=YYYY-MM-DD) as csv, xlsx or json. The json format
+// feeds the printable sign-in sheet.
+app.get('/api/admin/exports/attendees', requireAdminKey, async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx', 'json'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be csv, xlsx or json' });
+    }
+    const timeZone = appConfig.exports?.timeZone || 'UTC';
+    const scope = parseExportScope(req.query, timeZone);
+    if (scope.error) {
+        return res.status(400).json({ success: false, message: scope.error });
+    }
+
+    const client = await pool.connect();
+    try {
+        const events = await loadAttendeeExport(client, scope);
+        if (scope.eventId && events.length === 0) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        if (format === 'json') {
+            return res.json({ success: true, timeZone, events });
+        }
+
+        const table = exportTable(events, timeZone);
+        const filename = exportFilename(scope, events, timeZone, format);
+        res.set('Cache-Control', 'no-store');
+        res.attachment(filename);
+        if (format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(await toXlsx(table));
+        } else {
+            res.type('text/csv; charset=utf-8');
+            res.send(toCsv(table));
+        }
+    } catch (error) {
+        console.error('Error exporting attendees:', error);
+        res.status(500).json({ success: false, message: 'Failed to export attendees' });
+    } finally {
+        client.release();
+    }
+});
+
+// Sends the current attendance of an event, including check-in counts, to
+// every connected client
+async function broadcastAttendance(client, eventId, promoted = []) {
+    const attendanceData = await getEventAttendance(client, eventId);
+    broadcast({
+        type: 'attendance_update',
+        payload: {
+            eventId,
+            ...attendanceData,
+            promoted: promoted.map(rsvp => rsvp.attendee_name)
+        }
+    });
+    return attendanceData;
+}
+
+// Webhook payloads carry the event and counts, never names of other
+// attendees or email addresses
+function webhookEvent(event) {
+    return {
+        id: event.id,
+        title: event.title,
+        date: event.date,
+        endDate: event.enddate ?? null,
+        location: event.location ?? null,
+        source: event.source ?? null,
+        attendanceLimit: event.attendance_limit ?? null,
+        cancelled: Boolean(event.cancelled)
+    };
+}
+
+function webhookAttendance(attendanceData) {
+    const { attendingCount, guestCount, waitlistCount, maybeCount, declinedCount, checkedInCount, walkInCount } = attendanceData;
+    return { attendingCount, guestCount, waitlistCount, maybeCount, declinedCount, checkedInCount, walkInCount };
+}
+
+function webhookRsvp(rsvp) {
+    return {
+        id: rsvp.id,
+        attendeeName: rsvp.attendee_name,
+        attendance: rsvp.attendance,
+        guests: rsvp.guests ?? 0,
+        walkIn: Boolean(rsvp.walk_in)
+    };
+}
+
+// Callers only emit event.full when the event just filled up
+function emitEventFull(event, attendanceData) {
+    const limit = event.attendance_limit;
+    if (limit !== null && limit !== undefined && attendanceData.attendingCount >= limit) {
+        webhooks.emit('event.full', { event: webhookEvent(event), attendance: webhookAttendance(attendanceData) });
+    }
+}
+
+function emitRsvpCreated(event, rsvp, attendanceData, extra = {}) {
+    webhooks.emit('rsvp.created', {
+        event: webhookEvent(event),
+        rsvp: webhookRsvp(rsvp),
+        attendance: webhookAttendance(attendanceData),
+        ...extra
+    });
+    const headcount = 1 + (rsvp.guests ?? 0);
+    if (rsvp.attendance === 'yes' && attendanceData.attendingCount - headcount < event.attendance_limit) {
+        emitEventFull(event, attendanceData);
+    }
+}
+
+// event.changed with the event as it is now; `source` is 'calendar' or 'admin'
+function emitEventChanged(eventId, changes, source) {
+    pool.query('SELECT * FROM events WHERE id = $1', [eventId])
+        .then(result => {
+            if (result.rows[0]) {
+                webhooks.emit('event.changed', { event: webhookEvent(result.rows[0]), changes, source });
+            }
+        })
+        .catch(error => console.error('Error loading event for webhooks:', error));
+}
+
+// Origin for links the server hands out, as seen by the browser (the app
+// usually runs behind an HTTPS proxy)
+function requestOrigin(req) {
+    const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('host')}`;
+}
+
+// Everything the host check-in screen needs: RSVPs with their check-in
+// state (people who can't go are left out) and the self check-in QR code
+app.get('/api/admin/events/:id/checkin', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const eventResult = await client.query(
+            'SELECT id, title, date, endDate, location, attendance_limit, cancelled FROM events WHERE id = $1',
+            [id]
+        );
+        const event = eventResult.rows[0];
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const rsvpsResult = await client.query(
+            `SELECT id, attendee_name, attendance, guests, checked_in_at, walk_in
+             FROM rsvps WHERE event_id = $1 AND attendance <> 'declined'
+             ORDER BY attendance <> 'yes', attendance = 'maybe', timestamp, id`,
+            [id]
+        );
+
+        const code = await getCheckInCode(client, id);
+        const url = selfCheckInUrl(requestOrigin(req), id, code);
+        const window = selfCheckInWindow(event, appConfig.checkIn);
+
+        res.json({
+            success: true,
+            event,
+            rsvps: rsvpsResult.rows,
+            attendance: await getEventAttendance(client, id),
+            selfCheckIn: {
+                url,
+                qrSvg: await checkInQrSvg(url),
+                opensAt: window.opensAt,
+                closesAt: window.closesAt
+            }
+        });
+    } catch (error) {
+        console.error('Error loading check-in:', error);
+        res.status(500).json({ success: false, message: 'Failed to load check-in' });
+    } finally {
+        client.release();
+    }
+});
+
+// Check an RSVP in, or undo it. Checking in someone who said maybe (or was
+// still on the waitlist) turns their RSVP into a "yes": they came.
+app.post('/api/admin/events/:id/checkin', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { rsvpId, checkedIn } = req.body;
+        if (!rsvpId || typeof checkedIn !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'rsvpId and checkedIn (true or false) are required' });
+        }
+
+        const result = checkedIn
+            ? await client.query(
+                `UPDATE rsvps SET checked_in_at = COALESCE(checked_in_at, NOW()), attendance = 'yes'
+                 WHERE id = $1 AND event_id = $2
+                 RETURNING id, attendee_name, attendance, guests, checked_in_at, walk_in`,
+                [rsvpId, id]
+            )
+            : await client.query(
+                `UPDATE rsvps SET checked_in_at = NULL
+                 WHERE id = $1 AND event_id = $2
+                 RETURNING id, attendee_name, attendance, guests, checked_in_at, walk_in`,
+                [rsvpId, id]
+            );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'RSVP not found' });
+        }
+
+        await broadcastAttendance(client, id);
+        res.json({ success: true, rsvp: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating check-in:', error);
+        res.status(500).json({ success: false, message: 'Failed to update check-in' });
+    } finally {
+        client.release();
+    }
+});
+
+// Someone who shows up without having RSVP'd; checked in right away
+app.post('/api/admin/events/:id/walk-ins', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const validatedName = validateAttendeeName(req.body.name);
+        const guests = req.body.guests === undefined || req.body.guests === '' ? 0 : Number(req.body.guests);
+        if (!validatedName) {
+            return res.status(400).json({ success: false, message: 'Invalid name. Name must be 1-100 characters and contain no scripts.' });
+        }
+        if (!Number.isInteger(guests) || guests < 0 || guests > 50) {
+            return res.status(400).json({ success: false, message: 'Guests must be a whole number from 0 to 50' });
+        }
+
+        const eventResult = await client.query('SELECT * FROM events WHERE id = $1', [id]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO rsvps (id, event_id, attendee_name, attendance, timestamp, guests, checked_in_at, walk_in)
+             VALUES ($1, $2, $3, 'yes', NOW(), $4, NOW(), TRUE)
+             RETURNING id, attendee_name, attendance, guests, checked_in_at, walk_in`,
+            [uuidv4(), id, validatedName, guests]
+        );
+
+        const attendanceData = await broadcastAttendance(client, id);
+        emitRsvpCreated(eventResult.rows[0], result.rows[0], attendanceData);
+        res.json({ success: true, rsvp: result.rows[0] });
+    } catch (error) {
+        console.error('Error adding walk-in:', error);
+        res.status(500).json({ success: false, message: 'Failed to add walk-in' });
+    } finally {
+        client.release();
+    }
+});
+
+// RSVPs that self check-in may touch: declined ones stay declined
+const SELF_CHECK_IN_ATTENDANCE = ['yes', 'maybe', 'waitlisted'];
+
+// Checks in `rsvps` (rows with id, attendee_name, attendance and guests) of a
+// locked event. "Maybe" and waitlisted RSVPs become "yes" only while they fit
+// under the attendance limit; `full` tells whether one did not.
+async function selfCheckInRsvps(client, event, rsvps) {
+    const headcountResult = await client.query(
+        "SELECT COALESCE(SUM(1 + guests), 0) AS headcount FROM rsvps WHERE event_id = $1 AND attendance = 'yes'",
+        [event.id]
+    );
+    let freeSpots = event.attendance_limit === null
+        ? Infinity
+        : event.attendance_limit - parseInt(headcountResult.rows[0].headcount, 10);
+
+    const checkedIn = [];
+    let full = false;
+    for (const rsvp of rsvps) {
+        if (rsvp.attendance !== 'yes') {
+            if (1 + rsvp.guests > freeSpots) {
+                full = true;
+                continue;
+            }
+            freeSpots -= 1 + rsvp.guests;
+        }
+        await client.query(
+            "UPDATE rsvps SET checked_in_at = COALESCE(checked_in_at, NOW()), attendance = 'yes', held_back = FALSE WHERE id = $1",
+            [rsvp.id]
+        );
+        checkedIn.push(rsvp.attendee_name);
+    }
+    return { checkedIn, full };
+}
+
+// Self check-in from the event's QR code. The browser's edit tokens find
+// its own RSVPs; otherwise the attendee types the name they RSVP'd with.
+// Walk-ins are only added by the host (POST /api/admin/events/:id/walk-ins).
+app.post('/api/events/:id/self-checkin', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { code, name } = req.body;
+        const tokens = Array.isArray(req.body.tokens) ? req.body.tokens.slice(0, 50).map(normalizeEditToken).filter(Boolean) : [];
+
+        const eventResult = await client.query(
+            `SELECT e.*, c.code
+             FROM events e LEFT JOIN event_checkin_codes c ON c.event_id = e.id
+             WHERE e.id = $1 AND e.removed_at IS NULL`,
+            [id]
+        );
+        const event = eventResult.rows[0];
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        if (!event.code || !checkInCodeMatches(event.code, code)) {
+            return res.status(403).json({ success: false, code: 'invalid_code', message: 'This check-in link is not valid. Scan the QR code at the event again.' });
+        }
+        if (event.cancelled) {
+            return res.status(400).json({ success: false, message: 'Event has been cancelled' });
+        }
+
+        const window = selfCheckInWindow(event, appConfig.checkIn);
+        const now = new Date();
+        if (now < window.opensAt || now > window.closesAt) {
+            return res.status(400).json({
+                success: false,
+                code: 'checkin_closed',
+                message: now < window.opensAt ? 'Check-in has not opened yet' : 'Check-in for this event has closed',
+                opensAt: window.opensAt
+            });
+        }
+
+        const validatedName = name === undefined || name === null || name === '' ? null : validateAttendeeName(name);
+        if (name && !validatedName) {
+            return res.status(400).json({ success: false, message: 'Invalid name. Name must be 1-100 characters and contain no scripts.' });
+        }
+
+        let outcome = { checkedIn: [], full: false };
+        let nameMatched = false;
+        await client.query('BEGIN');
+        try {
+            // Same lock order as RSVPs: event row first
+            await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [id]);
+
+            if (tokens.length > 0) {
+                const owned = await client.query(
+                    `SELECT id, attendee_name, attendance, guests FROM rsvps
+                     WHERE event_id = $1 AND edit_token_hash = ANY($2::varchar[]) AND attendance = ANY($3::varchar[])
+                     ORDER BY attendance <> 'yes', held_back, timestamp, id`,
+                    [id, tokens.map(hashEditToken), SELF_CHECK_IN_ATTENDANCE]
+                );
+                outcome = await selfCheckInRsvps(client, event, owned.rows);
+            }
+
+            if (outcome.checkedIn.length === 0 && !outcome.full && validatedName) {
+                // Prefer a "yes" that has not been checked in yet
+                const byName = await client.query(
+                    `SELECT id, attendee_name, attendance, guests FROM rsvps
+                     WHERE event_id = $1 AND LOWER(attendee_name) = LOWER($2) AND attendance = ANY($3::varchar[])
+                     ORDER BY checked_in_at IS NOT NULL, attendance <> 'yes', timestamp
+                     LIMIT 1`,
+                    [id, validatedName, SELF_CHECK_IN_ATTENDANCE]
+                );
+                nameMatched = byName.rows.length > 0;
+                outcome = await selfCheckInRsvps(client, event, byName.rows);
+            }
+            await client.query(outcome.checkedIn.length > 0 ? 'COMMIT' : 'ROLLBACK');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        const { checkedIn, full } = outcome;
+        if (checkedIn.length === 0) {
+            if (full) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'event_full',
+                    message: 'The event is full, so your RSVP cannot be turned into a "yes" here. Ask the host to check you in.'
+                });
+            }
+            if (validatedName && !nameMatched) {
+                return res.status(404).json({
+                    success: false,
+                    code: 'rsvp_not_found',
+                    message: `No RSVP under the name "${validatedName}". Check the spelling, or ask the host to add you as a walk-in.`
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                code: 'name_required',
+                message: 'No RSVP from this device found. Enter the name you RSVP\'d with.'
+            });
+        }
+
+        await broadcastAttendance(client, id);
+        res.json({
+            success: true,
+            message: `Checked in: ${checkedIn.join(', ')}`,
+            checkedIn
+        });
+    } catch (error) {
+        console.error('Error during self check-in:', error);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Follow an event, a calendar or one of this browser's RSVPs with a push
+// subscription. RSVPs need their edit token.
+app.post('/api/push/follow', async (req, res) => {
+    if (!push.enabled) {
+        return res.status(404).json({ success: false, message: 'Push notifications are not enabled' });
+    }
+    const client = await pool.connect();
+    try {
+        const subscription = normalizeSubscription(req.body.subscription);
+        const { kind, target } = req.body;
+        if (!subscription) {
+            return res.status(400).json({ success: false, message: 'Invalid push subscription' });
+        }
+        if (!FOLLOW_KINDS.includes(kind) || typeof target !== 'string' || !target || target.length > 255) {
+            return res.status(400).json({ success: false, message: `kind must be one of: ${FOLLOW_KINDS.join(', ')}, with a target` });
+        }
+
+        let exists;
+        if (kind === 'event') {
+            exists = (await client.query('SELECT 1 FROM events WHERE id = $1 AND removed_at IS NULL', [target])).rows.length > 0;
+        } else if (kind === 'calendar') {
+            exists = (appConfig.calendars || []).some(calendarEntry => calendarEntry.enabled && calendarEntry.source === target);
+        } else {
+            const editToken = normalizeEditToken(req.body.editToken);
+            exists = Boolean(editToken) && (await client.query(
+                'SELECT 1 FROM rsvps WHERE id = $1 AND edit_token_hash = $2',
+                [target, hashEditToken(editToken)]
+            )).rows.length > 0;
+        }
+        if (!exists) {
+            return res.status(404).json({ success: false, message: `${kind === 'rsvp' ? 'RSVP' : kind === 'event' ? 'Event' : 'Calendar'} not found` });
+        }
+
+        await push.saveSubscription(subscription);
+        await push.follow(subscription.endpoint, kind, target);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving push follow:', error);
+        res.status(500).json({ success: false, message: 'Failed to turn on notifications' });
+    } finally {
+        client.release();
+    }
+});
+
+// Stop following one thing, or everything when no kind is given
+app.post('/api/push/unfollow', async (req, res) => {
+    try {
+        const { endpoint, kind, target } = req.body;
+        if (typeof endpoint !== 'string' || !endpoint) {
+            return res.status(400).json({ success: false, message: 'endpoint is required' });
+        }
+        if (kind) {
+            await push.unfollow(endpoint, kind, target);
+        } else {
+            await push.removeSubscription(endpoint);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing push follow:', error);
+        res.status(500).json({ success: false, message: 'Failed to turn off notifications' });
+    }
+});
+
+// What a subscription follows. The endpoint is only known to its browser,
+// hence POST rather than a URL.
+app.post('/api/push/follows', async (req, res) => {
+    try {
+        const { endpoint } = req.body;
+        if (typeof endpoint !== 'string' || !endpoint) {
+            return res.status(400).json({ success: false, message: 'endpoint is required' });
+        }
+        res.json({ success: true, follows: await push.listFollows(endpoint) });
+    } catch (error) {
+        console.error('Error listing push follows:', error);
+        res.status(500).json({ success: false, message: 'Failed to load notification settings' });
+    }
+});
+
+// Get a specific event
+app.get('/api/events/:id', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const result = await client.query('SELECT * FROM events WHERE id = $1 AND removed_at IS NULL', [id]);
+        const event = result.rows[0];
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        res.json(event);
+    } catch (error) {
+        console.error('Error fetching event:', error);
+        res.status(500).json({ error: 'Failed to fetch event' });
+    } finally {
+        client.release();
+    }
+});
+
+// Change history of an event, newest first
+app.get('/api/events/:id/changes', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const result = await client.query(
+            'SELECT field, old_value, new_value, changed_at FROM event_changes WHERE event_id = $1 ORDER BY changed_at DESC, id DESC',
+            [id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching event changes:', error);
+        res.status(500).json({ error: 'Failed to fetch event changes' });
+    } finally {
+        client.release();
+    }
+});
+
+// Calendar files link back to the event's card in the app
+function icsOptions(req) {
+    const origin = requestOrigin(req);
+    return {
+        uidDomain: req.hostname,
+        eventUrl: event => `${origin}/?event=${encodeURIComponent(event.id)}`
+    };
+}
+
+function sendCalendar(res, ics, filename = null) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.send(ics);
+}
+
+// One event as an .ics file, for "Add to my calendar"
+app.get('/api/events/:id/calendar.ics', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT * FROM events WHERE id = $1 AND removed_at IS NULL', [req.params.id]);
+        const event = result.rows[0];
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const filename = `${event.title.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'event'}.ics`;
+        sendCalendar(res, buildCalendar([event], icsOptions(req)), filename);
+    } catch (error) {
+        console.error('Error building event calendar file:', error);
+        res.status(500).json({ success: false, message: 'Failed to build calendar file' });
+    } finally {
+        client.release();
+    }
+});
+
+// Private feed of the events a device is going to. The device creates the
+// feed with the edit tokens of its RSVPs and adds new RSVPs with the feed
+// token as it makes them; cancelled RSVPs drop out on their own. POST so
+// tokens stay out of URLs and logs.
+app.post('/api/calendar-feed', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const tokens = Array.isArray(req.body.tokens) ? req.body.tokens.map(normalizeEditToken).filter(Boolean) : [];
+        if (tokens.length > 500) {
+            return res.status(400).json({ success: false, message: 'Too many tokens' });
+        }
+
+        let feedId;
+        let feedToken = null;
+        if (req.body.feedToken !== undefined && req.body.feedToken !== null) {
+            feedToken = normalizeEditToken(req.body.feedToken);
+            const feedResult = feedToken
+                ? await client.query('SELECT id FROM calendar_feeds WHERE token_hash = $1', [hashEditToken(feedToken)])
+                : { rows: [] };
+            if (feedResult.rows.length === 0) {
+                return res.status(404).json({ success: false, code: 'feed_not_found', message: 'Calendar feed not found' });
+            }
+            feedId = feedResult.rows[0].id;
+        } else {
+            feedId = uuidv4();
+            feedToken = createEditToken();
+            await client.query('INSERT INTO calendar_feeds (id, token_hash) VALUES ($1, $2)', [feedId, hashEditToken(feedToken)]);
+        }
+
+        if (tokens.length > 0) {
+            await client.query(
+                `INSERT INTO calendar_feed_rsvps (feed_id, rsvp_id)
+                 SELECT $1, id FROM rsvps WHERE edit_token_hash = ANY($2::varchar[])
+                 ON CONFLICT DO NOTHING`,
+                [feedId, tokens.map(hashEditToken)]
+            );
+        }
+
+        res.json({ success: true, feedToken, url: `${requestOrigin(req)}/calendar/${feedToken}.ics` });
+    } catch (error) {
+        console.error('Error updating calendar feed:', error);
+        res.status(500).json({ success: false, message: 'Failed to update calendar feed' });
+    } finally {
+        client.release();
+    }
+});
+
+// Stops a feed, e.g. when its URL was shared by accident
+app.delete('/api/calendar-feed', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const feedToken = normalizeEditToken(req.body.feedToken);
+        const result = feedToken
+            ? await client.query('DELETE FROM calendar_feeds WHERE token_hash = $1 RETURNING id', [hashEditToken(feedToken)])
+            : { rows: [] };
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+        }
+        res.json({ success: true, message: 'Calendar feed removed' });
+    } catch (error) {
+        console.error('Error removing calendar feed:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove calendar feed' });
+    } finally {
+        client.release();
+    }
+});
+
+// Events the feed's RSVPs say "going" to, from a while back onwards so
+// recent events stay in the calendar. Cancelled events are kept (marked
+// cancelled) so subscribed calendars pick up the cancellation.
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+app.get('/calendar/:token.ics', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const feedToken = normalizeEditToken(req.params.token);
+        const feedResult = feedToken
+            ? await client.query(
+                'UPDATE calendar_feeds SET last_fetched_at = NOW() WHERE token_hash = $1 RETURNING id',
+                [hashEditToken(feedToken)]
+            )
+            : { rows: [] };
+        if (feedResult.rows.length === 0) {
+            return res.status(404).type('text/plain').send('Calendar feed not found');
+        }
+
+        const eventsResult = await client.query(
+            `SELECT e.* FROM events e
+             WHERE e.removed_at IS NULL
+               AND COALESCE(e.endDate, e.date) >= NOW() - make_interval(days => $2)
+               AND EXISTS (
+                   SELECT 1 FROM calendar_feed_rsvps f JOIN rsvps r ON r.id = f.rsvp_id
+                   WHERE f.feed_id = $1 AND r.event_id = e.id AND r.attendance = 'yes'
+               )
+             ORDER BY e.date`,
+            [feedResult.rows[0].id, CALENDAR_FEED_PAST_DAYS]
+        );
+        sendCalendar(res, buildCalendar(eventsResult.rows, { ...icsOptions(req), name: 'Lilai — My RSVPs', refreshMinutes: 60 }));
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).type('text/plain').send('Failed to build calendar feed');
+    } finally {
+        client.release();
+    }
+});
+
+// Submit RSVP
+app.post('/api/rsvp', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { eventId, action, attendeeName, rsvpId } = req.body;
+        const editToken = normalizeEditToken(req.body.editToken);
+        const response = req.body.response || 'yes';
+        const guests = req.body.guests === undefined || req.body.guests === null || req.body.guests === ''
+            ? 0
+            : Number(req.body.guests);
+
+        if (!eventId || !action) {
+            return res.status(400).json({ success: false, message: 'Event ID and action are required' });
+        }
+
+        if (!['add', 'remove'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Invalid action. Must be "add" or "remove"' });
+        }
+
+        if (!RSVP_RESPONSES.includes(response)) {
+            return res.status(400).json({ success: false, message: `Invalid response. Must be one of: ${RSVP_RESPONSES.join(', ')}` });
+        }
+
+        const eventResult = await client.query('SELECT * FROM events WHERE id = $1 AND removed_at IS NULL', [eventId]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const event = eventResult.rows[0];
+        let rsvpStatus = null;
+        let waitlistPosition = null;
+        let promoted = [];
+        let savedRsvpId = null;
+        let savedEditToken = null;
+        let heldUntil = null;
+        let email = null;
+        let replacedResponse = null;
+        let removedRsvp = null;
+
+        if (action === 'add') {
+            if (event.cancelled) {
+                return res.status(400).json({ success: false, message: 'Event has been cancelled' });
+            }
+
+            if (!event.rsvp_enabled) {
+                return res.status(400).json({ success: false, message: 'RSVPs are not taken for this event' });
+            }
+
+            if (event.rsvp_opens_at && new Date(event.rsvp_opens_at) > new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'rsvp_not_open',
+                    message: 'RSVPs for this event are not open yet',
+                    opensAt: event.rsvp_opens_at
+                });
+            }
+
+            if (event.rsvp_closes_at && new Date(event.rsvp_closes_at) <= new Date()) {
+                return res.status(400).json({ success: false, code: 'rsvp_closed', message: 'RSVPs for this event are closed' });
+            }
+
+            // Validate attendee name
+            const validatedName = validateAttendeeName(attendeeName);
+            if (!validatedName) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid attendee name. Name must be 1-100 characters and contain no scripts.'
+                });
+            }
+
+            const extras = validateRsvpExtras(event.questions, req.body.comment, req.body.answers);
+            if (extras.error) {
+                return res.status(400).json({ success: false, message: extras.error });
+            }
+
+            // Only kept when email is set up; otherwise nothing would use it
+            if (req.body.email && !normalizeEmail(req.body.email)) {
+                return res.status(400).json({ success: false, message: 'Invalid email address' });
+            }
+            email = mailer.enabled && response !== 'declined' ? normalizeEmail(req.body.email) : null;
+
+            // Guests only come along with a "yes"; the per-event directive
+            // overrides the configured default
+            const maxGuests = event.max_guests ?? appConfig.rsvp?.maxGuests ?? 0;
+            if (!Number.isInteger(guests) || guests < 0) {
+                return res.status(400).json({ success: false, message: 'Guests must be a whole number of 0 or more' });
+            }
+            if (guests > 0 && response !== 'yes') {
+                return res.status(400).json({ success: false, message: 'Guests can only be added to a "yes" response' });
+            }
+            if (guests > maxGuests) {
+                return res.status(400).json({
+                    success: false,
+                    message: maxGuests === 0 ? 'This event does not allow guests' : `You can bring at most ${maxGuests} guest${maxGuests === 1 ? '' : 's'}`
+                });
+            }
+
+            // Answering again under the same name, from the browser that holds
+            // the RSVP's edit token, changes that response instead of adding
+            // another one. Several "yes" RSVPs with the same name from
+            // different browsers stay possible, as before.
+            let rejection = null;
+            let existingRsvp = null;
+            // A "yes" again from someone going or waiting keeps their spot or
+            // their place in the queue
+            let keepsPlace = false;
+
+            await client.query('BEGIN');
+            try {
+                // Lock the event row so concurrent RSVPs are checked against the
+                // limit one at a time; the count below cannot go stale before
+                // the insert commits
+                const capacityResult = await client.query(
+                    'SELECT attendance_limit, waitlist_enabled, waitlist_limit FROM events WHERE id = $1 FOR UPDATE',
+                    [eventId]
+                );
+                const capacity = capacityResult.rows[0];
+
+                if (capacity && editToken) {
+                    const existingResult = await client.query(
+                        `SELECT id, attendance, guests, timestamp, held_until, held_back FROM rsvps
+                         WHERE event_id = $1 AND attendee_name = $2 AND edit_token_hash = $3
+                         ORDER BY timestamp DESC
+                         LIMIT 1`,
+                        [eventId, validatedName, hashEditToken(editToken)]
+                    );
+                    existingRsvp = existingResult.rows[0] || null;
+                }
+                keepsPlace = response === 'yes' && existingRsvp !== null && ['yes', 'waitlisted'].includes(existingRsvp.attendance);
+
+                rsvpStatus = response;
+                if (!capacity) {
+                    // Purged by the calendar sync since it was read above
+                    rejection = { status: 404, code: 'not_found', message: 'Event not found' };
+                } else if (keepsPlace) {
+                    rsvpStatus = existingRsvp.attendance;
+                    heldUntil = existingRsvp.held_until;
+                    // More guests on a "yes" need free spots that nobody is
+                    // waiting for
+                    if (rsvpStatus === 'yes' && capacity.attendance_limit !== null && guests > existingRsvp.guests) {
+                        const current = await getEventAttendance(client, eventId);
+                        const spotsLeft = current.waitlistCount > 0 ? 0 : Math.max(0, capacity.attendance_limit - current.attendingCount);
+                        if (guests - existingRsvp.guests > spotsLeft) {
+                            rejection = {
+                                code: 'not_enough_spots',
+                                message: spotsLeft === 0
+                                    ? 'The event is full, so you cannot add guests'
+                                    : `Only ${spotsLeft} spot${spotsLeft === 1 ? '' : 's'} left for guests`
+                            };
+                        }
+                    }
+                } else if (response === 'yes' && capacity.attendance_limit !== null) {
+                    const current = await getEventAttendance(client, eventId);
+                    const waitlistOpen = capacity.waitlist_enabled
+                        && (capacity.waitlist_limit === null || current.waitlistCount < capacity.waitlist_limit);
+                    // Repeat no-shows go to the back of the waitlist, full
+                    // event or not, and wait until shortly before the event
+                    heldUntil = waitlistOpen
+                        ? await noShowHoldUntil(client, noShowRuleFor(calendarEntryForSource(event.source)), event, validatedName)
+                        : null;
+                    // Free spots go to the people already waiting first, even
+                    // when the first party in line does not fit yet. Held-back
+                    // RSVPs queue behind everyone else.
+                    const queueResult = await client.query(
+                        "SELECT COUNT(*) AS ahead FROM rsvps WHERE event_id = $1 AND attendance = 'waitlisted' AND NOT held_back",
+                        [eventId]
+                    );
+                    const waitingAhead = parseInt(queueResult.rows[0].ahead, 10);
+                    const othersWaiting = waitingAhead > 0;
+                    if (heldUntil) {
+                        rsvpStatus = 'waitlisted';
+                        waitlistPosition = current.waitlistCount + 1;
+                    } else if (othersWaiting || current.attendingCount + 1 + guests > capacity.attendance_limit) {
+                        const spotsLeft = Math.max(0, capacity.attendance_limit - current.attendingCount);
+                        // Full: queue up on the waitlist unless the host turned it off
+                        if (!capacity.waitlist_enabled) {
+                            rejection = spotsLeft === 0 || othersWaiting
+                                ? { code: 'event_full', message: 'Event just filled up' }
+                                : { code: 'not_enough_spots', message: `Only ${spotsLeft} spot${spotsLeft === 1 ? '' : 's'} left` };
+                        } else if (capacity.waitlist_limit !== null && current.waitlistCount >= capacity.waitlist_limit) {
+                            rejection = { code: 'waitlist_full', message: 'Event just filled up and the waitlist is full' };
+                        } else {
+                            rsvpStatus = 'waitlisted';
+                            waitlistPosition = waitingAhead + 1;
+                        }
+                    }
+                }
+
+                if (rejection) {
+                    await client.query('ROLLBACK');
+                } else {
+                    if (existingRsvp) {
+                        await client.query(
+                            `UPDATE rsvps SET attendance = $1, timestamp = $2, guests = $3, comment = $4, answers = $5, held_until = $6,
+                                 held_back = $9,
+                                 reminder_sent_at = CASE WHEN email IS DISTINCT FROM $7 THEN NULL ELSE reminder_sent_at END,
+                                 email_confirmed_at = CASE WHEN email IS DISTINCT FROM $7 THEN NULL ELSE email_confirmed_at END,
+                                 email_confirm_hash = CASE WHEN email IS DISTINCT FROM $7 THEN NULL ELSE email_confirm_hash END,
+                                 email = $7
+                             WHERE id = $8`,
+                            [
+                                rsvpStatus, keepsPlace ? existingRsvp.timestamp : new Date(), guests, extras.comment,
+                                JSON.stringify(extras.answers), heldUntil, email, existingRsvp.id,
+                                keepsPlace ? existingRsvp.held_back : heldUntil !== null
+                            ]
+                        );
+                        savedRsvpId = existingRsvp.id;
+                        savedEditToken = editToken;
+                        replacedResponse = existingRsvp.attendance;
+                    } else {
+                        const newRsvp = {
+                            id: uuidv4(),
+                            eventId,
+                            attendance: rsvpStatus,
+                            attendeeName: validatedName,
+                            timestamp: new Date(),
+                            guests,
+                            comment: extras.comment,
+                            answers: extras.answers,
+                            editToken: createEditToken()
+                        };
+                        await client.query(
+                            `INSERT INTO rsvps (id, event_id, attendee_name, attendance, timestamp, guests, comment, answers, edit_token_hash,
+                                                held_until, held_back, email)
+                             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10 IS NOT NULL, $11)`,
+                            [
+                                newRsvp.id, newRsvp.eventId, newRsvp.attendeeName, newRsvp.attendance, newRsvp.timestamp,
+                                newRsvp.guests, newRsvp.comment, JSON.stringify(newRsvp.answers), hashEditToken(newRsvp.editToken),
+                                heldUntil, email
+                            ]
+                        );
+                        savedRsvpId = newRsvp.id;
+                        savedEditToken = newRsvp.editToken;
+                    }
+
+                    // Switching from "yes" to maybe / declined frees a spot,
+                    // and so does bringing fewer guests
+                    if (existingRsvp && existingRsvp.attendance === 'yes' && !keepsPlace) {
+                        await recordCancellation(client, eventId, validatedName);
+                        promoted = await promoteFromWaitlist(client, eventId);
+                    } else if (keepsPlace && guests < existingRsvp.guests) {
+                        promoted = await promoteFromWaitlist(client, eventId);
+                    }
+
+                    if (keepsPlace && rsvpStatus === 'waitlisted') {
+                        if (promoted.some(rsvp => rsvp.id === savedRsvpId)) {
+                            // Fits now that the party is smaller
+                            rsvpStatus = 'yes';
+                            promoted = promoted.filter(rsvp => rsvp.id !== savedRsvpId);
+                        } else {
+                            const positionResult = await client.query(
+                                `SELECT COUNT(*) AS ahead FROM rsvps
+                                 WHERE event_id = $1 AND attendance = 'waitlisted' AND (held_back, timestamp, id) < ($2, $3, $4)`,
+                                [eventId, existingRsvp.held_back, existingRsvp.timestamp, savedRsvpId]
+                            );
+                            waitlistPosition = parseInt(positionResult.rows[0].ahead, 10) + 1;
+                        }
+                    }
+                    await client.query('COMMIT');
+                }
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+
+            // 409 so the front end can tell "someone was faster" from bad input
+            if (rejection) {
+                return res.status(rejection.status || 409).json({ success: false, code: rejection.code, message: rejection.message });
+            }
+        } else if (action === 'remove') {
+            if (!rsvpId || typeof rsvpId !== 'string') {
+                return res.status(400).json({ success: false, message: 'RSVP ID is required' });
+            }
+
+            // Only the browser holding the RSVP's edit token, or an admin,
+            // may remove it
+            const isAdmin = hasAdminKey(req);
+            if (!isAdmin && !editToken) {
+                return res.status(403).json({ success: false, message: 'You can only cancel RSVPs made from this device' });
+            }
+
+            let deleted;
+            await client.query('BEGIN');
+            try {
+                // Same lock order as adding: event row first, then its RSVPs
+                await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+                deleted = isAdmin
+                    ? await client.query(
+                        'DELETE FROM rsvps WHERE id = $1 AND event_id = $2 RETURNING id, attendance, attendee_name, guests, walk_in',
+                        [rsvpId, eventId]
+                    )
+                    : await client.query(
+                        'DELETE FROM rsvps WHERE id = $1 AND event_id = $2 AND edit_token_hash = $3 RETURNING id, attendance, attendee_name, guests, walk_in',
+                        [rsvpId, eventId, hashEditToken(editToken)]
+                    );
+
+                // A freed spot goes to the first person on the waitlist.
+                // Removals by an admin are not held against the attendee.
+                if (deleted.rows.length > 0 && deleted.rows[0].attendance === 'yes') {
+                    if (!isAdmin) {
+                        await recordCancellation(client, eventId, deleted.rows[0].attendee_name);
+                    }
+                    promoted = await promoteFromWaitlist(client, eventId);
+                }
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+
+            if (deleted.rows.length === 0) {
+                return res.status(isAdmin ? 404 : 403).json({
+                    success: false,
+                    message: isAdmin ? 'RSVP not found' : 'This RSVP was already removed or was not made from this device'
+                });
+            }
+            removedRsvp = { ...deleted.rows[0], byAdmin: isAdmin };
+        }
+
+        // Emails go out in the background; failures are only logged
+        if (email) {
+            mailer.sendRsvpConfirmation({
+                rsvpId: savedRsvpId, email, attendeeName: validateAttendeeName(attendeeName), status: rsvpStatus, waitlistPosition, event,
+                ip: req.ip
+            });
+        }
+        if (promoted.length > 0) {
+            notifyPromoted(eventId, promoted);
+        }
+
+        // After action, fetch updated attendance data and broadcast
+        const attendanceData = await getEventAttendance(client, eventId);
+
+        broadcast({
+            type: 'attendance_update',
+            payload: {
+                eventId,
+                ...attendanceData,
+                promoted: promoted.map(rsvp => rsvp.attendee_name)
+            }
+        });
+
+        // A changed response counts as a new RSVP; `replacedResponse` tells
+        // receivers what it was before
+        const promotedRsvps = promoted.map(rsvp => webhookRsvp({ ...rsvp, attendance: 'yes' }));
+        if (action === 'add') {
+            emitRsvpCreated(
+                event,
+                { id: savedRsvpId, attendee_name: validateAttendeeName(attendeeName), attendance: rsvpStatus, guests },
+                attendanceData,
+                { replacedResponse, promoted: promotedRsvps }
+            );
+        } else {
+            webhooks.emit('rsvp.removed', {
+                event: webhookEvent(event),
+                rsvp: webhookRsvp(removedRsvp),
+                byAdmin: removedRsvp.byAdmin,
+                attendance: webhookAttendance(attendanceData),
+                promoted: promotedRsvps
+            });
+        }
+
+        let message = `RSVP ${action === 'add' ? 'added' : 'removed'} successfully`;
+        if (rsvpStatus === 'maybe' || rsvpStatus === 'declined') {
+            message = 'Response saved';
+        } else if (heldUntil) {
+            message = `You are #${waitlistPosition} on the waitlist; open spots are given out shortly before the event`;
+        } else if (rsvpStatus === 'waitlisted') {
+            message = `Event is full, you are #${waitlistPosition} on the waitlist`;
+        }
+        // The edit token is only ever sent back to the browser that made the RSVP
+        res.json({
+            success: true,
+            message,
+            status: rsvpStatus,
+            waitlistPosition,
+            heldUntil,
+            rsvpId: savedRsvpId,
+            editToken: savedEditToken
+        });
+    } catch (error) {
+        console.error('Error submitting RSVP:', error);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Link from the confirm email (see server/mailer.js); back to the app with
+// the outcome for a toast
+app.get('/api/rsvp/confirm-email', async (req, res) => {
+    const token = normalizeEditToken(req.query.token);
+    try {
+        const confirmed = token ? await mailer.confirmEmail(token) : false;
+        res.redirect(`/?email-confirmed=${confirmed ? 1 : 0}`);
+    } catch (error) {
+        console.error('Error confirming email:', error);
+        res.redirect('/?email-confirmed=0');
+    }
+});
+
+// RSVPs of one browser, for the "My events" view. Edit tokens identify the
+// browser's own RSVPs; names it used before are matched as well so RSVPs
+// made elsewhere or before tokens existed still show up, but only token
+// matches are marked `owned` and carry the RSVP id needed to cancel. POST so
+// the tokens stay out of URLs and access logs.
+app.post('/api/rsvps/mine', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const tokens = Array.isArray(req.body.tokens) ? req.body.tokens.map(normalizeEditToken).filter(Boolean) : [];
+        const names = Array.isArray(req.body.names)
+            ? req.body.names.map(validateAttendeeName).filter(Boolean).map(name => name.toLowerCase())
+            : [];
+        if (tokens.length > 500 || names.length > 20) {
+            return res.status(400).json({ success: false, message: 'Too many tokens or names' });
+        }
+        if (tokens.length === 0 && names.length === 0) {
+            return res.json({ success: true, rsvps: [] });
+        }
+
+        const result = await client.query(
+            `SELECT r.id, r.event_id, r.attendee_name, r.attendance, r.guests,
+                    COALESCE(r.edit_token_hash = ANY($1::varchar[]), false) AS owned,
+                    CASE WHEN r.attendance = 'waitlisted' THEN (
+                        SELECT COUNT(*) FROM rsvps w
+                        WHERE w.event_id = r.event_id AND w.attendance = 'waitlisted'
+                          AND (w.held_back, w.timestamp, w.id) <= (r.held_back, r.timestamp, r.id)
+                    ) END AS waitlist_position
+             FROM rsvps r
+             JOIN events e ON e.id = r.event_id AND e.removed_at IS NULL
+             WHERE r.edit_token_hash = ANY($1::varchar[]) OR LOWER(r.attendee_name) = ANY($2::varchar[])
+             ORDER BY e.date, r.timestamp`,
+            [tokens.map(hashEditToken), names]
+        );
+
+        res.json({
+            success: true,
+            rsvps: result.rows.map(row => ({
+                rsvpId: row.owned ? row.id : null,
+                eventId: row.event_id,
+                name: row.attendee_name,
+                status: row.attendance,
+                guests: row.guests,
+                waitlistPosition: row.waitlist_position === null ? null : parseInt(row.waitlist_position, 10),
+                owned: row.owned
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching own RSVPs:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch RSVPs' });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /api/events endpoint removed - events are managed via Google Calendar sync
+
+// Update an event's attendance limit and RSVP window (ONLY - other fields
+// sync from Google Calendar)
+app.put('/api/events/:id', requireAdminKey, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { attendanceLimit } = req.body;
+        const updatableKeys = ['attendanceLimit', 'rsvpOpensAt', 'rsvpClosesAt'];
+
+        // ONLY allow these updates - reject attempts to modify other fields.
+        // The admin key may come in the body, like on the other admin routes.
+        const bodyKeys = Object.keys(req.body).filter(key => key !== 'adminKey');
+        if (bodyKeys.length === 0 || bodyKeys.some(key => !updatableKeys.includes(key))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only attendanceLimit, rsvpOpensAt and rsvpClosesAt can be updated. Other event fields are synced from Google Calendar.'
+            });
+        }
+
+        // Validate attendance limit
+        const limit = attendanceLimit === null || attendanceLimit === '' ? null : parseInt(attendanceLimit, 10);
+        if (attendanceLimit !== undefined && limit !== null && (isNaN(limit) || limit < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attendance limit must be a positive number or null'
+            });
+        }
+
+        // RSVP window times are ISO timestamps; null clears the admin value
+        const windowTimes = {};
+        for (const key of ['rsvpOpensAt', 'rsvpClosesAt']) {
+            const value = req.body[key];
+            if (value === undefined) continue;
+            const time = value === null || value === '' ? null : new Date(value);
+            if (time !== null && (typeof value !== 'string' || isNaN(time.getTime()))) {
+                return res.status(400).json({ success: false, message: `${key} must be a date and time or null` });
+            }
+            windowTimes[key] = time;
+        }
+
+        // Raising (or removing) the limit promotes as many waitlisted RSVPs as fit
+        let promoted = [];
+        let rejection = null;
+        let previousEvent = null;
+        await client.query('BEGIN');
+        try {
+            const eventResult = await client.query('SELECT * FROM events WHERE id = $1 FOR UPDATE', [id]);
+            const event = eventResult.rows[0];
+            previousEvent = event;
+
+            if (!event) {
+                rejection = { status: 404, message: 'Event not found' };
+            } else if (Object.keys(windowTimes).length > 0) {
+                // Directives in the description win over the admin panel; the
+                // calendar's defaults apply when neither sets a time
+                const opensOverride = 'rsvpOpensAt' in windowTimes ? windowTimes.rsvpOpensAt : event.rsvp_opens_override;
+                const closesOverride = 'rsvpClosesAt' in windowTimes ? windowTimes.rsvpClosesAt : event.rsvp_closes_override;
+                const directiveKeys = event.directive_keys || [];
+                const defaults = defaultRsvpWindow(calendarEntryForSource(event.source), new Date(event.date));
+                const opensAt = directiveKeys.includes('rsvpOpens') ? event.rsvp_opens_at : opensOverride ?? defaults.opensAt;
+                const closesAt = directiveKeys.includes('rsvpDeadline') ? event.rsvp_closes_at : closesOverride ?? defaults.closesAt;
+
+                if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+                    rejection = { status: 400, message: 'RSVPs must open before they close' };
+                } else {
+                    await client.query(
+                        `UPDATE events SET rsvp_opens_override = $1, rsvp_closes_override = $2, rsvp_opens_at = $3, rsvp_closes_at = $4
+                         WHERE id = $5`,
+                        [opensOverride, closesOverride, opensAt, closesAt, id]
+                    );
+                }
+            }
+
+            if (!rejection && attendanceLimit !== undefined) {
+                await client.query(
+                    'UPDATE events SET attendance_limit = $1 WHERE id = $2',
+                    [limit, id]
+                );
+                promoted = await promoteFromWaitlist(client, id);
+            }
+            await client.query(rejection ? 'ROLLBACK' : 'COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        if (rejection) {
+            return res.status(rejection.status).json({ success: false, message: rejection.message });
+        }
+
+        const updatedEventResult = await client.query('SELECT * FROM events WHERE id = $1', [id]);
+        const updatedEvent = updatedEventResult.rows[0];
+
+        if (!updatedEvent) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const attendanceData = await getEventAttendance(client, id);
 
         broadcast({
             type: 'event_update',
             payload: {
                 ...updatedEvent,
-                attendees,
-                attendingCount
+                ...attendanceData
             }
         });
 
-        res.json({ success: true, message: 'Attendance limit updated successfully', event: updatedEvent });
+        if (promoted.length > 0) {
+            notifyPromoted(id, promoted);
+            broadcast({
+                type: 'attendance_update',
+                payload: {
+                    eventId: id,
+                    ...attendanceData,
+                    promoted: promoted.map(rsvp => rsvp.attendee_name)
+                }
+            });
+        }
+
+        const comparable = value => (value instanceof Date ? value.toISOString() : value ?? null);
+        const changes = [
+            ['attendanceLimit', 'attendance_limit'],
+            ['rsvpOpensAt', 'rsvp_opens_at'],
+            ['rsvpClosesAt', 'rsvp_closes_at']
+        ]
+            .map(([field, column]) => ({ field, oldValue: comparable(previousEvent[column]), newValue: comparable(updatedEvent[column]) }))
+            .filter(change => change.oldValue !== change.newValue);
+        if (changes.length > 0) {
+            webhooks.emit('event.changed', { event: webhookEvent(updatedEvent), changes, source: 'admin' });
+        }
+        // Lowering the limit, or promotions after raising it, can fill the event
+        const previousCount = attendanceData.attendingCount - promoted.reduce((sum, rsvp) => sum + 1 + rsvp.guests, 0);
+        if (previousEvent.attendance_limit === null || previousCount < previousEvent.attendance_limit) {
+            emitEventFull(updatedEvent, attendanceData);
+        }
+
+        const message = attendanceLimit !== undefined && bodyKeys.length === 1
+            ? 'Attendance limit updated successfully'
+            : 'Event updated successfully';
+        res.json({ success: true, message, event: updatedEvent });
     } catch (error) {
         console.error('Error updating event:', error);
         res.status(500).json({ success: false, message: 'Internal server error' });
@@ -860,16 +2290,19 @@ app.post('/api/donations', requireAdminKey, async (req, res) => {
             [donationId, amount, description || null, donator || null, entryDateValue]
         );
 
+        const donation = {
+            id: donationId,
+            amount: parseFloat(amount),
+            description: description || '',
+            donator: donator || '',
+            entry_date: entryDateValue
+        };
+        webhooks.emit('donation.created', { donation });
+
         res.json({ 
             success: true, 
             message: 'Donation added successfully',
-            donation: {
-                id: donationId,
-                amount: parseFloat(amount),
-                description: description || '',
-                donator: donator || '',
-                entry_date: entryDateValue
-            }
+            donation
         });
     } catch (error) {
         console.error('Error creating donation:', error);
@@ -892,6 +2325,22 @@ app.get('/admin/events', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/admin.html'));
 });
 
+app.get('/admin/checkin/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/admin-checkin.html'));
+});
+
+app.get('/checkin/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/checkin.html'));
+});
+
+app.get('/admin/sign-in-sheet', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/admin-sign-in-sheet.html'));
+});
+
+app.get('/admin/webhooks', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/admin-webhooks.html'));
+});
+
 app.get('/admin/donations', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/admin-donations.html'));
 });
@@ -918,10 +2367,34 @@ app.use((err, req, res, next) => {
     });
 });
 
+// RSVPs held on the waitlist by a no-show rule are released shortly before
+// their event; check for due ones every minute
+const HELD_RSVP_CHECK_INTERVAL = 60 * 1000;
+
+async function releaseHeldWaitlist() {
+    const client = await pool.connect();
+    try {
+        const released = await releaseHeldRsvps(client);
+        for (const { eventId, promoted } of released) {
+            notifyPromoted(eventId, promoted);
+            await broadcastAttendance(client, eventId, promoted);
+        }
+    } catch (error) {
+        console.error('Error releasing held RSVPs:', error);
+    } finally {
+        client.release();
+    }
+}
+
 // Initialize database and start server
 initializeDatabase().then(() => {
     server.listen(PORT, () => {
         console.log(`🚀 Event Attendance App server running on http://localhost:${PORT}`);
         console.log('🎉 Ready to accept RSVPs!');
+        calendarSync.start();
+        mailer.start();
+        push.start();
+        webhooks.start();
+        setInterval(releaseHeldWaitlist, HELD_RSVP_CHECK_INTERVAL);
     });
 });
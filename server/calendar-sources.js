@@ -0,0 +1,185 @@
+// Calendar source adapters.
+//
+// Each entry in `config.calendars` declares a `type` that decides where its
+// iCalendar data comes from:
+//
+//   google   - Google Calendar embed / iCal URL (default when `type` is omitted)
+//   ics-url  - any public .ics URL (Outlook, Nextcloud public links, static files)
+//   caldav   - a CalDAV calendar collection, queried with REPORT
+//   file     - a local .ics file, relative to the project root
+//
+// An adapter provides `sourceId(entry)`, the value stored in events.source and
+// used by the front end to filter by calendar, `describe(entry)` for logs, and
+// `load(entry, previous, options)`, which resolves to the same shape as
+// fetchFeed so the sync can skip unchanged sources.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FEED_TIMEOUT = 15 * 1000;
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+function extractCalendarId(calendarUrl) {
+    if (typeof calendarUrl !== 'string') {
+        return null;
+    }
+
+    let calendarId = null;
+    if (calendarUrl.includes('src=')) {
+        const match = calendarUrl.match(/src=([^&]+)/);
+        if (match) calendarId = decodeURIComponent(match[1]);
+    } else if (calendarUrl.includes('calendar.google.com/calendar/ical/')) {
+        const match = calendarUrl.match(/ical\/([^\/]+)\//);
+        if (match) calendarId = decodeURIComponent(match[1]);
+    } else {
+        const match = calendarUrl.match(/calendar\/([^\/?&]+)/);
+        if (match) calendarId = decodeURIComponent(match[1]);
+    }
+    return calendarId;
+}
+
+// Downloads one .ics feed, revalidating with the ETag / Last-Modified of the
+// previous response. Resolves to { notModified, httpStatus, etag,
+// lastModified, text } and rejects on network errors, timeouts and non-2xx
+// responses (with `error.httpStatus` set when the server answered).
+async function fetchFeed(url, previous, { timeoutMs = DEFAULT_FEED_TIMEOUT, method = 'GET', headers = {}, body } = {}) {
+    const requestHeaders = { ...headers };
+    if (previous && previous.etag) requestHeaders['If-None-Match'] = previous.etag;
+    if (previous && previous.lastModified) requestHeaders['If-Modified-Since'] = previous.lastModified;
+
+    try {
+        const response = await fetch(url, { method, headers: requestHeaders, body, signal: AbortSignal.timeout(timeoutMs) });
+
+        if (response.status === 304 && previous) {
+            return { notModified: true, httpStatus: 304 };
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.httpStatus = response.status;
+            throw error;
+        }
+
+        return {
+            notModified: false,
+            httpStatus: response.status,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            text: await response.text()
+        };
+    } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            throw new Error(`Timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    }
+}
+
+function decodeXmlText(value) {
+    return value
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&#(x[0-9a-f]+|\d+);/gi, (match, code) => {
+            return String.fromCharCode(code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : parseInt(code, 10));
+        })
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+// A CalDAV REPORT returns one calendar object per event resource; merge
+// their contents into a single VCALENDAR for the parser.
+function mergeCalendarData(multistatusXml) {
+    const bodies = [];
+    const pattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/gi;
+    let match;
+    while ((match = pattern.exec(multistatusXml)) !== null) {
+        const calendarText = decodeXmlText(match[1].trim());
+        const inner = calendarText.match(/BEGIN:VCALENDAR\r?\n([\s\S]*?)END:VCALENDAR/i);
+        if (inner) bodies.push(inner[1]);
+    }
+    return `BEGIN:VCALENDAR\r\n${bodies.join('')}END:VCALENDAR\r\n`;
+}
+
+const CALDAV_EVENT_QUERY = `<?xml version="1.0" encoding="utf-8" ?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"/></c:comp-filter></c:filter>
+</c:calendar-query>`;
+
+const adapters = {
+    google: {
+        sourceId: entry => extractCalendarId(entry.url),
+        describe: entry => icsUrlForGoogle(entry),
+        load: (entry, previous, options) => {
+            const url = icsUrlForGoogle(entry);
+            if (!url) {
+                return Promise.reject(new Error('Could not extract calendar ID from URL'));
+            }
+            return fetchFeed(url, previous, options);
+        }
+    },
+
+    'ics-url': {
+        sourceId: entry => entry.id || entry.url,
+        describe: entry => entry.url,
+        load: (entry, previous, options) => fetchFeed(entry.url, previous, options)
+    },
+
+    caldav: {
+        sourceId: entry => entry.id || entry.url,
+        describe: entry => entry.url,
+        // Credentials come from the environment so they never appear in
+        // config/app.json, which is served to the browser.
+        load: async (entry, previous, options) => {
+            const headers = { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' };
+            if (entry.username) {
+                const password = entry.passwordEnv ? process.env[entry.passwordEnv] || '' : '';
+                headers.Authorization = `Basic ${Buffer.from(`${entry.username}:${password}`).toString('base64')}`;
+            }
+            const response = await fetchFeed(entry.url, null, { ...options, method: 'REPORT', headers, body: CALDAV_EVENT_QUERY });
+            return { ...response, etag: null, lastModified: null, text: mergeCalendarData(response.text) };
+        }
+    },
+
+    file: {
+        sourceId: entry => entry.id || `file:${entry.path}`,
+        describe: entry => path.resolve(PROJECT_ROOT, entry.path || ''),
+        // The file's mtime plays the role of Last-Modified
+        load: async (entry, previous) => {
+            const filePath = path.resolve(PROJECT_ROOT, entry.path || '');
+            const stats = await fs.promises.stat(filePath);
+            const lastModified = stats.mtime.toISOString();
+            if (previous && previous.lastModified === lastModified) {
+                return { notModified: true, httpStatus: null };
+            }
+            return {
+                notModified: false,
+                httpStatus: null,
+                etag: null,
+                lastModified,
+                text: await fs.promises.readFile(filePath, 'utf8')
+            };
+        }
+    }
+};
+
+function icsUrlForGoogle(entry) {
+    const calendarId = extractCalendarId(entry.url);
+    return calendarId
+        ? `https://calendar.google.com/calendar/ical/${encodeURIComponent(calendarId)}/public/basic.ics`
+        : null;
+}
+
+// Returns the adapter for a calendar entry, or null for unknown types
+function getSourceAdapter(entry) {
+    return adapters[entry.type || 'google'] || null;
+}
+
+module.exports = {
+    getSourceAdapter,
+    fetchFeed,
+    extractCalendarId,
+    DEFAULT_FEED_TIMEOUT
+};
@@ -0,0 +1,667 @@
+// Background calendar sync.
+//
+// Fetches the configured calendar sources, upserts their events into the
+// events table and soft-deletes events that disappeared from a feed (they
+// are hidden via `removed_at`, restored if they come back and only purged,
+// together with their RSVPs, after a grace period). Runs on a
+// timer driven by `events.refreshInterval` and on demand from the admin API,
+// so GET /api/events never has to wait for a calendar feed.
+
+const { parseCalendar } = require('./ics');
+const { expandCalendarEvents, excludedKeys } = require('./recurrence');
+const { getSourceAdapter, DEFAULT_FEED_TIMEOUT } = require('./calendar-sources');
+const { parseDirectives, parseDuration } = require('./directives');
+const { promoteFromWaitlist } = require('./waitlist');
+
+const DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_RECURRENCE_HORIZON_DAYS = 90;
+const DEFAULT_RECURRENCE_PAST_DAYS = 30;
+const DEFAULT_REMOVED_GRACE_DAYS = 30;
+
+// Synced fields attendees care about; edits to them are recorded in
+// event_changes and broadcast as `event_changed`
+const TRACKED_FIELDS = ['title', 'date', 'endDate', 'location'];
+
+function comparableValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+// Differences between an existing events row and the freshly synced event
+function diffTrackedFields(existingRow, event) {
+    const existingValues = {
+        title: existingRow.title,
+        date: existingRow.date,
+        endDate: existingRow.enddate,
+        location: existingRow.location
+    };
+
+    return TRACKED_FIELDS
+        .map(field => ({ field, oldValue: comparableValue(existingValues[field]), newValue: comparableValue(event[field]) }))
+        .filter(change => change.oldValue !== change.newValue);
+}
+
+// RSVP window from the calendar's `rsvpOpens` / `rsvpDeadline` settings in
+// config/app.json (durations before the start, e.g. "7d" and "24h"). Used
+// when neither the description nor an admin sets the time; invalid values
+// are ignored here and reported at startup.
+function defaultRsvpWindow(calendarEntry, eventStart) {
+    const before = key => (calendarEntry && calendarEntry[key] ? parseDuration(calendarEntry[key]) : null);
+    const opensBefore = before('rsvpOpens');
+    const closesBefore = before('rsvpDeadline');
+    return {
+        opensAt: opensBefore === null ? null : new Date(eventStart.getTime() - opensBefore),
+        closesAt: closesBefore === null ? null : new Date(eventStart.getTime() - closesBefore)
+    };
+}
+
+function decodeHtmlEntities(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    return value
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, '\'')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&amp;/gi, '&');
+}
+
+function sanitizeHtmlText(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    let text = value;
+
+    text = text.replace(/<(br|hr)\s*\/?>/gi, '\n');
+    text = text.replace(/<\/p\s*>/gi, '\n');
+    text = text.replace(/<\/div\s*>/gi, '\n');
+
+    text = text.replace(/<a\s+[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, (match, href, linkText) => {
+        const trimmedLinkText = (linkText || '').trim();
+        if (trimmedLinkText && trimmedLinkText !== href) {
+            return `${trimmedLinkText} (${href})`;
+        }
+        return href;
+    });
+
+    text = text.replace(/<[^>]+>/g, '');
+
+    return decodeHtmlEntities(text)
+        .replace(/\r/g, '')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\n+/, '')
+        .replace(/\n+$/, '')
+        .trim();
+}
+
+// Map a parsed VEVENT onto the shape stored in the events table. RSVP
+// settings come from directive lines in the description (see directives.js),
+// which are stripped from the text shown to attendees.
+function toCalendarEvent(parsed, calendarId, calendarEntry) {
+    const { description, directives, warnings } = parseDirectives(sanitizeHtmlText(parsed.description), {
+        eventStart: parsed.start.date,
+        tzid: parsed.start.tzid
+    });
+    const rsvpDefaults = defaultRsvpWindow(calendarEntry, parsed.start.date);
+
+    // Occurrences of a recurring series get their own row (and RSVP list)
+    const id = parsed.recurrenceKey ? `cal-${parsed.uid}-${parsed.recurrenceKey}` : `cal-${parsed.uid}`;
+
+    return {
+        id,
+        // Set for occurrences of a recurring series
+        seriesUid: parsed.recurrenceKey ? parsed.uid : null,
+        title: parsed.summary,
+        date: parsed.start.date.toISOString(),
+        endDate: parsed.end ? parsed.end.date.toISOString() : null,
+        allDay: parsed.allDay,
+        description,
+        location: sanitizeHtmlText(parsed.location),
+        source: calendarId,
+        cancelled: parsed.status === 'CANCELLED',
+        attendance_limit_from_description: directives.limit, // undefined when not specified
+        minAttendance: directives.min ?? null,
+        maxGuests: directives.guests ?? null,
+        questions: directives.questions || [],
+        waitlistEnabled: directives.waitlist ?? true,
+        waitlistLimit: directives.waitlistLimit ?? null,
+        rsvpEnabled: directives.rsvp ?? true,
+        // The RSVP window is resolved against admin overrides when stored
+        rsvpOpensAtFromDescription: directives.rsvpOpens ? directives.rsvpOpens.toISOString() : null,
+        rsvpClosesAtFromDescription: directives.rsvpDeadline ? directives.rsvpDeadline.toISOString() : null,
+        defaultRsvpOpensAt: rsvpDefaults.opensAt ? rsvpDefaults.opensAt.toISOString() : null,
+        defaultRsvpClosesAt: rsvpDefaults.closesAt ? rsvpDefaults.closesAt.toISOString() : null,
+        cost: directives.cost ?? null,
+        tags: directives.tags || [],
+        directiveKeys: Object.keys(directives),
+        directiveWarnings: warnings
+    };
+}
+
+function createCalendarSync({ pool, config, onSynced, onEventChanged, onPromoted, onEventCancelled, onEventsAdded }) {
+    let timer = null;
+    let inFlight = null;
+    let lastResult = null;
+
+    // Last good download of each feed, keyed by calendar id. Parsed events are
+    // kept unexpanded so the recurrence horizon keeps moving on cache hits.
+    const feedSnapshots = new Map();
+
+    async function syncFeed(calendarEntry, recurrenceWindow) {
+        const attemptedAt = new Date();
+        const adapter = getSourceAdapter(calendarEntry);
+        const calendarId = adapter ? adapter.sourceId(calendarEntry) : null;
+        const feed = {
+            name: calendarEntry.name,
+            calendarId,
+            status: 'ok',
+            attemptedAt,
+            durationMs: 0,
+            httpStatus: null,
+            error: null,
+            parseErrors: null, // only set when the feed was (re)parsed
+            eventCount: 0
+        };
+
+        if (!adapter || !calendarId) {
+            feed.status = 'failed';
+            feed.error = adapter
+                ? 'Could not determine calendar source ID'
+                : `Unknown calendar type "${calendarEntry.type}"`;
+            console.warn(`Skipping calendar ${calendarEntry.name}: ${feed.error}`);
+            return { feed, events: null };
+        }
+
+        const feedLabel = adapter.describe(calendarEntry);
+        let snapshot = feedSnapshots.get(calendarId);
+
+        try {
+            const response = await adapter.load(calendarEntry, snapshot, {
+                timeoutMs: config.events.feedTimeout || DEFAULT_FEED_TIMEOUT
+            });
+            feed.httpStatus = response.httpStatus;
+
+            if (response.notModified) {
+                feed.status = 'not-modified';
+            } else {
+                const { events, errors, timezones } = parseCalendar(response.text);
+                if (errors.length > 0) {
+                    console.warn(`Skipped ${errors.length} malformed entries in ${feedLabel}:`, errors.slice(0, 5));
+                }
+                feed.parseErrors = errors.slice(0, 50); // enough to diagnose, bounded in size
+                snapshot = { etag: response.etag, lastModified: response.lastModified, events, timezones };
+                feedSnapshots.set(calendarId, snapshot);
+            }
+        } catch (error) {
+            console.error(`Error fetching calendar from ${feedLabel}: ${error.message}`);
+            feed.status = 'failed';
+            feed.httpStatus = error.httpStatus || null;
+            feed.error = error.message;
+            if (!snapshot) {
+                feed.durationMs = Date.now() - attemptedAt.getTime();
+                return { feed, events: null };
+            }
+            // Fall through and keep serving the last good snapshot
+        }
+
+        const events = expandCalendarEvents(snapshot.events, { ...recurrenceWindow, timezones: snapshot.timezones })
+            .map(occurrence => toCalendarEvent(occurrence, calendarId, calendarEntry));
+        const series = snapshot.events.filter(event => !event.recurrenceId && (event.rrule || (event.rdates || []).length > 0));
+        const seriesIds = series.map(event => `cal-${event.uid}`);
+        const excludedIds = series.flatMap(event => excludedKeys(event).map(key => `cal-${event.uid}-${key}`));
+        feed.eventCount = events.length;
+        feed.durationMs = Date.now() - attemptedAt.getTime();
+        return { feed, events, seriesIds, excludedIds };
+    }
+
+    // Persists the outcome of one feed so failures survive restarts and can
+    // be reported as "failing since".
+    async function recordFeedStatus(client, feed) {
+        const succeeded = feed.status !== 'failed';
+        await client.query(
+            `INSERT INTO calendar_sync_status
+                (calendar_name, calendar_id, last_attempt_at, last_success_at, failing_since,
+                 http_status, error, parse_errors, event_count, duration_ms)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             ON CONFLICT (calendar_name) DO UPDATE SET
+                calendar_id = EXCLUDED.calendar_id,
+                last_attempt_at = EXCLUDED.last_attempt_at,
+                last_success_at = COALESCE(EXCLUDED.last_success_at, calendar_sync_status.last_success_at),
+                failing_since = CASE
+                    WHEN EXCLUDED.failing_since IS NULL THEN NULL
+                    ELSE COALESCE(calendar_sync_status.failing_since, EXCLUDED.failing_since)
+                END,
+                http_status = EXCLUDED.http_status,
+                error = EXCLUDED.error,
+                parse_errors = COALESCE(EXCLUDED.parse_errors, calendar_sync_status.parse_errors),
+                event_count = EXCLUDED.event_count,
+                duration_ms = EXCLUDED.duration_ms`,
+            [
+                feed.name,
+                feed.calendarId,
+                feed.attemptedAt,
+                succeeded ? feed.attemptedAt : null,
+                succeeded ? null : feed.attemptedAt,
+                feed.httpStatus,
+                feed.error,
+                feed.parseErrors,
+                feed.eventCount,
+                feed.durationMs
+            ]
+        );
+    }
+
+    // Sync status of every configured calendar, including ones that were
+    // never attempted (e.g. disabled or added since the last run).
+    async function getSyncStatus() {
+        const result = await pool.query('SELECT * FROM calendar_sync_status');
+        const rowsByName = new Map(result.rows.map(row => [row.calendar_name, row]));
+
+        const calendars = (config.calendars || []).map(calendarEntry => {
+            const row = rowsByName.get(calendarEntry.name);
+            let status = 'never';
+            if (!calendarEntry.enabled) {
+                status = 'disabled';
+            } else if (row) {
+                status = row.failing_since ? 'failing' : 'ok';
+            }
+
+            return {
+                name: calendarEntry.name,
+                enabled: Boolean(calendarEntry.enabled),
+                status,
+                type: calendarEntry.type || 'google',
+                calendarId: row ? row.calendar_id : calendarEntry.source || null,
+                lastAttemptAt: row ? row.last_attempt_at : null,
+                lastSuccessAt: row ? row.last_success_at : null,
+                failingSince: row ? row.failing_since : null,
+                httpStatus: row ? row.http_status : null,
+                error: row ? row.error : null,
+                parseErrors: row && row.parse_errors ? row.parse_errors : [],
+                eventCount: row ? row.event_count : null,
+                durationMs: row ? row.duration_ms : null
+            };
+        });
+
+        return {
+            scheduler: {
+                enabled: Boolean(timer),
+                intervalMs: config.events.refreshInterval || DEFAULT_REFRESH_INTERVAL,
+                running: Boolean(inFlight)
+            },
+            lastRun: lastResult,
+            calendars
+        };
+    }
+
+    // Fetches all enabled feeds in parallel. Feeds that failed without a
+    // previous snapshot are listed in `failedSources` so their events are not
+    // treated as deleted. `pastSeries` lists the series still in the feeds,
+    // whose occurrences before `before` are no longer expanded.
+    // `excludedOccurrences` are the ids of occurrences removed from their
+    // series with EXDATE.
+    async function fetchCalendarEvents() {
+        const result = {
+            events: [],
+            feeds: [],
+            failedSources: new Set(),
+            pastSeries: { before: null, ids: new Set() },
+            excludedOccurrences: new Set()
+        };
+        if (!config.calendars || config.calendars.length === 0) {
+            return result;
+        }
+
+        // Recurring series are expanded between these points in time
+        const horizonDays = config.events.recurrenceHorizonDays || DEFAULT_RECURRENCE_HORIZON_DAYS;
+        const pastDays = config.events.recurrencePastDays ?? DEFAULT_RECURRENCE_PAST_DAYS;
+        const recurrenceWindow = {
+            from: new Date(Date.now() - pastDays * 24 * 60 * 60 * 1000),
+            until: new Date(Date.now() + horizonDays * 24 * 60 * 60 * 1000)
+        };
+        result.pastSeries.before = recurrenceWindow.from;
+
+        const outcomes = await Promise.all(
+            config.calendars
+                .filter(calendarEntry => calendarEntry.enabled)
+                .map(calendarEntry => syncFeed(calendarEntry, recurrenceWindow))
+        );
+
+        outcomes.forEach(({ feed, events, seriesIds, excludedIds }) => {
+            result.feeds.push(feed);
+            if (events) {
+                result.events.push(...events);
+                seriesIds.forEach(id => result.pastSeries.ids.add(id));
+                excludedIds.forEach(id => result.excludedOccurrences.add(id));
+            } else if (feed.calendarId) {
+                result.failedSources.add(feed.calendarId);
+            }
+        });
+
+        return result;
+    }
+
+    // Writes the fetched events in one transaction. Rows are only touched when
+    // a synced field actually differs, so the returned counts reflect real
+    // changes. Events of `failedSources` are left alone. Edits to tracked
+    // fields of visible events are recorded and returned in `eventChanges`.
+    // Occurrences of `pastSeries` from before its bound are kept as they are.
+    // Known occurrences in `excludedOccurrences` are cancelled, not removed,
+    // so attendees see it and get notified.
+    async function applyCalendarEvents(client, calendarEvents, failedSources, pastSeries, excludedOccurrences) {
+        let changed = 0;
+        let removed = 0;
+        let purged = 0;
+        let promoted = 0;
+        const eventChanges = [];
+        const promotions = [];
+        const cancelledEventIds = [];
+        const addedEvents = [];
+
+        await client.query('BEGIN');
+        try {
+            // Sync calendar events
+            if (calendarEvents.length > 0) {
+                // Fetch existing events for comparison
+                const existingEventsResult = await client.query(
+                    `SELECT id, attendance_limit, title, date, endDate, location, removed_at, cancelled,
+                            rsvp_opens_override, rsvp_closes_override
+                     FROM events`
+                );
+                const existingEventsMap = new Map(existingEventsResult.rows.map(row => [row.id, row]));
+
+                for (const event of calendarEvents) {
+                    let finalAttendanceLimit;
+                    const existingEvent = existingEventsMap.get(event.id);
+
+                    if (event.attendance_limit_from_description !== undefined) {
+                        // Limit was explicitly specified in the description (a number)
+                        finalAttendanceLimit = event.attendance_limit_from_description;
+                    } else {
+                        // No limit specified in the description
+                        if (existingEvent) {
+                            // Preserve existing limit if event already exists
+                            finalAttendanceLimit = existingEvent.attendance_limit;
+                        } else {
+                            // New event, no limit in description, so default to null (unlimited)
+                            finalAttendanceLimit = null;
+                        }
+                    }
+
+                    // RSVP window: the description wins, then times set in
+                    // the admin panel, then the calendar's defaults
+                    const rsvpOpensAt = event.rsvpOpensAtFromDescription
+                        ?? comparableValue(existingEvent && existingEvent.rsvp_opens_override)
+                        ?? event.defaultRsvpOpensAt;
+                    const rsvpClosesAt = event.rsvpClosesAtFromDescription
+                        ?? comparableValue(existingEvent && existingEvent.rsvp_closes_override)
+                        ?? event.defaultRsvpClosesAt;
+
+                    const result = await client.query(
+                        `INSERT INTO events (id, title, date, endDate, description, location, source, attendance_limit, all_day, cancelled,
+                                             min_attendance, waitlist_enabled, waitlist_limit, rsvp_enabled, rsvp_closes_at, cost, tags,
+                                             directive_keys, directive_warnings, max_guests, questions, rsvp_opens_at)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+                         ON CONFLICT (id) DO UPDATE SET
+                            title = EXCLUDED.title,
+                            date = EXCLUDED.date,
+                            endDate = EXCLUDED.endDate,
+                            description = EXCLUDED.description,
+                            location = EXCLUDED.location,
+                            source = EXCLUDED.source,
+                            attendance_limit = $8,
+                            all_day = EXCLUDED.all_day,
+                            cancelled = EXCLUDED.cancelled,
+                            min_attendance = EXCLUDED.min_attendance,
+                            waitlist_enabled = EXCLUDED.waitlist_enabled,
+                            waitlist_limit = EXCLUDED.waitlist_limit,
+                            rsvp_enabled = EXCLUDED.rsvp_enabled,
+                            rsvp_closes_at = EXCLUDED.rsvp_closes_at,
+                            cost = EXCLUDED.cost,
+                            tags = EXCLUDED.tags,
+                            directive_keys = EXCLUDED.directive_keys,
+                            directive_warnings = EXCLUDED.directive_warnings,
+                            max_guests = EXCLUDED.max_guests,
+                            questions = EXCLUDED.questions,
+                            rsvp_opens_at = EXCLUDED.rsvp_opens_at,
+                            removed_at = NULL
+                         WHERE events.removed_at IS NOT NULL
+                            OR (events.title, events.date, events.endDate, events.description, events.location,
+                                events.source, events.attendance_limit, events.all_day, events.cancelled,
+                                events.min_attendance, events.waitlist_enabled, events.waitlist_limit, events.rsvp_enabled,
+                                events.rsvp_closes_at, events.cost, events.tags, events.directive_keys, events.directive_warnings,
+                                events.max_guests, events.questions, events.rsvp_opens_at)
+                            IS DISTINCT FROM
+                               (EXCLUDED.title, EXCLUDED.date, EXCLUDED.endDate, EXCLUDED.description, EXCLUDED.location,
+                                EXCLUDED.source, EXCLUDED.attendance_limit, EXCLUDED.all_day, EXCLUDED.cancelled,
+                                EXCLUDED.min_attendance, EXCLUDED.waitlist_enabled, EXCLUDED.waitlist_limit, EXCLUDED.rsvp_enabled,
+                                EXCLUDED.rsvp_closes_at, EXCLUDED.cost, EXCLUDED.tags, EXCLUDED.directive_keys, EXCLUDED.directive_warnings,
+                                EXCLUDED.max_guests, EXCLUDED.questions, EXCLUDED.rsvp_opens_at)`,
+                        [
+                            event.id, event.title, event.date, event.endDate, event.description, event.location, event.source,
+                            finalAttendanceLimit, event.allDay, event.cancelled, event.minAttendance, event.waitlistEnabled,
+                            event.waitlistLimit, event.rsvpEnabled, rsvpClosesAt, event.cost, event.tags,
+                            event.directiveKeys, event.directiveWarnings, event.maxGuests, JSON.stringify(event.questions),
+                            rsvpOpensAt
+                        ]
+                    );
+                    changed += result.rowCount;
+
+                    // A "limit:" raised or removed in the description frees up spots
+                    if (existingEvent && existingEvent.attendance_limit !== null
+                        && (finalAttendanceLimit === null || finalAttendanceLimit > existingEvent.attendance_limit)) {
+                        const promotedRsvps = await promoteFromWaitlist(client, event.id);
+                        promoted += promotedRsvps.length;
+                        if (promotedRsvps.length > 0) {
+                            promotions.push({ eventId: event.id, promoted: promotedRsvps });
+                        }
+                    }
+
+                    // Marked cancelled in the calendar since the last sync
+                    if (existingEvent && !existingEvent.cancelled && event.cancelled) {
+                        cancelledEventIds.push(event.id);
+                    }
+
+                    // Upcoming events new to the calendar. Recurring series
+                    // only count once, not every time the horizon adds an
+                    // occurrence.
+                    if (!existingEvent && !event.cancelled && new Date(event.date) > new Date()) {
+                        const seriesPrefix = event.seriesUid ? `cal-${event.seriesUid}-` : null;
+                        const seenSeries = seriesPrefix && ([...existingEventsMap.keys()].some(id => id.startsWith(seriesPrefix))
+                            || addedEvents.some(added => added.id.startsWith(seriesPrefix)));
+                        if (!seenSeries) {
+                            addedEvents.push({ id: event.id, title: event.title, date: event.date, source: event.source });
+                        }
+                    }
+
+                    if (result.rowCount > 0 && existingEvent && !existingEvent.removed_at) {
+                        const changes = diffTrackedFields(existingEvent, event);
+                        for (const change of changes) {
+                            await client.query(
+                                'INSERT INTO event_changes (event_id, field, old_value, new_value) VALUES ($1, $2, $3, $4)',
+                                [event.id, change.field, change.oldValue, change.newValue]
+                            );
+                        }
+                        if (changes.length > 0) {
+                            eventChanges.push({ eventId: event.id, title: event.title, date: event.date, changes });
+                        }
+                    }
+                }
+            }
+
+            // Hide events that are no longer in their feed. Reappearing events
+            // (even under another calendar with the same UID) are restored by
+            // the upsert above.
+            const dbEventsResult = await client.query('SELECT id, source, date FROM events WHERE source IS NOT NULL AND removed_at IS NULL');
+            const isPastOccurrence = row => pastSeries && row.date < pastSeries.before
+                && pastSeries.ids.has(row.id.replace(/-\d{8}(T\d{6}Z)?$/, ''));
+            const dbEventsBySource = dbEventsResult.rows.filter(row => !isPastOccurrence(row)).reduce((acc, row) => {
+                if (!acc[row.source]) {
+                    acc[row.source] = new Set();
+                }
+                acc[row.source].add(row.id);
+                return acc;
+            }, {});
+
+            const calendarEventsBySource = calendarEvents.reduce((acc, event) => {
+                if (!acc[event.source]) {
+                    acc[event.source] = new Set();
+                }
+                acc[event.source].add(event.id);
+                return acc;
+            }, {});
+
+            let staleEventIds = [];
+            const excludedEventIds = [];
+            for (const source in dbEventsBySource) {
+                if (failedSources.has(source)) {
+                    continue;
+                }
+                const dbIds = dbEventsBySource[source];
+                const calendarIds = calendarEventsBySource[source] || new Set();
+                const staleIds = [...dbIds].filter(id => !calendarIds.has(id));
+                staleEventIds.push(...staleIds.filter(id => !excludedOccurrences.has(id)));
+                excludedEventIds.push(...staleIds.filter(id => excludedOccurrences.has(id)));
+            }
+
+            // "Delete only this event" on one occurrence of a series, same as
+            // STATUS:CANCELLED. Re-adding it clears the flag through the upsert.
+            if (excludedEventIds.length > 0) {
+                const result = await client.query(
+                    'UPDATE events SET cancelled = TRUE WHERE id = ANY($1::varchar[]) AND NOT cancelled RETURNING id',
+                    [excludedEventIds]
+                );
+                changed += result.rowCount;
+                cancelledEventIds.push(...result.rows.map(row => row.id));
+            }
+
+            if (staleEventIds.length > 0) {
+                const result = await client.query(
+                    'UPDATE events SET removed_at = NOW() WHERE id = ANY($1::varchar[]) AND removed_at IS NULL',
+                    [staleEventIds]
+                );
+                removed = result.rowCount;
+            }
+
+            // Purge events (and, through the cascade, their RSVPs) that have
+            // stayed removed for the whole grace period
+            const graceDays = config.events.removedGraceDays ?? DEFAULT_REMOVED_GRACE_DAYS;
+            const purgeResult = await client.query(
+                'DELETE FROM events WHERE removed_at IS NOT NULL AND removed_at < NOW() - make_interval(days => $1)',
+                [graceDays]
+            );
+            purged = purgeResult.rowCount;
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        return { changed, removed, purged, promoted, eventChanges, promotions, cancelledEventIds, addedEvents };
+    }
+
+    async function performSync() {
+        const startedAt = new Date();
+        const { events: calendarEvents, feeds, failedSources, pastSeries, excludedOccurrences } = await fetchCalendarEvents();
+        let eventChanges = [];
+        let promotions = [];
+        let cancelledEventIds = [];
+        let addedEvents = [];
+
+        const client = await pool.connect();
+        try {
+            for (const feed of feeds) {
+                await recordFeedStatus(client, feed);
+            }
+
+            const applied = await applyCalendarEvents(client, calendarEvents, failedSources, pastSeries, excludedOccurrences);
+            const { changed, removed, purged, promoted } = applied;
+            eventChanges = applied.eventChanges;
+            promotions = applied.promotions;
+            cancelledEventIds = applied.cancelledEventIds;
+            addedEvents = applied.addedEvents;
+            lastResult = {
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                eventCount: calendarEvents.length,
+                changed,
+                removed,
+                purged,
+                promoted,
+                feeds
+            };
+        } finally {
+            client.release();
+        }
+
+        if (onEventChanged) {
+            eventChanges.forEach(change => onEventChanged(change));
+        }
+        if (onPromoted) {
+            promotions.forEach(promotion => onPromoted(promotion));
+        }
+        if (onEventCancelled) {
+            cancelledEventIds.forEach(eventId => onEventCancelled(eventId));
+        }
+        if (onEventsAdded && addedEvents.length > 0) {
+            onEventsAdded(addedEvents);
+        }
+        if ((lastResult.changed > 0 || lastResult.removed > 0) && onSynced) {
+            onSynced(lastResult);
+        }
+        return lastResult;
+    }
+
+    // Concurrent triggers (timer + "sync now") share the run in progress
+    function runSync() {
+        if (!inFlight) {
+            inFlight = performSync().finally(() => {
+                inFlight = null;
+            });
+        }
+        return inFlight;
+    }
+
+    function start() {
+        if (timer || !config.events.autoFetch) {
+            return;
+        }
+
+        const interval = config.events.refreshInterval || DEFAULT_REFRESH_INTERVAL;
+        const tick = () => runSync().catch(error => console.error('Calendar sync failed:', error));
+
+        tick();
+        timer = setInterval(tick, interval);
+        console.log(`Calendar sync scheduled every ${Math.round(interval / 1000)}s`);
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        start,
+        stop,
+        runSync,
+        // Downloads and expands the feeds without touching the database
+        fetchCalendarEvents,
+        getSyncStatus,
+        getLastResult: () => lastResult
+    };
+}
+
+module.exports = {
+    createCalendarSync,
+    defaultRsvpWindow
+};
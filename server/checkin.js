@@ -0,0 +1,64 @@
+// Check-in: who actually showed up.
+//
+// Hosts check RSVPs in one by one on the admin check-in screen and add
+// walk-ins there, which are stored as "yes" RSVPs with `walk_in` set.
+// Attendees can also check themselves in by scanning the event's QR code,
+// which links to /checkin/<event id>?code=<secret>. The secret lives in
+// event_checkin_codes (never in the public events rows) and is only shown
+// to admins, so the link works for people who can see the code at the
+// venue, and only around the time of the event.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const DEFAULT_OPENS_MINUTES_BEFORE = 30;
+const DEFAULT_CLOSES_MINUTES_AFTER_END = 60;
+// Assumed length of events without an end time
+const DEFAULT_EVENT_HOURS = 3;
+
+// The event's self check-in secret, created on first use
+async function getCheckInCode(client, eventId) {
+    await client.query(
+        `INSERT INTO event_checkin_codes (event_id, code) VALUES ($1, $2)
+         ON CONFLICT (event_id) DO NOTHING`,
+        [eventId, crypto.randomBytes(12).toString('base64url')]
+    );
+    const result = await client.query('SELECT code FROM event_checkin_codes WHERE event_id = $1', [eventId]);
+    return result.rows[0].code;
+}
+
+function checkInCodeMatches(expected, provided) {
+    if (typeof provided !== 'string' || provided.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+// When self check-in is possible: from a little before the start until a
+// while after the end (see `checkIn` in config/app.json)
+function selfCheckInWindow(event, settings = {}) {
+    const start = new Date(event.date);
+    const end = event.enddate
+        ? new Date(event.enddate)
+        : new Date(start.getTime() + DEFAULT_EVENT_HOURS * 60 * 60 * 1000);
+    const opensBefore = settings.opensMinutesBefore ?? DEFAULT_OPENS_MINUTES_BEFORE;
+    const closesAfter = settings.closesMinutesAfterEnd ?? DEFAULT_CLOSES_MINUTES_AFTER_END;
+    return {
+        opensAt: new Date(start.getTime() - opensBefore * 60 * 1000),
+        closesAt: new Date(end.getTime() + closesAfter * 60 * 1000)
+    };
+}
+
+function selfCheckInUrl(origin, eventId, code) {
+    return `${origin}/checkin/${encodeURIComponent(eventId)}?code=${encodeURIComponent(code)}`;
+}
+
+function checkInQrSvg(url) {
+    return QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+}
+
+module.exports = {
+    getCheckInCode,
+    checkInCodeMatches,
+    selfCheckInWindow,
+    selfCheckInUrl,
+    checkInQrSvg
+};
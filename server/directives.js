@@ -0,0 +1,236 @@
+// Event directives: `key: value` lines in a calendar event's description
+// that let hosts with only calendar edit rights configure RSVP behavior.
+//
+//   limit: 12              attendance limit
+//   min: 4                 minimum number of attendees for the event to happen
+//   guests: 2              plus-ones allowed per RSVP (0 disables them)
+//   waitlist: off          disable the waitlist (or `on`, or a maximum size)
+//   rsvp: off              disable RSVPs in the app entirely
+//   rsvp-opens: 7d         only take RSVPs from 7d / 48h / 90m before the
+//                          start, or from an absolute time (2026-10-13 18:00)
+//   rsvp-deadline: 24h     close RSVPs 24h / 2d / 90m before the start,
+//                          or at an absolute time (2026-10-20 18:00)
+//   cost: €5               shown on the event card
+//   tags: sports, outdoor  comma-separated
+//   question: Need a racket? [yes/no]
+//                          asked when RSVPing; repeat for more questions, with
+//                          optional choices in brackets separated by "/"
+//
+// Each directive must sit on its own line and have a colon; both ":" and
+// "：" are accepted. Recognized lines are removed from the description shown
+// to attendees. Lines whose value cannot be understood stay in the
+// description and are reported as warnings. As before directives existed,
+// "limit 12" (colon optional) anywhere in the text also sets the limit.
+
+const { zonedTimeToUtc } = require('./ics');
+
+const DIRECTIVE_LINE = /^\s*(limit|min|guests|waitlist|rsvp-opens|rsvp-deadline|rsvp|cost|tags|question)\s*[:：]\s*(.*?)\s*$/i;
+const LEGACY_LIMIT_LINE = /^\s*limit\s+(\d+)\s*$/i;
+const INLINE_LIMIT = /limit[:：]?\s*(\d+)/i;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_QUESTIONS = 10;
+
+function parseSwitch(value) {
+    const normalized = value.toLowerCase();
+    if (['on', 'yes', 'true', 'open'].includes(normalized)) return true;
+    if (['off', 'no', 'false', 'closed'].includes(normalized)) return false;
+    return null;
+}
+
+function parsePositiveInteger(value) {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+// "24h", "2d", "90m" as milliseconds, or null
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*([mhd])$/i);
+    return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+// A duration before the event start, or an absolute local time
+// "YYYY-MM-DD HH:mm" in the event's time zone
+function parseRsvpTime(value, eventStart, tzid) {
+    const duration = parseDuration(value);
+    if (duration !== null) {
+        return new Date(eventStart.getTime() - duration);
+    }
+
+    const absolute = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+    if (absolute) {
+        const local = {
+            year: parseInt(absolute[1], 10),
+            month: parseInt(absolute[2], 10),
+            day: parseInt(absolute[3], 10),
+            hour: absolute[4] ? parseInt(absolute[4], 10) : 0,
+            minute: absolute[5] ? parseInt(absolute[5], 10) : 0,
+            second: 0
+        };
+        return zonedTimeToUtc(local, tzid);
+    }
+
+    return null;
+}
+
+// Returns { description, directives, warnings }. `directives` only contains
+// keys that were present and valid:
+//   limit, min, guests, waitlist (true/false), waitlistLimit, rsvp (true/false),
+//   rsvpOpens (Date), rsvpDeadline (Date), cost, tags (string[]),
+//   questions ({ text, options }[])
+function parseDirectives(description, { eventStart, tzid } = {}) {
+    const directives = {};
+    const warnings = [];
+    const seen = new Set();
+    const keptLines = [];
+
+    (typeof description === 'string' ? description : '').split('\n').forEach(line => {
+        const legacyLimit = line.match(LEGACY_LIMIT_LINE);
+        const match = legacyLimit ? [line, 'limit', legacyLimit[1]] : line.match(DIRECTIVE_LINE);
+        if (!match) {
+            keptLines.push(line);
+            return;
+        }
+
+        const key = match[1].toLowerCase();
+        const value = match[2];
+        // Not a directive after all, or a mistyped one: left for attendees
+        // to read, and flagged to the host
+        let understood = true;
+        const notUnderstood = warning => {
+            warnings.push(warning);
+            understood = false;
+        };
+        if (seen.has(key) && key !== 'question') {
+            warnings.push(`"${key}" is specified more than once; the last value is used`);
+        }
+        seen.add(key);
+
+        switch (key) {
+            case 'limit':
+            case 'min':
+            case 'guests': {
+                const number = parsePositiveInteger(value);
+                if (number === null) {
+                    notUnderstood(`${key}: "${value}" is not a whole number`);
+                } else {
+                    directives[key] = number;
+                }
+                break;
+            }
+            case 'waitlist': {
+                const number = parsePositiveInteger(value);
+                const enabled = parseSwitch(value);
+                if (number !== null) {
+                    directives.waitlist = number > 0;
+                    directives.waitlistLimit = number;
+                } else if (enabled !== null) {
+                    directives.waitlist = enabled;
+                } else {
+                    notUnderstood(`waitlist: "${value}" should be on, off or a number`);
+                }
+                break;
+            }
+            case 'rsvp': {
+                const enabled = parseSwitch(value);
+                if (enabled === null) {
+                    notUnderstood(`rsvp: "${value}" should be on or off`);
+                } else {
+                    directives.rsvp = enabled;
+                }
+                break;
+            }
+            case 'rsvp-opens': {
+                const opens = eventStart ? parseRsvpTime(value, eventStart, tzid) : null;
+                if (!opens) {
+                    notUnderstood(`rsvp-opens: "${value}" should look like 7d, 48h, 90m or 2026-10-13 18:00`);
+                } else {
+                    if (eventStart && opens > eventStart) {
+                        warnings.push('rsvp-opens is after the event starts');
+                    }
+                    directives.rsvpOpens = opens;
+                }
+                break;
+            }
+            case 'rsvp-deadline': {
+                const deadline = eventStart ? parseRsvpTime(value, eventStart, tzid) : null;
+                if (!deadline) {
+                    notUnderstood(`rsvp-deadline: "${value}" should look like 24h, 2d, 90m or 2026-10-20 18:00`);
+                } else {
+                    if (eventStart && deadline > eventStart) {
+                        warnings.push('rsvp-deadline is after the event starts');
+                    }
+                    directives.rsvpDeadline = deadline;
+                }
+                break;
+            }
+            case 'cost':
+                if (!value) {
+                    notUnderstood('cost: value is empty');
+                } else {
+                    directives.cost = value.slice(0, 100);
+                }
+                break;
+            case 'tags': {
+                const tags = value.split(/[,，]/).map(tag => tag.trim()).filter(Boolean);
+                if (tags.length === 0) {
+                    notUnderstood('tags: no tags listed');
+                } else {
+                    directives.tags = tags.slice(0, 10).map(tag => tag.slice(0, 30));
+                }
+                break;
+            }
+            case 'question': {
+                const parsed = value.match(/^(.*?)\s*(?:\[([^\]]*)\])?$/);
+                const text = parsed[1].trim().slice(0, 200);
+                const options = parsed[2]
+                    ? [...new Set(parsed[2].split('/').map(option => option.trim().slice(0, 50)).filter(Boolean))]
+                    : null;
+                const questions = directives.questions || [];
+                if (!text) {
+                    notUnderstood('question: text is empty');
+                } else if (options && options.length < 2) {
+                    notUnderstood(`question "${text}": list at least two choices, e.g. [yes/no]`);
+                } else if (questions.some(question => question.text === text)) {
+                    warnings.push(`question "${text}" is asked more than once`);
+                } else if (questions.length >= MAX_QUESTIONS) {
+                    warnings.push(`only the first ${MAX_QUESTIONS} questions are asked`);
+                } else {
+                    directives.questions = [...questions, { text, options }];
+                }
+                break;
+            }
+            default:
+                break;
+        }
+
+        if (!understood) {
+            keptLines.push(line);
+        }
+    });
+
+    // Descriptions written before directives existed, e.g. "Max. limit 10 people"
+    const keptText = keptLines.join('\n');
+    if (directives.limit === undefined) {
+        const inlineLimit = keptText.match(INLINE_LIMIT);
+        if (inlineLimit) {
+            directives.limit = parseInt(inlineLimit[1], 10);
+        }
+    }
+
+    if (directives.min !== undefined && directives.limit !== undefined && directives.min > directives.limit) {
+        warnings.push(`min (${directives.min}) is larger than limit (${directives.limit})`);
+    }
+    if (directives.rsvpOpens && directives.rsvpDeadline && directives.rsvpOpens >= directives.rsvpDeadline) {
+        warnings.push('rsvp-opens is not before rsvp-deadline, so RSVPs never open');
+    }
+
+    return {
+        description: keptText.replace(/\n{3,}/g, '\n\n').trim(),
+        directives,
+        warnings
+    };
+}
+
+module.exports = {
+    parseDirectives,
+    parseDuration
+};
@@ -0,0 +1,176 @@
+// Attendee exports for hosts booking courts or tables: one row per RSVP with
+// name, status, RSVP time, guests, check-in, comment and one column per
+// custom question. Served as CSV or XLSX, and as JSON for the printable
+// sign-in sheet (public/admin-sign-in-sheet.html).
+//
+// Times are written as wall-clock times in `exports.timeZone` from
+// config/app.json.
+
+const ExcelJS = require('exceljs');
+const { zonedTimeToUtc } = require('./ics');
+
+const STATUS_LABELS = { yes: 'Going', waitlisted: 'Waitlist', maybe: 'Maybe', declined: "Can't go" };
+const STATUS_ORDER = ['yes', 'waitlisted', 'maybe', 'declined'];
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" as midnight in the export time zone, or null
+function parseExportDate(value, timeZone) {
+    const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    if (!match) return null;
+    const local = { year: +match[1], month: +match[2], day: +match[3], hour: 0, minute: 0, second: 0 };
+    const check = new Date(Date.UTC(local.year, local.month - 1, local.day));
+    if (check.getUTCMonth() !== local.month - 1) return null;
+    return zonedTimeToUtc(local, timeZone || 'UTC');
+}
+
+// Validates the query of an export request: one `eventId`, or a `from` /
+// `to` date range (both days included). Returns { eventId } or { from, to }
+// with `to` exclusive, or { error }.
+function parseExportScope(query, timeZone) {
+    if (query.eventId) {
+        return typeof query.eventId === 'string' ? { eventId: query.eventId } : { error: 'Invalid eventId' };
+    }
+    const from = parseExportDate(query.from, timeZone);
+    const lastDay = parseExportDate(query.to, timeZone);
+    if (!from || !lastDay) {
+        return { error: 'Give an eventId, or from and to dates as YYYY-MM-DD' };
+    }
+    if (lastDay < from) {
+        return { error: 'The range must not end before it starts' };
+    }
+    if (lastDay - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+    // Midnight after the last day, looked up again for DST changes
+    const dayAfter = new Date(lastDay.getTime() + DAY_MS + 12 * 60 * 60 * 1000);
+    const to = parseExportDate(formatDate(dayAfter, timeZone), timeZone);
+    return { from, to };
+}
+
+// Events in scope, each with its RSVPs: going, waitlist (in queue order),
+// maybe, can't go
+async function loadAttendeeExport(client, scope) {
+    const eventsResult = scope.eventId
+        ? await client.query('SELECT * FROM events WHERE id = $1', [scope.eventId])
+        : await client.query(
+            'SELECT * FROM events WHERE removed_at IS NULL AND date >= $1 AND date < $2 ORDER BY date, title',
+            [scope.from, scope.to]
+        );
+    const events = eventsResult.rows;
+    if (events.length === 0) return [];
+
+    const rsvpsResult = await client.query(
+        `SELECT id, event_id, attendee_name, attendance, timestamp, guests, comment, answers, checked_in_at, walk_in
+         FROM rsvps WHERE event_id = ANY($1::varchar[])
+         ORDER BY held_back, timestamp, id`,
+        [events.map(event => event.id)]
+    );
+
+    return events.map(event => ({
+        ...event,
+        rsvps: rsvpsResult.rows
+            .filter(rsvp => rsvp.event_id === event.id)
+            .sort((a, b) => STATUS_ORDER.indexOf(a.attendance) - STATUS_ORDER.indexOf(b.attendance))
+    }));
+}
+
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || 'UTC',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(new Date(date)).forEach(part => { parts[part.type] = part.value; });
+    return parts;
+}
+
+function formatDate(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+function formatDateTime(date, timeZone) {
+    const { hour, minute } = zonedParts(date, timeZone);
+    return `${formatDate(date, timeZone)} ${hour}:${minute}`;
+}
+
+// All-day events are stored at UTC midnight of their day
+function formatEventDate(event, timeZone) {
+    return event.all_day ? new Date(event.date).toISOString().slice(0, 10) : formatDateTime(event.date, timeZone);
+}
+
+// Question columns in order of first appearance across the events
+function questionColumns(events) {
+    const questions = [];
+    events.forEach(event => (event.questions || []).forEach(question => {
+        if (!questions.includes(question.text)) questions.push(question.text);
+    }));
+    return questions;
+}
+
+// The export as a header row plus one array per RSVP, values as text
+function exportTable(events, timeZone) {
+    const questions = questionColumns(events);
+    const header = ['Event', 'Event date', 'Name', 'Status', 'RSVP time', 'Guests', 'Checked in', 'Comment', ...questions];
+    const rows = [];
+    events.forEach(event => event.rsvps.forEach(rsvp => {
+        rows.push([
+            event.title,
+            formatEventDate(event, timeZone),
+            rsvp.attendee_name,
+            rsvp.walk_in ? 'Walk-in' : STATUS_LABELS[rsvp.attendance] || rsvp.attendance,
+            formatDateTime(rsvp.timestamp, timeZone),
+            rsvp.guests,
+            rsvp.checked_in_at ? formatDateTime(rsvp.checked_in_at, timeZone) : '',
+            rsvp.comment || '',
+            ...questions.map(question => (rsvp.answers && rsvp.answers[question]) || '')
+        ]);
+    }));
+    return { header, rows };
+}
+
+// Names come from the public RSVP form; spreadsheet apps would run a cell
+// starting with = + - @ as a formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// With a byte order mark so Excel reads UTF-8 names correctly
+function toCsv({ header, rows }) {
+    return '﻿' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function toXlsx({ header, rows }) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Attendees', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.addRow(header).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: header.length } };
+    sheet.columns.forEach((column, index) => {
+        const longest = Math.max(...[header, ...rows].map(row => String(row[index] ?? '').length));
+        column.width = Math.min(60, Math.max(10, longest + 2));
+    });
+    return workbook.xlsx.writeBuffer();
+}
+
+// Filename-safe description of the scope, e.g. "attendees-2026-05-01-to-2026-05-31"
+function exportFilename(scope, events, timeZone, extension) {
+    const base = scope.eventId
+        ? `attendees-${(events[0] ? events[0].title : scope.eventId).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'event'}`
+        : `attendees-${formatDate(scope.from, timeZone)}-to-${formatDate(new Date(scope.to.getTime() - 1), timeZone)}`;
+    return `${base}.${extension}`;
+}
+
+module.exports = {
+    STATUS_LABELS,
+    parseExportScope,
+    loadAttendeeExport,
+    exportTable,
+    toCsv,
+    toXlsx,
+    exportFilename,
+    formatEventDate,
+    formatDateTime
+};
@@ -0,0 +1,639 @@
+// iCalendar (RFC 5545) parser used by the calendar sync, and the writer for
+// the .ics files and feeds the app serves.
+//
+// Handles line unfolding, property parameters, TEXT escaping, DATE and
+// DATE-TIME values (UTC, floating and TZID-qualified), VTIMEZONE definitions
+// and returns one plain event object per VEVENT. Only the subset of the spec
+// that public calendar feeds actually use is implemented.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ---------- Lexing ----------
+
+// Long lines are folded by inserting CRLF followed by a single space or tab.
+function unfoldLines(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim().length > 0);
+}
+
+// Splits `NAME;PARAM=a;PARAM2="quoted:value":VALUE` into its parts.
+// Returns null for lines that are not valid content lines.
+function parseContentLine(line) {
+    const nameMatch = line.match(/^[A-Za-z0-9-]+/);
+    if (!nameMatch) {
+        return null;
+    }
+
+    const name = nameMatch[0].toUpperCase();
+    const params = {};
+    let i = name.length;
+
+    while (line[i] === ';') {
+        const eq = line.indexOf('=', i);
+        if (eq === -1) {
+            return null;
+        }
+        const paramName = line.slice(i + 1, eq).toUpperCase();
+        const values = [];
+        i = eq + 1;
+
+        for (;;) {
+            if (line[i] === '"') {
+                const close = line.indexOf('"', i + 1);
+                if (close === -1) {
+                    return null;
+                }
+                values.push(line.slice(i + 1, close));
+                i = close + 1;
+            } else {
+                let j = i;
+                while (j < line.length && line[j] !== ';' && line[j] !== ':' && line[j] !== ',') {
+                    j++;
+                }
+                values.push(line.slice(i, j));
+                i = j;
+            }
+
+            if (line[i] !== ',') {
+                break;
+            }
+            i++;
+        }
+
+        params[paramName] = values.join(',');
+    }
+
+    if (line[i] !== ':') {
+        return null;
+    }
+
+    return { name, params, value: line.slice(i + 1) };
+}
+
+function decodeIcsText(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    return value.replace(/\\([\\;,nN])/g, (match, escaped) => {
+        return escaped === 'n' || escaped === 'N' ? '\n' : escaped;
+    });
+}
+
+// Builds the BEGIN/END component tree. Malformed lines and unbalanced blocks
+// are reported in `errors` rather than aborting the whole feed.
+function parseComponents(text) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    const errors = [];
+
+    unfoldLines(text).forEach((line, index) => {
+        const prop = parseContentLine(line);
+        if (!prop) {
+            errors.push(`Line ${index + 1}: malformed content line`);
+            return;
+        }
+
+        const current = stack[stack.length - 1];
+        if (prop.name === 'BEGIN') {
+            const component = { name: prop.value.trim().toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (prop.name === 'END') {
+            const endName = prop.value.trim().toUpperCase();
+            if (stack.length > 1 && current.name === endName) {
+                stack.pop();
+            } else {
+                errors.push(`Line ${index + 1}: unexpected END:${endName}`);
+            }
+        } else {
+            current.properties.push(prop);
+        }
+    });
+
+    if (stack.length > 1) {
+        errors.push(`Unterminated ${stack[stack.length - 1].name} component`);
+    }
+
+    return { root, errors };
+}
+
+function getProperty(component, name) {
+    return component.properties.find(prop => prop.name === name) || null;
+}
+
+function getProperties(component, name) {
+    return component.properties.filter(prop => prop.name === name);
+}
+
+// ---------- Dates and time zones ----------
+
+// Wall-clock fields are kept as a UTC timestamp so arithmetic on them never
+// depends on the server's own time zone.
+function localToMs(local) {
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+}
+
+function msToLocal(ms) {
+    const d = new Date(ms);
+    return {
+        year: d.getUTCFullYear(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        hour: d.getUTCHours(),
+        minute: d.getUTCMinutes(),
+        second: d.getUTCSeconds()
+    };
+}
+
+function parseLocalDateTime(value) {
+    const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        local: {
+            year: parseInt(match[1], 10),
+            month: parseInt(match[2], 10),
+            day: parseInt(match[3], 10),
+            hour: match[4] ? parseInt(match[4], 10) : 0,
+            minute: match[5] ? parseInt(match[5], 10) : 0,
+            second: match[6] ? parseInt(match[6], 10) : 0
+        },
+        isDate: !match[4],
+        isUtc: Boolean(match[7])
+    };
+}
+
+// "+0100", "-0530" or "+010000" -> minutes east of UTC
+function parseUtcOffset(value) {
+    const match = String(value || '').trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) {
+        return null;
+    }
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// Day of month of the nth (1-based, negative counts from the end) weekday.
+function nthWeekdayOfMonth(year, month, weekday, n) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (n > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+        return day <= daysInMonth ? day : null;
+    }
+    const lastWeekday = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+    const day = daysInMonth - ((lastWeekday - weekday + 7) % 7) + (n + 1) * 7;
+    return day >= 1 ? day : null;
+}
+
+function parseRuleParts(value) {
+    return String(value || '').split(';').reduce((acc, part) => {
+        const [key, partValue] = part.split('=');
+        if (key && partValue !== undefined) {
+            acc[key.trim().toUpperCase()] = partValue.trim().toUpperCase();
+        }
+        return acc;
+    }, {});
+}
+
+// Onsets (in local wall-clock ms) of one STANDARD/DAYLIGHT observance that
+// fall in the given year. Only the yearly rules used by real-world zones are
+// understood: BYMONTH combined with BYDAY (e.g. -1SU) or BYMONTHDAY.
+function observanceOnsets(observance, year) {
+    const onsets = [];
+    const startMs = localToMs(observance.start);
+
+    if (observance.start.year === year) {
+        onsets.push(startMs);
+    }
+
+    observance.rdates.forEach(ms => {
+        if (new Date(ms).getUTCFullYear() === year) {
+            onsets.push(ms);
+        }
+    });
+
+    const rule = observance.rule;
+    if (rule && rule.FREQ === 'YEARLY' && year > observance.start.year) {
+        const month = rule.BYMONTH ? parseInt(rule.BYMONTH, 10) : observance.start.month;
+        let day = observance.start.day;
+
+        const byDay = rule.BYDAY && rule.BYDAY.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (byDay) {
+            day = nthWeekdayOfMonth(year, month, WEEKDAYS.indexOf(byDay[2]), parseInt(byDay[1] || '1', 10));
+        } else if (rule.BYMONTHDAY) {
+            day = parseInt(rule.BYMONTHDAY, 10);
+        }
+
+        if (day) {
+            const onset = localToMs({ ...observance.start, year, month, day });
+            const until = rule.UNTIL ? parseLocalDateTime(rule.UNTIL) : null;
+            if (!until || onset <= localToMs(until.local)) {
+                onsets.push(onset);
+            }
+        }
+    }
+
+    return onsets;
+}
+
+function buildTimezone(component) {
+    const observances = component.components
+        .filter(child => child.name === 'STANDARD' || child.name === 'DAYLIGHT')
+        .map(child => {
+            const dtstart = getProperty(child, 'DTSTART');
+            const parsedStart = dtstart ? parseLocalDateTime(dtstart.value) : null;
+            const offsetFrom = parseUtcOffset(getProperty(child, 'TZOFFSETFROM')?.value);
+            const offsetTo = parseUtcOffset(getProperty(child, 'TZOFFSETTO')?.value);
+            if (!parsedStart || offsetTo === null) {
+                return null;
+            }
+
+            const rdates = [];
+            getProperties(child, 'RDATE').forEach(prop => {
+                prop.value.split(',').forEach(raw => {
+                    const parsed = parseLocalDateTime(raw);
+                    if (parsed) rdates.push(localToMs(parsed.local));
+                });
+            });
+
+            const rrule = getProperty(child, 'RRULE');
+            return {
+                start: parsedStart.local,
+                offsetFrom: offsetFrom === null ? offsetTo : offsetFrom,
+                offsetTo,
+                rdates,
+                rule: rrule ? parseRuleParts(rrule.value) : null
+            };
+        })
+        .filter(Boolean);
+
+    return { observances };
+}
+
+// Offset in minutes that a VTIMEZONE definition applies at a wall-clock time.
+function vtimezoneOffset(timezone, localMs) {
+    const year = new Date(localMs).getUTCFullYear();
+    let best = null;
+
+    timezone.observances.forEach(observance => {
+        [year, year - 1].forEach(y => {
+            observanceOnsets(observance, y).forEach(onset => {
+                if (onset <= localMs && (!best || onset > best.onset)) {
+                    best = { onset, offset: observance.offsetTo };
+                }
+            });
+        });
+    });
+
+    if (best) {
+        return best.offset;
+    }
+
+    // Before the first onset: use the earliest observance's prior offset
+    const earliest = timezone.observances
+        .slice()
+        .sort((a, b) => localToMs(a.start) - localToMs(b.start))[0];
+    return earliest ? earliest.offsetFrom : 0;
+}
+
+const zoneFormatters = new Map();
+
+function getZoneFormatter(tzid) {
+    if (!zoneFormatters.has(tzid)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: tzid,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        } catch (error) {
+            // Not an IANA zone name known to this runtime
+        }
+        zoneFormatters.set(tzid, formatter);
+    }
+    return zoneFormatters.get(tzid);
+}
+
+// Offset in minutes of an IANA zone at a UTC instant
+function ianaOffset(formatter, utcMs) {
+    const parts = formatter.formatToParts(new Date(utcMs)).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+    const asUtc = Date.UTC(
+        parseInt(parts.year, 10),
+        parseInt(parts.month, 10) - 1,
+        parseInt(parts.day, 10),
+        parseInt(parts.hour, 10) % 24,
+        parseInt(parts.minute, 10),
+        parseInt(parts.second, 10)
+    );
+    return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+function normalizeTzid(tzid) {
+    // Some producers prefix globally unique ids with a slash ("/Europe/Brussels")
+    return String(tzid || '').trim().replace(/^\//, '');
+}
+
+// Converts wall-clock fields in the given zone to a UTC Date. The feed's own
+// VTIMEZONE wins (it is authoritative and covers Windows zone names); IANA
+// names without a definition fall back to the runtime's zone database.
+// Returns null when the zone cannot be resolved.
+function zonedTimeToUtc(local, tzid, timezones = {}) {
+    const localMs = localToMs(local);
+    const name = normalizeTzid(tzid);
+
+    if (!name || name.toUpperCase() === 'UTC' || name === 'Etc/UTC' || name === 'GMT') {
+        return new Date(localMs);
+    }
+
+    const timezone = timezones[name] || timezones[tzid];
+    if (timezone && timezone.observances.length > 0) {
+        return new Date(localMs - vtimezoneOffset(timezone, localMs) * 60000);
+    }
+
+    const formatter = getZoneFormatter(name);
+    if (!formatter) {
+        return null;
+    }
+
+    // Two passes settle DST transitions; times inside a spring-forward gap
+    // resolve to the instant after the gap.
+    let utcMs = localMs - ianaOffset(formatter, localMs) * 60000;
+    utcMs = localMs - ianaOffset(formatter, utcMs) * 60000;
+    return new Date(utcMs);
+}
+
+// Parses a DTSTART/DTEND-style property into
+// { date: Date, allDay, tzid, local } or null when it is not a valid value.
+function parseDateProperty(prop, context) {
+    const parsed = parseLocalDateTime(prop.value);
+    if (!parsed) {
+        return null;
+    }
+
+    // Parameter values are case-insensitive (RFC 5545 3.2); some exporters
+    // write VALUE=date
+    const valueType = (prop.params.VALUE || '').toUpperCase();
+    if (valueType === 'DATE' || parsed.isDate) {
+        const local = { ...parsed.local, hour: 0, minute: 0, second: 0 };
+        return { date: new Date(localToMs(local)), allDay: true, tzid: null, local };
+    }
+
+    if (parsed.isUtc) {
+        return { date: new Date(localToMs(parsed.local)), allDay: false, tzid: 'UTC', local: parsed.local };
+    }
+
+    // Floating times are interpreted in the calendar's default zone
+    const tzid = prop.params.TZID || context.defaultTzid || null;
+    const date = zonedTimeToUtc(parsed.local, tzid, context.timezones);
+    if (!date) {
+        return null;
+    }
+
+    return { date, allDay: false, tzid: tzid ? normalizeTzid(tzid) : null, local: parsed.local };
+}
+
+// Multi-valued date properties (EXDATE, RDATE) may list several
+// comma-separated values sharing one set of parameters.
+function parseDateListProperty(prop, context) {
+    return prop.value
+        .split(',')
+        .map(value => parseDateProperty({ ...prop, value }, context))
+        .filter(Boolean);
+}
+
+// ISO 8601 durations as used by DURATION, e.g. "PT1H30M", "P1D", "-P1W"
+function parseDuration(value) {
+    const match = String(value || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const ms = (parseInt(match[2] || '0', 10) * 7 + parseInt(match[3] || '0', 10)) * DAY_MS
+        + parseInt(match[4] || '0', 10) * 3600000
+        + parseInt(match[5] || '0', 10) * 60000
+        + parseInt(match[6] || '0', 10) * 1000;
+    return match[1] === '-' ? -ms : ms;
+}
+
+// ---------- Events ----------
+
+// Shape of a parsed VEVENT:
+//   uid, summary, description, location, status  - decoded TEXT values
+//   start, end                                    - { date, allDay, tzid, local }
+//   allDay                                        - true for VALUE=DATE events
+//   rrule                                         - RRULE parts, e.g. { FREQ: 'WEEKLY' }
+//   rdates, exdates                               - extra / excluded start dates
+//   recurrenceId                                  - set on overrides of one occurrence
+//   sequence                                      - revision number (SEQUENCE)
+function buildEvent(component, context) {
+    const text = name => {
+        const prop = getProperty(component, name);
+        return prop ? decodeIcsText(prop.value) : '';
+    };
+
+    const uid = text('UID').trim();
+    if (!uid) {
+        return { error: 'VEVENT without UID' };
+    }
+
+    const dtstart = getProperty(component, 'DTSTART');
+    const start = dtstart ? parseDateProperty(dtstart, context) : null;
+    if (!start) {
+        return { error: `VEVENT ${uid}: missing or invalid DTSTART` };
+    }
+
+    let end = null;
+    const dtend = getProperty(component, 'DTEND');
+    const duration = getProperty(component, 'DURATION');
+    if (dtend) {
+        end = parseDateProperty(dtend, context);
+    } else if (duration) {
+        const ms = parseDuration(duration.value);
+        if (ms !== null) {
+            end = { ...start, date: new Date(start.date.getTime() + ms), local: msToLocal(localToMs(start.local) + ms) };
+        }
+    } else if (start.allDay) {
+        // A one-day event when neither DTEND nor DURATION is given
+        end = { ...start, date: new Date(start.date.getTime() + DAY_MS), local: msToLocal(localToMs(start.local) + DAY_MS) };
+    }
+
+    const status = text('STATUS').trim().toUpperCase();
+    const rrule = getProperty(component, 'RRULE');
+    const recurrenceIdProp = getProperty(component, 'RECURRENCE-ID');
+    const recurrenceId = recurrenceIdProp ? parseDateProperty(recurrenceIdProp, context) : null;
+    if (recurrenceIdProp && !recurrenceId) {
+        return { error: `VEVENT ${uid}: invalid RECURRENCE-ID` };
+    }
+    const dateList = name => getProperties(component, name)
+        .reduce((acc, prop) => acc.concat(parseDateListProperty(prop, context)), []);
+
+    return {
+        event: {
+            uid,
+            summary: text('SUMMARY').trim(),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION').trim(),
+            status: status || null,
+            start,
+            end,
+            allDay: start.allDay,
+            rrule: rrule ? parseRuleParts(rrule.value) : null,
+            rdates: dateList('RDATE'),
+            exdates: dateList('EXDATE'),
+            recurrenceId,
+            sequence: parseInt(text('SEQUENCE'), 10) || 0
+        }
+    };
+}
+
+// Parses an iCalendar document. Returns
+// { events, errors, timezones, defaultTzid } where `errors` lists problems
+// with individual lines or events that were skipped and `timezones` holds the
+// feed's VTIMEZONE definitions for use with zonedTimeToUtc.
+function parseCalendar(text) {
+    const { root, errors } = parseComponents(text);
+    const calendar = root.components.find(component => component.name === 'VCALENDAR') || root;
+
+    const timezones = {};
+    calendar.components
+        .filter(component => component.name === 'VTIMEZONE')
+        .forEach(component => {
+            const tzid = getProperty(component, 'TZID');
+            if (tzid) {
+                timezones[normalizeTzid(tzid.value)] = buildTimezone(component);
+            }
+        });
+
+    const defaultTzidProp = getProperty(calendar, 'X-WR-TIMEZONE');
+    const context = {
+        timezones,
+        defaultTzid: defaultTzidProp ? defaultTzidProp.value.trim() : null
+    };
+
+    const events = [];
+    calendar.components
+        .filter(component => component.name === 'VEVENT')
+        .forEach(component => {
+            const result = buildEvent(component, context);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                events.push(result.event);
+            }
+        });
+
+    return { events, errors, timezones, defaultTzid: context.defaultTzid };
+}
+
+// ---------- Writing ----------
+
+// Timed events without an end are written as lasting this long
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000;
+
+function encodeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines longer than 75 octets, never inside a character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the 75
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatIcsDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All-day events are stored at UTC midnight of their calendar day
+function formatIcsDate(date) {
+    return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// One VEVENT for an events-table row. `uidDomain` makes the UID globally
+// unique; `url` links back to the app.
+function eventToIcsLines(event, { uidDomain, url = null, now = new Date() }) {
+    const start = new Date(event.date);
+    const storedEnd = event.enddate || event.endDate;
+    const lines = ['BEGIN:VEVENT', `UID:${event.id}@${uidDomain}`, `DTSTAMP:${formatIcsDateTime(now)}`];
+    if (event.all_day) {
+        const end = storedEnd ? new Date(storedEnd) : new Date(start.getTime() + DAY_MS);
+        lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(start)}`, `DTEND;VALUE=DATE:${formatIcsDate(end)}`);
+    } else {
+        const end = storedEnd ? new Date(storedEnd) : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MS);
+        lines.push(`DTSTART:${formatIcsDateTime(start)}`, `DTEND:${formatIcsDateTime(end)}`);
+    }
+    lines.push(`SUMMARY:${encodeIcsText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${encodeIcsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${encodeIcsText(event.location)}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+}
+
+// A complete VCALENDAR document for `events`. A `name` is shown by
+// subscribing calendar apps; `refreshMinutes` hints how often to poll.
+function buildCalendar(events, { name = null, refreshMinutes = null, uidDomain, eventUrl = () => null } = {}) {
+    const now = new Date();
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//event-attendance-app//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) lines.push(`X-WR-CALNAME:${encodeIcsText(name)}`);
+    if (refreshMinutes) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+    events.forEach(event => lines.push(...eventToIcsLines(event, { uidDomain, url: eventUrl(event), now })));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCalendar,
+    buildCalendar,
+    encodeIcsText,
+    foldLine,
+    unfoldLines,
+    parseContentLine,
+    decodeIcsText,
+    zonedTimeToUtc,
+    localToMs,
+    msToLocal,
+    parseLocalDateTime,
+    nthWeekdayOfMonth,
+    parseDuration
+};
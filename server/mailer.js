@@ -0,0 +1,240 @@
+// Optional email: RSVP confirmations, reminders before the event, and
+// notices when someone is promoted from the waitlist or an event is
+// cancelled.
+//
+// Sending is off unless SMTP_HOST is set. For local testing, point it at a
+// catch-all server such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025).
+// Addresses are opt-in per RSVP, only used for that RSVP's event and never
+// sent to the browser; they are cleared once the event is over.
+//
+// Anyone can type any address into the RSVP form, so each RSVP's address
+// first gets a single email with a confirm link. Reminders and notices only
+// go to RSVPs whose address was confirmed, and every email sent because of
+// an RSVP form submission is rate-limited per address and per client IP.
+
+const nodemailer = require('nodemailer');
+const { createEditToken, hashEditToken } = require('./rsvp-tokens');
+
+const DEFAULT_REMINDER_HOURS = 24;
+const REMINDER_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Addresses are kept this long after the event (for late notices), then cleared
+const EMAIL_RETENTION_DAYS = 1;
+// RSVP emails allowed per address and per client IP within the window
+const RSVP_MAIL_LIMIT_PER_ADDRESS = 3;
+const RSVP_MAIL_LIMIT_PER_IP = 10;
+const RSVP_MAIL_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
+
+// Loose on purpose: the SMTP server has the final say
+function normalizeEmail(value) {
+    if (typeof value !== 'string') return null;
+    const email = value.trim();
+    return email.length <= 254 && /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email) ? email : null;
+}
+
+function createMailer({ pool, config }) {
+    const settings = config.email || {};
+    const enabled = Boolean(process.env.SMTP_HOST);
+    const appUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    const from = process.env.MAIL_FROM || 'Lilai <no-reply@localhost>';
+    let timer = null;
+    // "address:..." / "ip:..." -> send times within the window, per process
+    const rsvpMailSends = new Map();
+
+    const transporter = enabled
+        ? nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        })
+        : null;
+
+    function formatEventTime(event) {
+        return new Date(event.date).toLocaleString('en-GB', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            hour: event.all_day ? undefined : '2-digit',
+            minute: event.all_day ? undefined : '2-digit',
+            timeZone: settings.timeZone
+        });
+    }
+
+    function eventDetails(event) {
+        return [
+            event.title,
+            formatEventTime(event),
+            event.location || null,
+            '',
+            `Details and RSVPs: ${appUrl}/`,
+            '',
+            "You get this email because you entered this address with your RSVP. To stop, cancel the RSVP or RSVP again without an email address."
+        ].filter(line => line !== null).join('\n');
+    }
+
+    // Email failures are logged, never passed on: RSVPs work without email
+    async function send(to, subject, intro, event) {
+        if (!enabled || !to) return false;
+        try {
+            await transporter.sendMail({ from, to, subject, text: `${intro}\n\n${eventDetails(event)}\n` });
+            return true;
+        } catch (error) {
+            console.error(`Error sending "${subject}" email:`, error.message);
+            return false;
+        }
+    }
+
+    function allowRsvpMail(email, ip) {
+        const now = Date.now();
+        const keys = [[`address:${email.toLowerCase()}`, RSVP_MAIL_LIMIT_PER_ADDRESS]];
+        if (ip) keys.push([`ip:${ip}`, RSVP_MAIL_LIMIT_PER_IP]);
+
+        for (const [key] of keys) {
+            const recent = (rsvpMailSends.get(key) || []).filter(time => now - time < RSVP_MAIL_LIMIT_WINDOW);
+            if (recent.length > 0) rsvpMailSends.set(key, recent); else rsvpMailSends.delete(key);
+        }
+        if (keys.some(([key, limit]) => (rsvpMailSends.get(key) || []).length >= limit)) return false;
+        keys.forEach(([key]) => rsvpMailSends.set(key, [...(rsvpMailSends.get(key) || []), now]));
+        return true;
+    }
+
+    // Only an RSVP whose own address was confirmed gets the plain
+    // confirmation (changing the RSVP with its edit token keeps that);
+    // otherwise it gets a confirm link and no other mail until it is used
+    async function sendRsvpConfirmation({ rsvpId, email, attendeeName, status, waitlistPosition, event, ip }) {
+        const intros = {
+            yes: `Hi ${attendeeName}, you're going! See you there.`,
+            waitlisted: `Hi ${attendeeName}, you're #${waitlistPosition} on the waitlist. We'll email you if you get a spot.`,
+            maybe: `Hi ${attendeeName}, you're down as a maybe.`
+        };
+        if (!enabled || !intros[status]) return false;
+        if (!allowRsvpMail(email, ip)) {
+            console.log(`Email for RSVP ${rsvpId} not sent: rate limit reached`);
+            return false;
+        }
+
+        try {
+            const rsvpResult = await pool.query('SELECT email_confirmed_at FROM rsvps WHERE id = $1 AND email = $2', [rsvpId, email]);
+            const rsvp = rsvpResult.rows[0];
+            if (!rsvp) return false;
+            if (rsvp.email_confirmed_at) {
+                return send(email, `RSVP ${status === 'yes' ? 'confirmed' : 'saved'}: ${event.title}`, intros[status], event);
+            }
+
+            const token = createEditToken();
+            await pool.query('UPDATE rsvps SET email_confirm_hash = $1 WHERE id = $2 AND email = $3', [hashEditToken(token), rsvpId, email]);
+            return send(email, `Confirm your email: ${event.title}`, [
+                intros[status],
+                '',
+                'To get reminders and updates about this event by email, confirm your address:',
+                `${appUrl}/api/rsvp/confirm-email?token=${token}`,
+                '',
+                "If you didn't RSVP, ignore this email and you won't hear from us again."
+            ].join('\n'), event);
+        } catch (error) {
+            console.error('Error sending RSVP confirmation email:', error.message);
+            return false;
+        }
+    }
+
+    // Marks the RSVP holding the token as confirmed; returns whether one did
+    async function confirmEmail(token) {
+        const result = await pool.query(
+            `UPDATE rsvps SET email_confirmed_at = NOW(), email_confirm_hash = NULL
+             WHERE email_confirm_hash = $1 AND email IS NOT NULL
+             RETURNING id`,
+            [hashEditToken(token)]
+        );
+        return result.rows.length > 0;
+    }
+
+    // `promoted` are rows returned by promoteFromWaitlist
+    async function sendPromotionNotices(eventId, promoted) {
+        const recipients = promoted.filter(rsvp => rsvp.email && rsvp.email_confirmed_at);
+        if (!enabled || recipients.length === 0) return;
+
+        const eventResult = await pool.query('SELECT * FROM events WHERE id = $1', [eventId]);
+        const event = eventResult.rows[0];
+        if (!event) return;
+        for (const rsvp of recipients) {
+            await send(rsvp.email, `You're in: ${event.title}`,
+                `Hi ${rsvp.attendee_name}, a spot opened up and you've been moved from the waitlist to going.`, event);
+        }
+    }
+
+    async function sendCancellationNotices(eventId) {
+        if (!enabled) return;
+        const result = await pool.query(
+            `SELECT r.attendee_name, r.email, e.*
+             FROM rsvps r JOIN events e ON e.id = r.event_id
+             WHERE r.event_id = $1 AND r.email IS NOT NULL AND r.email_confirmed_at IS NOT NULL
+               AND r.attendance <> 'declined'`,
+            [eventId]
+        );
+        for (const row of result.rows) {
+            await send(row.email, `Cancelled: ${row.title}`,
+                `Hi ${row.attendee_name}, unfortunately this event has been cancelled.`, row);
+        }
+    }
+
+    // Claims due reminders before sending them, so a reminder goes out at
+    // most once even if a check overlaps with another server instance
+    async function sendDueReminders() {
+        const reminderHours = settings.reminderHours ?? DEFAULT_REMINDER_HOURS;
+        const dueResult = await pool.query(
+            `UPDATE rsvps r SET reminder_sent_at = NOW()
+             FROM events e
+             WHERE e.id = r.event_id AND r.email IS NOT NULL AND r.email_confirmed_at IS NOT NULL AND r.reminder_sent_at IS NULL
+               AND r.attendance = 'yes' AND NOT e.cancelled AND e.removed_at IS NULL
+               AND e.date > NOW() AND e.date <= NOW() + make_interval(hours => $1)
+             RETURNING r.attendee_name, r.email, e.*`,
+            [reminderHours]
+        );
+        for (const row of dueResult.rows) {
+            await send(row.email, `Reminder: ${row.title}`, `Hi ${row.attendee_name}, a reminder that you're going to:`, row);
+        }
+
+        await pool.query(
+            `UPDATE rsvps r SET email = NULL, email_confirmed_at = NULL, email_confirm_hash = NULL
+             FROM events e
+             WHERE e.id = r.event_id AND r.email IS NOT NULL
+               AND COALESCE(e.endDate, e.date) < NOW() - make_interval(days => $1)`,
+            [EMAIL_RETENTION_DAYS]
+        );
+        return dueResult.rows.length;
+    }
+
+    function start() {
+        if (timer || !enabled) {
+            return;
+        }
+
+        const tick = () => sendDueReminders().catch(error => console.error('Sending reminders failed:', error));
+        tick();
+        timer = setInterval(tick, REMINDER_CHECK_INTERVAL);
+        console.log(`Email enabled via ${process.env.SMTP_HOST}; reminders ${settings.reminderHours ?? DEFAULT_REMINDER_HOURS}h before events`);
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        enabled,
+        start,
+        stop,
+        sendRsvpConfirmation,
+        confirmEmail,
+        sendPromotionNotices,
+        sendCancellationNotices,
+        sendDueReminders
+    };
+}
+
+module.exports = {
+    createMailer,
+    normalizeEmail
+};
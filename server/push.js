@@ -0,0 +1,288 @@
+// Optional Web Push notifications, shown by public/sw.js.
+//
+// Off unless VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set (generate a
+// pair with `npx web-push generate-vapid-keys`). A browser subscription can
+// follow:
+//   - an event: reminder before it starts, time / location changes,
+//     cancellation
+//   - a calendar: new events, and changes and cancellations of its events
+//   - its own RSVP (proven with the edit token): reminder when going and a
+//     notice when promoted from the waitlist
+// Subscriptions the push service reports as gone (404 / 410) are deleted.
+
+const webpush = require('web-push');
+
+const DEFAULT_REMINDER_HOURS = 2;
+const REMINDER_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// More new events than this in one calendar sync are announced as one summary
+const MAX_NEW_EVENT_NOTIFICATIONS = 3;
+const FOLLOW_KINDS = ['event', 'calendar', 'rsvp'];
+
+// The subscription object from PushManager.subscribe(), as JSON
+function normalizeSubscription(subscription) {
+    if (!subscription || typeof subscription.endpoint !== 'string' || !/^https:\/\//.test(subscription.endpoint)
+        || subscription.endpoint.length > 1000) {
+        return null;
+    }
+    const keys = subscription.keys || {};
+    if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' || keys.p256dh.length > 200 || keys.auth.length > 100) {
+        return null;
+    }
+    return { endpoint: subscription.endpoint, p256dh: keys.p256dh, auth: keys.auth };
+}
+
+function createPushNotifier({ pool, config }) {
+    const settings = config.push || {};
+    const publicKey = process.env.VAPID_PUBLIC_KEY || null;
+    const enabled = Boolean(publicKey && process.env.VAPID_PRIVATE_KEY);
+    let timer = null;
+
+    if (enabled) {
+        webpush.setVapidDetails(
+            process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+            publicKey,
+            process.env.VAPID_PRIVATE_KEY
+        );
+    }
+
+    async function saveSubscription(subscription) {
+        await pool.query(
+            `INSERT INTO push_subscriptions (endpoint, p256dh, auth) VALUES ($1, $2, $3)
+             ON CONFLICT (endpoint) DO UPDATE SET p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth`,
+            [subscription.endpoint, subscription.p256dh, subscription.auth]
+        );
+    }
+
+    async function follow(endpoint, kind, target) {
+        await pool.query(
+            'INSERT INTO push_follows (endpoint, kind, target) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+            [endpoint, kind, target]
+        );
+    }
+
+    async function unfollow(endpoint, kind, target) {
+        await pool.query('DELETE FROM push_follows WHERE endpoint = $1 AND kind = $2 AND target = $3', [endpoint, kind, target]);
+    }
+
+    async function listFollows(endpoint) {
+        const result = await pool.query('SELECT kind, target FROM push_follows WHERE endpoint = $1', [endpoint]);
+        return result.rows;
+    }
+
+    async function removeSubscription(endpoint) {
+        await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+    }
+
+    async function sendTo(subscriptions, notification) {
+        const payload = JSON.stringify(notification);
+        for (const subscription of subscriptions) {
+            try {
+                await webpush.sendNotification(
+                    { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                    payload,
+                    { TTL: 12 * 60 * 60 }
+                );
+            } catch (error) {
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    await removeSubscription(subscription.endpoint);
+                } else {
+                    console.error('Error sending push notification:', error.message);
+                }
+            }
+        }
+    }
+
+    // Subscriptions following the event itself or its calendar, plus those
+    // following one of its RSVPs with the given statuses
+    async function subscriptionsForEvent(eventId, rsvpStatuses = []) {
+        const result = await pool.query(
+            `SELECT DISTINCT s.endpoint, s.p256dh, s.auth
+             FROM push_subscriptions s
+             JOIN push_follows f ON f.endpoint = s.endpoint
+             JOIN events e ON e.id = $1
+             LEFT JOIN rsvps r ON f.kind = 'rsvp' AND r.id = f.target AND r.event_id = e.id
+             WHERE (f.kind = 'event' AND f.target = e.id)
+                OR (f.kind = 'calendar' AND f.target = e.source)
+                OR (r.id IS NOT NULL AND r.attendance = ANY($2::varchar[]))`,
+            [eventId, rsvpStatuses]
+        );
+        return result.rows;
+    }
+
+    function eventNotification(event, title, body) {
+        return {
+            title,
+            body,
+            url: `/?event=${encodeURIComponent(event.id)}`,
+            tag: `event-${event.id}`,
+            eventId: event.id
+        };
+    }
+
+    function formatEventTime(date) {
+        return new Date(date).toLocaleString('en-GB', {
+            weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: settings.timeZone
+        });
+    }
+
+    // Runs callers' notifications in the background; failures are logged
+    function inBackground(description, task) {
+        if (!enabled) return;
+        task().catch(error => console.error(`Error sending ${description} push notifications:`, error));
+    }
+
+    function notifyEventChanged({ eventId, title, changes }) {
+        inBackground('change', async () => {
+            const fields = changes.map(change => change.field);
+            const changedTime = fields.includes('date') || fields.includes('endDate');
+            const dateChange = changes.find(change => change.field === 'date');
+            const locationChange = changes.find(change => change.field === 'location');
+            const parts = [];
+            if (changedTime && dateChange && dateChange.newValue) parts.push(`Now ${formatEventTime(dateChange.newValue)}`);
+            else if (changedTime) parts.push('The time changed');
+            if (locationChange) parts.push(locationChange.newValue ? `Now at ${locationChange.newValue}` : 'The location was removed');
+            if (parts.length === 0) return;
+
+            const subscriptions = await subscriptionsForEvent(eventId, ['yes', 'waitlisted', 'maybe']);
+            await sendTo(subscriptions, eventNotification({ id: eventId }, `Changed: ${title}`, parts.join(' · ')));
+        });
+    }
+
+    function notifyEventCancelled(eventId) {
+        inBackground('cancellation', async () => {
+            const eventResult = await pool.query('SELECT id, title FROM events WHERE id = $1', [eventId]);
+            const event = eventResult.rows[0];
+            if (!event) return;
+            const subscriptions = await subscriptionsForEvent(eventId, ['yes', 'waitlisted', 'maybe']);
+            await sendTo(subscriptions, eventNotification(event, `Cancelled: ${event.title}`, 'This event has been cancelled.'));
+        });
+    }
+
+    // `promoted` are rows returned by promoteFromWaitlist
+    function notifyPromoted(eventId, promoted) {
+        inBackground('promotion', async () => {
+            const eventResult = await pool.query('SELECT id, title FROM events WHERE id = $1', [eventId]);
+            const event = eventResult.rows[0];
+            if (!event) return;
+            for (const rsvp of promoted) {
+                const result = await pool.query(
+                    `SELECT s.endpoint, s.p256dh, s.auth FROM push_subscriptions s
+                     JOIN push_follows f ON f.endpoint = s.endpoint
+                     WHERE f.kind = 'rsvp' AND f.target = $1`,
+                    [rsvp.id]
+                );
+                await sendTo(result.rows, eventNotification(event, `You're in: ${event.title}`,
+                    `A spot opened up and ${rsvp.attendee_name} moved from the waitlist to going.`));
+            }
+        });
+    }
+
+    // `events` as reported by the calendar sync: { id, title, date, source }
+    function notifyEventsAdded(events) {
+        inBackground('new event', async () => {
+            const bySource = new Map();
+            events.forEach(event => bySource.set(event.source, [...(bySource.get(event.source) || []), event]));
+
+            for (const [source, added] of bySource) {
+                const result = await pool.query(
+                    `SELECT s.endpoint, s.p256dh, s.auth FROM push_subscriptions s
+                     JOIN push_follows f ON f.endpoint = s.endpoint
+                     WHERE f.kind = 'calendar' AND f.target = $1`,
+                    [source]
+                );
+                if (result.rows.length === 0) continue;
+
+                const calendarEntry = (config.calendars || []).find(entry => entry.source === source);
+                const calendarName = calendarEntry ? calendarEntry.name : 'a calendar you follow';
+                if (added.length > MAX_NEW_EVENT_NOTIFICATIONS) {
+                    await sendTo(result.rows, {
+                        title: `${added.length} new events in ${calendarName}`,
+                        body: added.slice(0, MAX_NEW_EVENT_NOTIFICATIONS).map(event => event.title).join(', ') + ', …',
+                        url: '/',
+                        tag: `calendar-${source}`
+                    });
+                    continue;
+                }
+                for (const event of added) {
+                    await sendTo(result.rows, eventNotification(event, `New in ${calendarName}: ${event.title}`, formatEventTime(event.date)));
+                }
+            }
+        });
+    }
+
+    // Each event is reminded of once per start time, so a rescheduled event
+    // gets a reminder for its new time; claimed before sending like the
+    // email reminders
+    async function sendDueReminders() {
+        const reminderHours = settings.reminderHours ?? DEFAULT_REMINDER_HOURS;
+        const dueResult = await pool.query(
+            `INSERT INTO push_reminders_sent (event_id, event_date)
+             SELECT e.id, e.date FROM events e
+             WHERE NOT e.cancelled AND e.removed_at IS NULL
+               AND e.date > NOW() AND e.date <= NOW() + make_interval(hours => $1)
+             ON CONFLICT (event_id) DO UPDATE SET event_date = EXCLUDED.event_date, sent_at = NOW()
+                 WHERE push_reminders_sent.event_date IS DISTINCT FROM EXCLUDED.event_date
+             RETURNING event_id`,
+            [reminderHours]
+        );
+        for (const { event_id: eventId } of dueResult.rows) {
+            const eventResult = await pool.query('SELECT id, title, date, location FROM events WHERE id = $1', [eventId]);
+            const event = eventResult.rows[0];
+            // Calendar followers only get reminders for events they RSVP'd to
+            const result = await pool.query(
+                `SELECT DISTINCT s.endpoint, s.p256dh, s.auth
+                 FROM push_subscriptions s
+                 JOIN push_follows f ON f.endpoint = s.endpoint
+                 LEFT JOIN rsvps r ON f.kind = 'rsvp' AND r.id = f.target
+                 WHERE (f.kind = 'event' AND f.target = $1)
+                    OR (r.event_id = $1 AND r.attendance = 'yes')`,
+                [eventId]
+            );
+            if (result.rows.length === 0) continue;
+            const body = [formatEventTime(event.date), event.location].filter(Boolean).join(' · ');
+            await sendTo(result.rows, eventNotification(event, `Reminder: ${event.title}`, body));
+        }
+        return dueResult.rows.length;
+    }
+
+    function start() {
+        if (timer || !enabled) {
+            return;
+        }
+
+        const tick = () => sendDueReminders().catch(error => console.error('Sending push reminders failed:', error));
+        tick();
+        timer = setInterval(tick, REMINDER_CHECK_INTERVAL);
+        console.log(`Push notifications enabled; reminders ${settings.reminderHours ?? DEFAULT_REMINDER_HOURS}h before events`);
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        enabled,
+        publicKey,
+        start,
+        stop,
+        saveSubscription,
+        follow,
+        unfollow,
+        listFollows,
+        removeSubscription,
+        notifyEventChanged,
+        notifyEventCancelled,
+        notifyPromoted,
+        notifyEventsAdded,
+        sendDueReminders
+    };
+}
+
+module.exports = {
+    createPushNotifier,
+    normalizeSubscription,
+    FOLLOW_KINDS
+};
@@ -0,0 +1,319 @@
+// Expands recurring VEVENTs (RRULE, RDATE, EXDATE) into individual
+// occurrences so each session of a series can be RSVP'd to separately.
+//
+// Rules are evaluated in the event's own wall-clock time and converted to UTC
+// per occurrence, so a weekly 19:00 Europe/Brussels event stays at 19:00 on
+// both sides of a DST change. Supported: FREQ DAILY/WEEKLY/MONTHLY/YEARLY with
+// INTERVAL, COUNT, UNTIL, BYDAY (incl. ordinals like 2TU / -1FR), BYMONTHDAY,
+// BYMONTH, BYSETPOS and WKST. YEARLY rules without BYMONTH use the month of
+// DTSTART. Sub-daily frequencies are ignored.
+//
+// Rules are always counted from DTSTART (so COUNT stays right), but only
+// occurrences from the `from` bound on are returned: a long-running series
+// does not turn years of past sessions into events.
+
+const { zonedTimeToUtc, localToMs, msToLocal, parseLocalDateTime, nthWeekdayOfMonth } = require('./ics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Hard stops so a malformed or unbounded rule cannot stall the sync
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 50000;
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// Stable key identifying one occurrence of a series: the occurrence's
+// original start as a DATE (all-day) or UTC DATE-TIME string. RECURRENCE-ID
+// values normalise to the same format.
+function occurrenceKey(occurrence) {
+    if (occurrence.allDay) {
+        const { year, month, day } = occurrence.local;
+        return `${year}${pad(month)}${pad(day)}`;
+    }
+    return occurrence.date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function parseList(value) {
+    return value ? value.split(',').map(part => part.trim()).filter(Boolean) : [];
+}
+
+function parseByDay(value) {
+    return parseList(value)
+        .map(part => part.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/))
+        .filter(Boolean)
+        .map(match => ({ n: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAYS.indexOf(match[2]) }));
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Candidate days (as { year, month, day }) of one month for MONTHLY and
+// YEARLY rules. BYMONTHDAY and BYDAY intersect when both are present.
+function monthDays(year, month, rule, startDay) {
+    const total = daysInMonth(year, month);
+    let days = null;
+
+    if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay
+            .map(d => (d < 0 ? total + d + 1 : d))
+            .filter(d => d >= 1 && d <= total);
+    }
+
+    if (rule.byDay.length > 0) {
+        const byDayDays = [];
+        rule.byDay.forEach(({ n, weekday }) => {
+            if (n !== 0) {
+                const day = nthWeekdayOfMonth(year, month, weekday, n);
+                if (day) byDayDays.push(day);
+            } else {
+                for (let d = 1; d <= total; d++) {
+                    if (new Date(Date.UTC(year, month - 1, d)).getUTCDay() === weekday) byDayDays.push(d);
+                }
+            }
+        });
+        days = days ? days.filter(d => byDayDays.includes(d)) : byDayDays;
+    }
+
+    if (!days) {
+        days = startDay <= total ? [startDay] : [];
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b).map(day => ({ year, month, day }));
+}
+
+// Candidate days of the nth period of the rule, before COUNT/UNTIL/DTSTART
+// filtering.
+function periodDays(rule, start, index) {
+    const step = index * rule.interval;
+
+    if (rule.freq === 'DAILY') {
+        const local = msToLocal(Date.UTC(start.year, start.month - 1, start.day) + step * DAY_MS);
+        const weekday = new Date(localToMs(local)).getUTCDay();
+        if (rule.byMonth.length > 0 && !rule.byMonth.includes(local.month)) return [];
+        if (rule.byDay.length > 0 && !rule.byDay.some(d => d.weekday === weekday)) return [];
+        if (rule.byMonthDay.length > 0 && !monthDays(local.year, local.month, { ...rule, byDay: [] }, local.day)
+            .some(d => d.day === local.day)) return [];
+        return [local];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        const startMs = Date.UTC(start.year, start.month - 1, start.day);
+        const startWeekday = new Date(startMs).getUTCDay();
+        const weekStartMs = startMs - ((startWeekday - rule.wkst + 7) % 7) * DAY_MS + step * 7 * DAY_MS;
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [startWeekday];
+        return [...new Set(weekdays)]
+            .map(weekday => msToLocal(weekStartMs + ((weekday - rule.wkst + 7) % 7) * DAY_MS))
+            .filter(local => rule.byMonth.length === 0 || rule.byMonth.includes(local.month))
+            .sort((a, b) => localToMs(a) - localToMs(b));
+    }
+
+    if (rule.freq === 'MONTHLY') {
+        const monthIndex = (start.month - 1) + step;
+        const year = start.year + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+        return monthDays(year, month, rule, start.day);
+    }
+
+    if (rule.freq === 'YEARLY') {
+        const year = start.year + step;
+        const months = rule.byMonth.length > 0 ? rule.byMonth : [start.month];
+        return months.reduce((acc, month) => acc.concat(monthDays(year, month, rule, start.day)), []);
+    }
+
+    return [];
+}
+
+function applySetPos(days, setPos) {
+    if (setPos.length === 0) {
+        return days;
+    }
+    return setPos
+        .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+        .filter(Boolean);
+}
+
+function normalizeRule(parts) {
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, parseInt(parts.INTERVAL || '1', 10) || 1),
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+        until: parts.UNTIL ? parseLocalDateTime(parts.UNTIL) : null,
+        byDay: parseByDay(parts.BYDAY),
+        byMonthDay: parseList(parts.BYMONTHDAY).map(d => parseInt(d, 10)).filter(d => !isNaN(d) && d !== 0),
+        byMonth: parseList(parts.BYMONTH).map(m => parseInt(m, 10)).filter(m => m >= 1 && m <= 12),
+        bySetPos: parseList(parts.BYSETPOS).map(p => parseInt(p, 10)).filter(p => !isNaN(p) && p !== 0),
+        wkst: parts.WKST && WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1
+    };
+}
+
+// Builds an occurrence that starts at the given wall-clock time, keeping the
+// event's wall-clock duration. Returns null if the time cannot be resolved.
+function buildOccurrence(event, local, timezones) {
+    const date = event.allDay ? new Date(localToMs(local)) : zonedTimeToUtc(local, event.start.tzid, timezones);
+    if (!date) {
+        return null;
+    }
+
+    const start = { ...event.start, date, local };
+    let end = null;
+    if (event.end) {
+        const durationMs = localToMs(event.end.local) - localToMs(event.start.local);
+        const endLocal = msToLocal(localToMs(local) + durationMs);
+        const endDate = event.allDay ? new Date(localToMs(endLocal)) : zonedTimeToUtc(endLocal, event.end.tzid, timezones);
+        end = endDate ? { ...event.end, date: endDate, local: endLocal } : null;
+    }
+
+    return { start, end };
+}
+
+// Wall-clock start times produced by the RRULE, in order, from `fromMs` up
+// to `untilMs`. Earlier occurrences still count toward COUNT.
+function ruleStartTimes(event, rule, fromMs, untilMs, timezones) {
+    const start = event.start.local;
+    const startMs = localToMs(start);
+    let ruleUntilMs = null;
+    if (rule.until) {
+        // A UTC UNTIL is compared as an instant; DATE / floating UNTIL as wall-clock
+        ruleUntilMs = rule.until.isUtc || event.allDay
+            ? localToMs(rule.until.local)
+            : (zonedTimeToUtc(rule.until.local, event.start.tzid, timezones) || new Date(localToMs(rule.until.local))).getTime();
+    }
+
+    const results = [];
+    let produced = 0;
+
+    for (let index = 0; index < MAX_PERIODS; index++) {
+        const days = applySetPos(periodDays(rule, start, index), rule.bySetPos);
+        let pastHorizon = false;
+
+        for (const day of days) {
+            const local = { ...day, hour: start.hour, minute: start.minute, second: start.second };
+            const localMs = localToMs(local);
+            if (localMs < startMs) continue;
+
+            // Wall-clock and UTC differ by less than a day, so these are
+            // decided without resolving the time zone
+            if (ruleUntilMs !== null && localMs > ruleUntilMs + DAY_MS) return results;
+            if (localMs < fromMs - DAY_MS) {
+                produced++;
+                if (rule.count !== null && produced >= rule.count) return results;
+                continue;
+            }
+
+            const instant = event.allDay ? localToMs(local) : zonedTimeToUtc(local, event.start.tzid, timezones);
+            if (instant === null) continue;
+            const instantMs = typeof instant === 'number' ? instant : instant.getTime();
+
+            if (ruleUntilMs !== null && instantMs > ruleUntilMs) return results;
+            if (instantMs > untilMs) {
+                pastHorizon = true;
+                break;
+            }
+
+            produced++;
+            if (instantMs >= fromMs) {
+                results.push(local);
+            }
+            if ((rule.count !== null && produced >= rule.count) || results.length >= MAX_OCCURRENCES) {
+                return results;
+            }
+        }
+
+        if (pastHorizon) {
+            break;
+        }
+    }
+
+    return results;
+}
+
+// Expands one parsed event into its occurrences between `from` (optional)
+// and `until` (Dates). Non-recurring events come back unchanged with
+// `recurrenceKey: null`; occurrences carry the key of their original start.
+function expandEvent(event, { from = null, until, timezones = {} }) {
+    const hasRule = event.rrule && ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(event.rrule.FREQ);
+    const rdates = event.rdates || [];
+    if (!hasRule && rdates.length === 0) {
+        return [{ ...event, recurrenceKey: null }];
+    }
+
+    const fromMs = from ? from.getTime() : -Infinity;
+    const untilMs = until.getTime();
+    const starts = hasRule
+        ? ruleStartTimes(event, normalizeRule(event.rrule), fromMs, untilMs, timezones)
+        : (event.start.date.getTime() >= fromMs ? [event.start.local] : []);
+
+    const occurrences = new Map();
+    starts.forEach(local => {
+        const built = buildOccurrence(event, local, timezones);
+        if (built) {
+            occurrences.set(occurrenceKey(built.start), built);
+        }
+    });
+
+    rdates.forEach(rdate => {
+        if (rdate.date.getTime() > untilMs || rdate.date.getTime() < fromMs) return;
+        const local = rdate.allDay === event.allDay && rdate.tzid === event.start.tzid
+            ? rdate.local
+            : msToLocal(localToMs(event.start.local) + (rdate.date.getTime() - event.start.date.getTime()));
+        const built = buildOccurrence(event, local, timezones);
+        if (built) {
+            occurrences.set(occurrenceKey(built.start), built);
+        }
+    });
+
+    excludedKeys(event).forEach(key => occurrences.delete(key));
+
+    return [...occurrences.entries()]
+        .sort((a, b) => a[1].start.date - b[1].start.date)
+        .map(([key, built]) => ({ ...event, start: built.start, end: built.end, recurrenceKey: key }));
+}
+
+// Keys of the occurrences a series excludes with EXDATE. Google Calendar
+// records "delete only this event" that way.
+function excludedKeys(event) {
+    return (event.exdates || []).map(exdate => occurrenceKey({ ...exdate, allDay: event.allDay }));
+}
+
+// Expands every event of a feed and applies RECURRENCE-ID overrides to the
+// occurrence they replace, so a moved or cancelled session keeps the id (and
+// RSVPs) of its original slot. Overrides whose series is missing from the
+// feed are kept as standalone occurrences.
+function expandCalendarEvents(events, options) {
+    const occurrences = new Map();
+    const slotKey = (uid, recurrenceKey) => `${uid}\n${recurrenceKey || ''}`;
+
+    events
+        .filter(event => !event.recurrenceId)
+        .forEach(event => {
+            expandEvent(event, options).forEach(occurrence => {
+                occurrences.set(slotKey(occurrence.uid, occurrence.recurrenceKey), occurrence);
+            });
+        });
+
+    events
+        .filter(event => event.recurrenceId)
+        .forEach(override => {
+            const key = occurrenceKey(override.recurrenceId);
+            const slot = slotKey(override.uid, key);
+            const outOfRange = override.start.date > options.until || (options.from && override.start.date < options.from);
+            if (!occurrences.has(slot) && outOfRange) {
+                return;
+            }
+            occurrences.set(slot, { ...override, rrule: null, rdates: [], exdates: [], recurrenceKey: key });
+        });
+
+    return [...occurrences.values()];
+}
+
+module.exports = {
+    expandEvent,
+    expandCalendarEvents,
+    excludedKeys,
+    occurrenceKey
+};
@@ -0,0 +1,140 @@
+// Attendee reliability, from RSVP history and check-in data.
+//
+// People are matched by name (case-insensitive), as there are no accounts.
+// Per name we count, over past events that were not cancelled:
+//   - RSVPs: "yes" RSVPs made in advance (walk-ins are not RSVPs)
+//   - attended: checked in, including as a walk-in
+//   - no-shows: "yes" but not checked in, at events where the host used
+//     check-in (without check-in we cannot tell who came)
+//   - late cancellations: a "yes" cancelled or changed to maybe / can't go
+//     less than `reliability.lateCancelHours` (default 24) before the start
+//
+// A calendar may set a `noShowRule` in config/app.json. For limited events
+// with a waitlist, a "yes" from someone with at least `minNoShows` no-shows
+// in the last `lookbackDays` goes to the back of the waitlist instead, even
+// when spots are free. It is held there until `releaseHours` before the
+// event and stays behind everyone else who waits.
+
+const { promoteFromWaitlist } = require('./waitlist');
+
+const DEFAULT_LATE_CANCEL_HOURS = 24;
+const DEFAULT_LOOKBACK_DAYS = 180;
+const DEFAULT_RELEASE_HOURS = 24;
+
+// A "yes" given up; whether it was late is worked out when counting
+async function recordCancellation(client, eventId, attendeeName) {
+    await client.query(
+        'INSERT INTO rsvp_cancellations (event_id, attendee_name) VALUES ($1, $2)',
+        [eventId, attendeeName]
+    );
+}
+
+// Reliability per name, most no-shows first. `sinceDays` limits the history
+// to recent events; `name` looks up one person.
+async function getReliabilityStats(client, { lateCancelHours = DEFAULT_LATE_CANCEL_HOURS, sinceDays = null, name = null } = {}) {
+    const attendanceResult = await client.query(
+        `SELECT LOWER(r.attendee_name) AS key, MIN(r.attendee_name) AS name,
+                COUNT(*) FILTER (WHERE NOT r.walk_in) AS rsvp_count,
+                COUNT(*) FILTER (WHERE r.checked_in_at IS NOT NULL) AS attended,
+                COUNT(*) FILTER (WHERE NOT r.walk_in AND r.checked_in_at IS NULL AND checked.event_id IS NOT NULL) AS no_shows,
+                MAX(e.date) AS last_event_at
+         FROM rsvps r
+         JOIN events e ON e.id = r.event_id
+         LEFT JOIN (SELECT DISTINCT event_id FROM rsvps WHERE checked_in_at IS NOT NULL) checked ON checked.event_id = r.event_id
+         WHERE r.attendance = 'yes' AND NOT e.cancelled AND COALESCE(e.endDate, e.date) < NOW()
+           AND ($1::int IS NULL OR e.date >= NOW() - make_interval(days => $1::int))
+           AND ($2::text IS NULL OR LOWER(r.attendee_name) = LOWER($2::text))
+         GROUP BY LOWER(r.attendee_name)`,
+        [sinceDays, name]
+    );
+    const cancellationResult = await client.query(
+        `SELECT LOWER(c.attendee_name) AS key, MIN(c.attendee_name) AS name, COUNT(*) AS late_cancellations
+         FROM rsvp_cancellations c
+         JOIN events e ON e.id = c.event_id
+         WHERE NOT e.cancelled AND c.cancelled_at >= e.date - make_interval(hours => $1::int)
+           AND ($2::int IS NULL OR e.date >= NOW() - make_interval(days => $2::int))
+           AND ($3::text IS NULL OR LOWER(c.attendee_name) = LOWER($3::text))
+         GROUP BY LOWER(c.attendee_name)`,
+        [lateCancelHours, sinceDays, name]
+    );
+
+    const stats = new Map();
+    const entryFor = (key, displayName) => {
+        if (!stats.has(key)) {
+            stats.set(key, { name: displayName, rsvpCount: 0, attended: 0, noShows: 0, lateCancellations: 0, lastEventAt: null });
+        }
+        return stats.get(key);
+    };
+    attendanceResult.rows.forEach(row => {
+        Object.assign(entryFor(row.key, row.name), {
+            rsvpCount: parseInt(row.rsvp_count, 10),
+            attended: parseInt(row.attended, 10),
+            noShows: parseInt(row.no_shows, 10),
+            lastEventAt: row.last_event_at
+        });
+    });
+    cancellationResult.rows.forEach(row => {
+        entryFor(row.key, row.name).lateCancellations = parseInt(row.late_cancellations, 10);
+    });
+
+    return [...stats.values()].sort((a, b) =>
+        b.noShows - a.noShows || b.lateCancellations - a.lateCancellations || a.name.localeCompare(b.name));
+}
+
+// The calendar's no-show rule with defaults filled in, or null
+function noShowRuleFor(calendarEntry) {
+    const rule = calendarEntry && calendarEntry.noShowRule;
+    if (!rule || !Number.isInteger(rule.minNoShows) || rule.minNoShows < 1) return null;
+    return {
+        minNoShows: rule.minNoShows,
+        lookbackDays: rule.lookbackDays ?? DEFAULT_LOOKBACK_DAYS,
+        releaseHours: rule.releaseHours ?? DEFAULT_RELEASE_HOURS
+    };
+}
+
+// Until when a new "yes" for the event is held on the waitlist under the
+// rule, or null when it is not
+async function noShowHoldUntil(client, rule, event, attendeeName) {
+    if (!rule) return null;
+    const releaseAt = new Date(new Date(event.date).getTime() - rule.releaseHours * 60 * 60 * 1000);
+    if (releaseAt <= new Date()) return null;
+
+    const [stats] = await getReliabilityStats(client, { sinceDays: rule.lookbackDays, name: attendeeName });
+    return stats && stats.noShows >= rule.minNoShows ? releaseAt : null;
+}
+
+// Lets held RSVPs whose release time has passed compete for free spots.
+// Returns the events with promotions, as { eventId, promoted }.
+async function releaseHeldRsvps(client) {
+    const dueResult = await client.query(
+        `SELECT DISTINCT event_id FROM rsvps
+         WHERE attendance = 'waitlisted' AND held_until IS NOT NULL AND held_until <= NOW()`
+    );
+
+    const released = [];
+    for (const { event_id: eventId } of dueResult.rows) {
+        await client.query('BEGIN');
+        try {
+            await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+            await client.query(
+                'UPDATE rsvps SET held_until = NULL WHERE event_id = $1 AND held_until <= NOW()',
+                [eventId]
+            );
+            const promoted = await promoteFromWaitlist(client, eventId);
+            await client.query('COMMIT');
+            released.push({ eventId, promoted });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+    return released;
+}
+
+module.exports = {
+    recordCancellation,
+    getReliabilityStats,
+    noShowRuleFor,
+    noShowHoldUntil,
+    releaseHeldRsvps
+};
@@ -0,0 +1,89 @@
+// RSVP comments and answers to an event's custom questions.
+//
+// Questions come from `question:` directives in the event description and
+// are stored on the event as [{ text, options }]; `options` is null for free
+// text questions. Answers are stored per RSVP as { [question text]: answer },
+// so they stay attached to the question as long as its wording is unchanged.
+
+const MAX_COMMENT_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 200;
+
+// Returns { comment, answers } ready to store, or { error } describing the
+// first invalid input. Blank answers are dropped; all questions are optional.
+function validateRsvpExtras(questions, comment, answers) {
+    let cleanComment = null;
+    if (comment !== undefined && comment !== null) {
+        if (typeof comment !== 'string') {
+            return { error: 'Comment must be text' };
+        }
+        cleanComment = comment.trim() || null;
+        if (cleanComment && cleanComment.length > MAX_COMMENT_LENGTH) {
+            return { error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+        }
+    }
+
+    const cleanAnswers = {};
+    if (answers !== undefined && answers !== null) {
+        if (typeof answers !== 'object' || Array.isArray(answers)) {
+            return { error: 'Answers must be an object keyed by question' };
+        }
+
+        for (const [text, answer] of Object.entries(answers)) {
+            const question = (questions || []).find(q => q.text === text);
+            if (!question) {
+                return { error: `Unknown question "${text}"` };
+            }
+            if (typeof answer !== 'string') {
+                return { error: `Answer to "${text}" must be text` };
+            }
+
+            const trimmed = answer.trim();
+            if (!trimmed) continue;
+            if (trimmed.length > MAX_ANSWER_LENGTH) {
+                return { error: `Answer to "${text}" must be at most ${MAX_ANSWER_LENGTH} characters` };
+            }
+            if (question.options && !question.options.includes(trimmed)) {
+                return { error: `Answer to "${text}" must be one of: ${question.options.join(', ')}` };
+            }
+            cleanAnswers[text] = trimmed;
+        }
+    }
+
+    return { comment: cleanComment, answers: cleanAnswers };
+}
+
+// Tallies the answers of the given RSVPs per question, e.g.
+// [{ question: 'Dietary restrictions?', counts: [{ answer: 'vegetarian', count: 4 }], unanswered: 2 }]
+// Choices keep their configured order; free text answers are grouped
+// case-insensitively and sorted by count.
+function summarizeAnswers(questions, rsvps) {
+    return (questions || []).map(question => {
+        const counts = new Map();
+        let unanswered = 0;
+
+        (question.options || []).forEach(option => counts.set(option.toLowerCase(), { answer: option, count: 0 }));
+
+        rsvps.forEach(rsvp => {
+            const answer = rsvp.answers ? rsvp.answers[question.text] : undefined;
+            if (!answer) {
+                unanswered++;
+                return;
+            }
+            const key = answer.toLowerCase();
+            const entry = counts.get(key) || { answer, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+
+        const tally = [...counts.values()];
+        if (!question.options) {
+            tally.sort((a, b) => b.count - a.count);
+        }
+        return { question: question.text, counts: tally, unanswered };
+    });
+}
+
+module.exports = {
+    validateRsvpExtras,
+    summarizeAnswers
+};
@@ -0,0 +1,29 @@
+// Edit tokens that prove ownership of an RSVP without accounts.
+//
+// Every RSVP gets a random token when it is created. The token is returned
+// once to the browser that made the RSVP, which keeps it in localStorage;
+// only its SHA-256 hash is stored, so a database leak does not let anyone
+// cancel other people's RSVPs. Changing or removing an RSVP requires the
+// token (or the admin key).
+
+const crypto = require('crypto');
+
+function createEditToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashEditToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Tokens arrive in request bodies; anything that is not a plausible token is
+// treated as missing rather than hashed
+function normalizeEditToken(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]{16,128}$/.test(token) ? token : null;
+}
+
+module.exports = {
+    createEditToken,
+    hashEditToken,
+    normalizeEditToken
+};
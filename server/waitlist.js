@@ -0,0 +1,95 @@
+// Waitlist handling shared by the RSVP routes and the calendar sync.
+//
+// RSVPs beyond an event's attendance limit are stored with attendance
+// 'waitlisted'; their queue position is their order by timestamp, with RSVPs
+// held back by a calendar's no-show rule behind everyone else (see
+// reliability.js). Whenever a spot frees up (a "yes" is removed or the limit
+// is raised) the first people in the queue are promoted to "yes"; held-back
+// RSVPs not before `held_until`. Capacity is counted
+// in heads: an RSVP takes one spot plus one per guest. Callers run these
+// inside their own transaction so removal and promotion happen atomically.
+
+// Promotes waitlisted RSVPs, in queue order, for as long as the whole party
+// (attendee plus guests) fits in the free spots; everyone is promoted when
+// the event has no limit. Returns the promoted RSVPs in queue order. Locks
+// the event row, like the RSVP route, so promotions and new RSVPs for the
+// same event are serialized.
+async function promoteFromWaitlist(client, eventId) {
+    const eventResult = await client.query('SELECT attendance_limit FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+    if (eventResult.rows.length === 0) {
+        return [];
+    }
+
+    const limit = eventResult.rows[0].attendance_limit;
+    const waitlistResult = await client.query(
+        `SELECT id, attendee_name, guests, timestamp, email, email_confirmed_at FROM rsvps
+         WHERE event_id = $1 AND attendance = 'waitlisted'
+           AND (held_until IS NULL OR held_until <= NOW())
+         ORDER BY held_back, timestamp, id`,
+        [eventId]
+    );
+
+    let toPromote = waitlistResult.rows;
+    if (limit !== null) {
+        const headcountResult = await client.query(
+            'SELECT COALESCE(SUM(1 + guests), 0) AS headcount FROM rsvps WHERE event_id = $1 AND attendance = $2',
+            [eventId, 'yes']
+        );
+        let freeSpots = limit - parseInt(headcountResult.rows[0].headcount, 10);
+        toPromote = [];
+        // Strictly first come, first served: a party that does not fit
+        // blocks the ones behind it
+        for (const rsvp of waitlistResult.rows) {
+            if (1 + rsvp.guests > freeSpots) break;
+            freeSpots -= 1 + rsvp.guests;
+            toPromote.push(rsvp);
+        }
+    }
+
+    if (toPromote.length > 0) {
+        await client.query(
+            'UPDATE rsvps SET attendance = $1, held_back = FALSE WHERE id = ANY($2::varchar[])',
+            ['yes', toPromote.map(rsvp => rsvp.id)]
+        );
+    }
+    return toPromote;
+}
+
+// Names per response of one event, in RSVP order, in the shape broadcast to
+// clients. Only "yes" counts towards the attendance limit, with its guests:
+// `attendingCount` is a headcount, `attendeeGuests` lines up with `attendees`.
+// `checkedInCount` and `walkInCount` are headcounts too; walk-ins are part of
+// `attendingCount` but not of the people who RSVP'd.
+async function getEventAttendance(client, eventId) {
+    const result = await client.query(
+        'SELECT attendee_name, attendance, guests, checked_in_at, walk_in FROM rsvps WHERE event_id = $1 ORDER BY held_back, timestamp, id',
+        [eventId]
+    );
+
+    const rowsWith = attendance => result.rows.filter(row => row.attendance === attendance);
+    const going = rowsWith('yes');
+    const waitlist = rowsWith('waitlisted').map(row => row.attendee_name);
+    const maybe = rowsWith('maybe').map(row => row.attendee_name);
+    const declined = rowsWith('declined').map(row => row.attendee_name);
+    const guestCount = going.reduce((sum, row) => sum + row.guests, 0);
+    const headcount = rows => rows.reduce((sum, row) => sum + 1 + row.guests, 0);
+    return {
+        attendees: going.map(row => row.attendee_name),
+        attendeeGuests: going.map(row => row.guests),
+        attendingCount: going.length + guestCount,
+        guestCount,
+        waitlist,
+        waitlistCount: waitlist.length,
+        maybe,
+        maybeCount: maybe.length,
+        declined,
+        declinedCount: declined.length,
+        checkedInCount: headcount(going.filter(row => row.checked_in_at && !row.walk_in)),
+        walkInCount: headcount(going.filter(row => row.walk_in))
+    };
+}
+
+module.exports = {
+    promoteFromWaitlist,
+    getEventAttendance
+};
@@ -0,0 +1,274 @@
+// Outbound webhooks for bots and automations.
+//
+// Admins register URLs with the event types they want (see
+// WEBHOOK_EVENT_TYPES) and a shared secret. Each event is queued in
+// webhook_deliveries and POSTed as JSON:
+//     { "id": <delivery id>, "type": "rsvp.created", "createdAt": ..., "data": { ... } }
+// with headers
+//     X-Webhook-Event: rsvp.created
+//     X-Webhook-Delivery: <delivery id>
+//     X-Webhook-Timestamp: <unix seconds>
+//     X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+// Anything but a 2xx answer is retried with backoff; after the last attempt
+// the delivery is marked failed. Deliveries are kept as a log.
+//
+// Receivers must be on the public internet: loopback, link-local and private
+// addresses are refused when a webhook is saved and again when a delivery
+// resolves its host, unless WEBHOOKS_ALLOW_PRIVATE=true (local testing, or
+// receivers on the same network).
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const WEBHOOK_EVENT_TYPES = ['rsvp.created', 'rsvp.removed', 'event.full', 'event.changed', 'donation.created'];
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// Wait before attempt 2, 3, ...; the delivery fails after the last one
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+const DELIVERY_CHECK_INTERVAL = 15 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_DELIVERIES_PER_RUN = 20;
+const DELIVERY_LOG_DAYS = 30;
+
+function createWebhookSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Secrets are only shown in full when they are created or replaced; lists
+// show enough to tell them apart
+function maskSecret(secret) {
+    return secret ? `${secret.slice(0, 4)}${'•'.repeat(8)}` : null;
+}
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved
+// ranges, IPv4 and IPv6
+function isPrivateAddress(address) {
+    const version = net.isIP(address);
+    if (version === 4) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168);
+    }
+    if (version === 6) {
+        const lower = address.toLowerCase();
+        const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return isPrivateAddress(mapped[1]);
+        // The URL parser writes mapped IPv4 addresses in hex, e.g. ::ffff:c0a8:1
+        const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+            return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+    }
+    return false;
+}
+
+// Receivers are reached over the internet; plain http is only allowed for
+// local testing. Host names are checked again when delivering.
+function validateWebhookUrl(url, { allowPrivate = false } = {}) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (!allowPrivate && (isPrivateAddress(host) || host === 'localhost' || host.endsWith('.localhost'))) return null;
+        return parsed.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Rejects with an error when the receiver's host resolves to an address
+// that is not public
+async function checkReceiverAddress(url) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`Refused: ${host} is not a public address`);
+    }
+}
+
+function createWebhookDispatcher({ pool, allowPrivateTargets = false }) {
+    let timer = null;
+    let running = null;
+
+    // Queues `type` for every enabled webhook that wants it and starts
+    // delivering right away. Never throws: webhooks must not break the
+    // request that triggered them.
+    function emit(type, data) {
+        queue(type, data)
+            .then(count => (count > 0 ? processDue() : null))
+            .catch(error => console.error(`Error queueing ${type} webhooks:`, error));
+    }
+
+    async function queue(type, data) {
+        const result = await pool.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+             SELECT id, $1, $2 FROM webhooks
+             WHERE enabled AND $1 = ANY(event_types)
+             RETURNING id`,
+            [type, JSON.stringify(data)]
+        );
+        return result.rows.length;
+    }
+
+    // Sends one delivery and records the outcome in the log. Without
+    // `retry` a failure is final.
+    async function deliver(delivery, { retry = true } = {}) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = JSON.stringify({
+            id: delivery.id,
+            type: delivery.event_type,
+            createdAt: delivery.created_at,
+            data: delivery.payload
+        });
+
+        let statusCode = null;
+        let error = null;
+        try {
+            if (!allowPrivateTargets) {
+                await checkReceiverAddress(delivery.url);
+            }
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'event-attendance-app webhooks',
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+                redirect: 'manual'
+            });
+            statusCode = response.status;
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (fetchError) {
+            error = fetchError.name === 'TimeoutError' ? 'Timed out' : fetchError.message;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const delay = RETRY_DELAYS_SECONDS[attempts - 1];
+        const status = !error ? 'delivered' : (!retry || attempts >= MAX_ATTEMPTS) ? 'failed' : 'pending';
+        await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = $1, attempts = $2, last_status_code = $3, last_error = $4, last_attempt_at = NOW(),
+                 next_attempt_at = CASE WHEN $1 = 'pending' THEN NOW() + make_interval(secs => $5) ELSE NULL END,
+                 delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() ELSE NULL END
+             WHERE id = $6`,
+            [status, attempts, statusCode, error, delay ?? 0, delivery.id]
+        );
+        return { status, statusCode, error, attempts };
+    }
+
+    // Claims due deliveries so overlapping runs (or servers) never send one
+    // twice at the same time
+    async function claimDue() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `SELECT d.id, d.event_type, d.payload, d.attempts, d.created_at, w.url, w.secret
+                 FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.enabled
+                 ORDER BY d.next_attempt_at, d.id
+                 LIMIT $1
+                 FOR UPDATE OF d SKIP LOCKED`,
+                [MAX_DELIVERIES_PER_RUN]
+            );
+            if (result.rows.length > 0) {
+                await client.query(
+                    `UPDATE webhook_deliveries SET next_attempt_at = NOW() + make_interval(secs => $1)
+                     WHERE id = ANY($2::int[])`,
+                    [REQUEST_TIMEOUT / 1000 * 2, result.rows.map(row => row.id)]
+                );
+            }
+            await client.query('COMMIT');
+            return result.rows;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    function processDue() {
+        if (!running) {
+            running = (async () => {
+                const due = await claimDue();
+                for (const delivery of due) {
+                    await deliver(delivery);
+                }
+                await pool.query(
+                    "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)",
+                    [DELIVERY_LOG_DAYS]
+                );
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    // Sends a sample payload to one webhook right away, even when it is
+    // disabled, and reports the outcome. Returns null for an unknown webhook.
+    async function sendTest(webhookId) {
+        const webhookResult = await pool.query('SELECT url, secret FROM webhooks WHERE id = $1', [webhookId]);
+        if (webhookResult.rows.length === 0) return null;
+        // Queued as already claimed, so the background run leaves it alone
+        const result = await pool.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+             RETURNING id, event_type, payload, attempts, created_at`,
+            [webhookId, TEST_EVENT_TYPE, JSON.stringify({ message: 'Test delivery from the admin panel' }), REQUEST_TIMEOUT / 1000 * 2]
+        );
+        return deliver({ ...result.rows[0], ...webhookResult.rows[0] }, { retry: false });
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+        const tick = () => processDue().catch(error => console.error('Webhook delivery failed:', error));
+        tick();
+        timer = setInterval(tick, DELIVERY_CHECK_INTERVAL);
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        emit,
+        processDue,
+        sendTest,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    createWebhookDispatcher,
+    createWebhookSecret,
+    maskSecret,
+    isPrivateAddress,
+    validateWebhookUrl,
+    signPayload
+};